@@ -0,0 +1,321 @@
+const ApprovalRequest = require("../models/ApprovalRequest");
+const ApprovalPolicy = require("../models/ApprovalPolicy");
+const Notification = require("../models/Notification");
+const { getPolicy } = require("../services/approvalService");
+const finance = require("./financeController");
+const bankAccounts = require("./bankAccountController");
+const transactions = require("./transactionController");
+const loans = require("./loanController");
+const exits = require("./exitController");
+
+/**
+ * Executor per approval kind. Each takes the stored payload and an actor
+ * { id: maker, approvedBy, approvalRequest } and throws on failure.
+ */
+const EXECUTORS = {
+  deposit: finance.executeDeposit,
+  expense: finance.executeExpense,
+  investment_entry: finance.executeInvestmentEntry,
+  fine_waiver: finance.executeFineWaiver,
+  fine_payment: finance.executeFinePayment,
+  transfer: bankAccounts.executeTransfer,
+  transaction: transactions.executeTransaction,
+  loan_disbursement: loans.executeDisbursement,
+  loan_repayment: loans.executeRepayment,
+  member_exit: exits.executeMemberExit,
+};
+
+/**
+ * Reduces an executor's return value to the ids worth keeping on the request.
+ */
+const summarizeResult = (kind, outcome) => {
+  switch (kind) {
+    case "deposit":
+      return {
+        batch: outcome.batchId,
+        totalBatchAmount: outcome.totalBatchAmount,
+        summary: outcome.summary,
+      };
+    case "investment_entry":
+      return {
+        transaction: outcome.transaction._id,
+        newBankBalance: outcome.newBankBalance,
+      };
+    case "transaction":
+      return {
+        transaction: outcome.transaction._id,
+        receipt: outcome.receipt?.receiptNo || null,
+      };
+    case "loan_disbursement":
+      return { loan: outcome.loan._id, transaction: outcome.transaction._id };
+    case "loan_repayment":
+      return {
+        loan: outcome.loan._id,
+        transaction: outcome.transaction._id,
+        receipt: outcome.receipt.receiptNo,
+      };
+    case "member_exit":
+      return {
+        exit: outcome.exit._id,
+        netPayout: outcome.settlement.netPayout,
+      };
+    case "fine_payment":
+      return {
+        transaction: outcome.transaction._id,
+        receipt: outcome.receipt.receiptNo,
+      };
+    default:
+      return { transaction: outcome._id };
+  }
+};
+
+/**
+ * Parts of an executed instruction that were not carried out. Only deposit
+ * batches post member by member; every other kind posts all or nothing.
+ */
+const failedItemsOf = (kind, outcome) =>
+  kind === "deposit"
+    ? outcome.results
+        .filter((r) => r.status === "failed")
+        .map((r) => ({ member: r.member, name: r.name, reason: r.reason }))
+    : [];
+
+const notifyMaker = (request, title, body) =>
+  Notification.create({
+    userId: request.maker,
+    title,
+    body,
+    type: "ALERT",
+    referenceId: request._id,
+  }).catch((e) => console.error("Approval Notification Error:", e.message));
+
+/**
+ * Claims a pending request for the checker, or explains why it cannot be.
+ */
+const claimRequest = async (id, checkerId, nextStatus) => {
+  const claimed = await ApprovalRequest.findOneAndUpdate(
+    { _id: id, status: "pending", maker: { $ne: checkerId } },
+    { status: nextStatus, checker: checkerId },
+    { new: true },
+  );
+  if (claimed) return { request: claimed };
+
+  const existing = await ApprovalRequest.findById(id).select("status maker");
+  if (!existing) return { error: [404, "Approval request not found."] };
+  if (existing.status !== "pending") {
+    return { error: [400, `This request is already ${existing.status}.`] };
+  }
+  return {
+    error: [403, "The maker of an entry cannot approve or reject it."],
+  };
+};
+
+/**
+ * @desc    Approval queue with status/kind filters (?withErrors=true for
+ *          approved batches that were only partly posted)
+ * @route   GET /api/finance/approvals
+ * @access  Admin/Super-Admin
+ */
+exports.getApprovals = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = "pending", kind } = req.query;
+
+    const query = {};
+    if (status !== "all") query.status = status;
+    if (kind) query.kind = kind;
+    if (req.query.withErrors === "true") query.executedWithErrors = true;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [requests, total] = await Promise.all([
+      ApprovalRequest.find(query)
+        .populate("maker", "name role")
+        .populate("checker", "name role")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      ApprovalRequest.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: requests.map((r) => ({
+        ...r,
+        canDecide:
+          r.status === "pending" &&
+          String(r.maker?._id || r.maker) !== String(req.user.id),
+      })),
+      pagination: {
+        total,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + requests.length < total,
+      },
+    });
+  } catch (error) {
+    console.error("Approval Queue Error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve approval requests.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Approve a pending entry and post it
+ * @route   POST /api/finance/approvals/:id/approve
+ * @access  Admin/Super-Admin (never the maker)
+ */
+exports.approveRequest = async (req, res) => {
+  const { request, error } = await claimRequest(
+    req.params.id,
+    req.user.id,
+    "processing",
+  );
+  if (error) {
+    return res.status(error[0]).json({ success: false, message: error[1] });
+  }
+
+  try {
+    const outcome = await EXECUTORS[request.kind](request.payload, {
+      id: request.maker,
+      approvedBy: req.user.id,
+      approvalRequest: request._id,
+    });
+
+    request.status = "approved";
+    request.checkerComment = req.body.comment || "";
+    request.decidedAt = new Date();
+    request.result = summarizeResult(request.kind, outcome);
+    request.lastError = null;
+    request.failedItems = failedItemsOf(request.kind, outcome);
+    request.executedWithErrors = request.failedItems.length > 0;
+    await request.save();
+
+    const failedCount = request.failedItems.length;
+    notifyMaker(
+      request,
+      request.executedWithErrors
+        ? "Entry Approved With Errors ⚠️"
+        : "Entry Approved ✅",
+      request.executedWithErrors
+        ? `${request.summary} was approved, but ${failedCount} item(s) could not be posted.`
+        : `${request.summary} was approved and posted.`,
+    );
+
+    res.status(200).json({
+      success: !request.executedWithErrors,
+      message: request.executedWithErrors
+        ? `Approved, but ${failedCount} item(s) failed: ${request.summary}`
+        : `Approved and posted: ${request.summary}`,
+      data: request,
+    });
+  } catch (err) {
+    // ⚠️ Execution failed (closed period, insufficient funds...): keep it pending
+    await ApprovalRequest.updateOne(
+      { _id: request._id },
+      { status: "pending", checker: null, lastError: err.message },
+    );
+    console.error("Approval Execution Error:", err.message);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: `Approval could not be posted: ${err.message}`,
+    });
+  }
+};
+
+/**
+ * @desc    Reject a pending entry with a comment
+ * @route   POST /api/finance/approvals/:id/reject
+ * @access  Admin/Super-Admin (never the maker)
+ */
+exports.rejectRequest = async (req, res) => {
+  try {
+    const comment = (req.body.comment || "").trim();
+    if (!comment) {
+      return res.status(400).json({
+        success: false,
+        message: "A comment is required to reject an entry.",
+      });
+    }
+
+    const { request, error } = await claimRequest(
+      req.params.id,
+      req.user.id,
+      "rejected",
+    );
+    if (error) {
+      return res.status(error[0]).json({ success: false, message: error[1] });
+    }
+
+    request.checkerComment = comment;
+    request.decidedAt = new Date();
+    await request.save();
+
+    notifyMaker(
+      request,
+      "Entry Rejected ❌",
+      `${request.summary} was rejected: ${comment}`,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Request rejected.",
+      data: request,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Current maker–checker policy
+ * @route   GET /api/finance/approvals/policy
+ * @access  Admin/Super-Admin
+ */
+exports.getApprovalPolicy = async (req, res) => {
+  try {
+    res.status(200).json({ success: true, data: await getPolicy() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Update the admin rule and per-kind thresholds (null disables one)
+ * @route   PUT /api/finance/approvals/policy
+ * @access  Super-Admin
+ */
+exports.updateApprovalPolicy = async (req, res) => {
+  try {
+    const { requireApprovalForAdmin, thresholds = {} } = req.body;
+
+    const update = { lastUpdatedBy: req.user.id };
+    if (requireApprovalForAdmin !== undefined) {
+      update.requireApprovalForAdmin = Boolean(requireApprovalForAdmin);
+    }
+    for (const kind of Object.keys(EXECUTORS)) {
+      if (thresholds[kind] === undefined) continue;
+      update[`thresholds.${kind}`] =
+        thresholds[kind] === null || thresholds[kind] === ""
+          ? null
+          : Number(thresholds[kind]);
+    }
+
+    const policy = await ApprovalPolicy.findOneAndUpdate(
+      {},
+      { $set: update },
+      { new: true, upsert: true, runValidators: true },
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Approval policy updated",
+      data: policy,
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
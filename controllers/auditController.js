@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+
+/**
+ * @desc    Filterable, paginated audit trail
+ * @route   GET /api/audit
+ * @access  Super-Admin
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      actor,
+      action,
+      entityType,
+      entityId,
+      method,
+      ip,
+      startDate,
+      endDate,
+      search,
+    } = req.query;
+
+    const query = {};
+    if (actor && mongoose.isValidObjectId(actor)) query.actor = actor;
+    if (action) query.action = { $regex: `^${action}`, $options: "i" };
+    if (entityType) query.entityType = entityType;
+    if (entityId && mongoose.isValidObjectId(entityId)) {
+      query.entityId = entityId;
+    }
+    if (method) query.method = method.toUpperCase();
+    if (ip) query.ip = ip;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+    if (search) {
+      query.$or = [
+        { actorName: { $regex: search, $options: "i" } },
+        { path: { $regex: search, $options: "i" } },
+        { "changes.field": { $regex: search, $options: "i" } },
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .select("-before -after -requestBody")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: logs,
+      pagination: {
+        total,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + logs.length < total,
+      },
+    });
+  } catch (error) {
+    console.error("Audit Fetch Error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve audit log.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Single audit record with full before/after snapshots
+ * @route   GET /api/audit/:id
+ * @access  Super-Admin
+ */
+exports.getAuditLogById = async (req, res) => {
+  try {
+    const log = await AuditLog.findById(req.params.id)
+      .populate("actor", "name phone role")
+      .lean();
+
+    if (!log) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Audit record not found" });
+    }
+
+    res.status(200).json({ success: true, data: log });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -1,6 +1,10 @@
 const mongoose = require("mongoose");
 const BankAccount = require("../models/BankAccount");
 const Transaction = require("../models/Transaction");
+const LedgerAccount = require("../models/LedgerAccount");
+const ledger = require("../services/ledgerService");
+const approvals = require("../services/approvalService");
+const httpError = require("../utils/httpError");
 
 /**
  * ✅ ADD BANK ACCOUNT: New Treasury Source
@@ -14,11 +18,36 @@ exports.addBankAccount = async (req, res) => {
       await BankAccount.updateMany({}, { isMotherAccount: false });
     }
 
+    const { currentBalance, ...accountData } = req.body;
+
     const bankAccount = await BankAccount.create({
-      ...req.body,
+      ...accountData,
+      currentBalance: 0,
       lastUpdatedBy: req.user.id,
     });
 
+    // Open the matching ledger account; any starting balance is recorded as
+    // an opening-balance entry so the ledger and history never disagree.
+    await ledger.getBankLedgerAccount(bankAccount._id, null, req.user.id);
+
+    const openingBalance = Number(currentBalance) || 0;
+    if (openingBalance > 0) {
+      const opening = await Transaction.create({
+        type: "adjustment",
+        category: "opening_balance",
+        subcategory: "Treasury Setup",
+        amount: openingBalance,
+        date: new Date(),
+        month: new Date().toLocaleString("default", { month: "long" }),
+        year: new Date().getFullYear(),
+        bankAccount: bankAccount._id,
+        recordedBy: req.user.id,
+        remarks: `Opening balance: ${bankAccount.bankName}`,
+      });
+      await ledger.postTransaction(opening);
+      bankAccount.currentBalance = openingBalance;
+    }
+
     res.status(201).json({ success: true, data: bankAccount });
   } catch (error) {
     res.status(400).json({ success: false, message: error.message });
@@ -59,11 +88,11 @@ exports.getBankAccounts = async (req, res) => {
 };
 
 /**
- * ✅ TRANSFER BALANCE: Atomic Fund Movement
+ * ✅ TRANSFER EXECUTOR: Atomic Fund Movement
  * Synchronizes two bank balances and creates a double-entry ledger record [cite: 2025-10-11].
  */
-exports.transferBalance = async (req, res) => {
-  const { fromAccountId, toAccountId, amount, remarks } = req.body;
+exports.executeTransfer = async (payload, actor) => {
+  const { fromAccountId, toAccountId, amount, remarks } = payload;
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -72,20 +101,13 @@ exports.transferBalance = async (req, res) => {
     const toAcc = await BankAccount.findById(toAccountId).session(session);
 
     if (!fromAcc || !toAcc)
-      throw new Error("One or both bank accounts missing.");
+      throw httpError(400, "One or both bank accounts missing.");
     if (fromAcc.currentBalance < Number(amount)) {
-      throw new Error(`Insufficient funds in ${fromAcc.bankName}.`);
+      throw httpError(400, `Insufficient funds in ${fromAcc.bankName}.`);
     }
 
-    // 1. Balance Swing
-    fromAcc.currentBalance -= Number(amount);
-    toAcc.currentBalance += Number(amount);
-
-    await fromAcc.save({ session });
-    await toAcc.save({ session });
-
-    // 2. Double-Entry Style Transaction Record [cite: 2025-10-11]
-    await Transaction.create(
+    // 1. Double-Entry Style Transaction Record [cite: 2025-10-11]
+    const [transfer] = await Transaction.create(
       [
         {
           type: "transfer",
@@ -102,23 +124,52 @@ exports.transferBalance = async (req, res) => {
             fromAccount: fromAccountId,
             toAccount: toAccountId,
           },
-          recordedBy: req.user.id,
+          recordedBy: actor.id,
+          ...approvals.approvalStamp(actor),
           bankAccount: toAccountId,
         },
       ],
       { session }
     );
 
+    // 2. Balance Swing: Dr target bank / Cr source bank
+    await ledger.postTransaction(transfer, session);
+
     await session.commitTransaction();
+    return transfer;
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * ✅ TRANSFER BALANCE: Admin transfers wait for a second signature
+ */
+exports.transferBalance = async (req, res) => {
+  try {
+    const { amount } = req.body;
+
+    const pending = await approvals.submitIfRequired(req, {
+      kind: "transfer",
+      amount: Number(amount) || 0,
+      summary: `Internal transfer ৳${Number(amount || 0).toLocaleString()}`,
+    });
+    if (pending)
+      return res.status(202).json(approvals.pendingResponse(pending));
+
+    await exports.executeTransfer(req.body, { id: req.user.id });
+
     res.status(200).json({
       success: true,
       message: `Transferred ৳${Number(amount).toLocaleString()} successfully.`,
     });
   } catch (error) {
-    await session.abortTransaction();
-    res.status(400).json({ success: false, message: error.message });
-  } finally {
-    session.endSession();
+    res
+      .status(error.statusCode || 500)
+      .json({ success: false, message: error.message });
   }
 };
 
@@ -127,13 +178,16 @@ exports.transferBalance = async (req, res) => {
  */
 exports.updateBankAccount = async (req, res) => {
   try {
-    if (req.body.isMotherAccount) {
+    // Balances are derived from the general ledger and cannot be edited here
+    const { currentBalance, ...updateData } = req.body;
+
+    if (updateData.isMotherAccount) {
       await BankAccount.updateMany({}, { isMotherAccount: false });
     }
 
     const updatedAccount = await BankAccount.findByIdAndUpdate(
       req.params.id,
-      { $set: req.body, lastUpdatedBy: req.user.id },
+      { $set: updateData, lastUpdatedBy: req.user.id },
       { new: true, runValidators: true }
     );
 
@@ -174,3 +228,248 @@ exports.deleteBankAccount = async (req, res) => {
     res.status(500).json({ success: false, message: error.message });
   }
 };
+
+/**
+ * ✅ TRANSACTION-HISTORY BALANCES
+ * Rebuilds every bank balance purely from the Transaction registry:
+ * deposits, liquidations and loan repayments in, expenses, investment
+ * capital, loan disbursements, cash dividends and exit payouts out,
+ * transfers by their from/to legs, plus opening balances. Balance
+ * corrections are excluded since they exist to match this figure.
+ */
+const computeTransactionBalances = async () => {
+  const [direct, transfersOut, transfersIn] = await Promise.all([
+    Transaction.aggregate([
+      {
+        $match: {
+          bankAccount: { $ne: null },
+          type: {
+            $in: [
+              "deposit",
+              "expense",
+              "investment",
+              "adjustment",
+              "loan",
+              "dividend",
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$bankAccount",
+          balance: {
+            $sum: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ["$type", "deposit"] }, then: "$amount" },
+                  {
+                    case: { $in: ["$type", ["expense", "investment"]] },
+                    then: { $multiply: ["$amount", -1] },
+                  },
+                  {
+                    case: { $eq: ["$category", "opening_balance"] },
+                    then: "$amount",
+                  },
+                  {
+                    case: { $eq: ["$category", "loan_repayment"] },
+                    then: "$amount",
+                  },
+                  {
+                    case: {
+                      $in: [
+                        "$category",
+                        [
+                          "loan_disbursement",
+                          "dividend_payout",
+                          "savings_withdrawal",
+                        ],
+                      ],
+                    },
+                    then: { $multiply: ["$amount", -1] },
+                  },
+                ],
+                default: 0,
+              },
+            },
+          },
+          entries: { $sum: 1 },
+        },
+      },
+    ]),
+    Transaction.aggregate([
+      { $match: { type: "transfer" } },
+      {
+        $group: {
+          _id: "$transferDetails.fromAccount",
+          total: { $sum: "$amount" },
+          entries: { $sum: 1 },
+        },
+      },
+    ]),
+    Transaction.aggregate([
+      { $match: { type: "transfer" } },
+      {
+        $group: {
+          _id: "$transferDetails.toAccount",
+          total: { $sum: "$amount" },
+          entries: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  const balances = new Map();
+  const bump = (id, amount, entries) => {
+    if (!id) return;
+    const key = id.toString();
+    const row = balances.get(key) || { balance: 0, entries: 0 };
+    row.balance += amount;
+    row.entries += entries;
+    balances.set(key, row);
+  };
+
+  direct.forEach((d) => bump(d._id, d.balance, d.entries));
+  transfersOut.forEach((t) => bump(t._id, -t.total, t.entries));
+  transfersIn.forEach((t) => bump(t._id, t.total, t.entries));
+
+  return balances;
+};
+
+/**
+ * ✅ RECONCILE BALANCES: Drift Report & Optional Repair
+ * Compares each stored balance with the figure rebuilt from transaction
+ * history. In repair mode, a "balance_correction" entry is posted for every
+ * drifting account so the ledger (and therefore currentBalance) matches.
+ */
+exports.reconcileBalances = async (req, res) => {
+  const repair =
+    req.method === "POST" &&
+    (req.body?.repair === true || req.query.repair === "true");
+
+  try {
+    const [accounts, computed] = await Promise.all([
+      BankAccount.find().sort({ isMotherAccount: -1, createdAt: -1 }),
+      computeTransactionBalances(),
+    ]);
+
+    const report = [];
+
+    for (const account of accounts) {
+      const storedBalance = ledger.roundMoney(account.currentBalance || 0);
+
+      // Report mode never writes: an account not yet in the ledger will be
+      // opened at its stored balance, so that is its ledger figure for now.
+      let ledgerAccount = await LedgerAccount.findOne({
+        bankAccount: account._id,
+      });
+      if (!ledgerAccount && repair) {
+        ledgerAccount = await ledger.getBankLedgerAccount(
+          account._id,
+          null,
+          req.user.id
+        );
+      }
+      const ledgerBalance = ledgerAccount
+        ? await ledger.getAccountBalance(ledgerAccount._id)
+        : storedBalance;
+
+      const history = computed.get(account._id.toString()) || {
+        balance: 0,
+        entries: 0,
+      };
+      const computedBalance = ledger.roundMoney(history.balance);
+      const drift = ledger.roundMoney(storedBalance - computedBalance);
+
+      const row = {
+        bankAccountId: account._id,
+        bankName: account.bankName,
+        accountNumber: account.accountNumber,
+        storedBalance,
+        ledgerBalance,
+        computedBalance,
+        drift,
+        transactionCount: history.entries,
+        repaired: false,
+      };
+
+      const correction = ledger.roundMoney(computedBalance - ledgerBalance);
+      if (repair && (correction !== 0 || drift !== 0)) {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+        try {
+          if (correction !== 0) {
+            const [adjustment] = await Transaction.create(
+              [
+                {
+                  type: "adjustment",
+                  category: "balance_correction",
+                  subcategory:
+                    correction > 0
+                      ? ledger.BALANCE_INCREASE
+                      : ledger.BALANCE_DECREASE,
+                  amount: Math.abs(correction),
+                  date: new Date(),
+                  month: new Date().toLocaleString("default", {
+                    month: "long",
+                  }),
+                  year: new Date().getFullYear(),
+                  bankAccount: account._id,
+                  recordedBy: req.user.id,
+                  remarks: `Reconciliation: stored ৳${storedBalance.toLocaleString()} ➔ ৳${computedBalance.toLocaleString()}`,
+                },
+              ],
+              { session }
+            );
+            await ledger.postTransaction(adjustment, session);
+            row.adjustmentId = adjustment._id;
+          } else {
+            // Ledger already agrees; only the cached balance was stale
+            await ledger.syncBankBalance(ledgerAccount, session);
+          }
+
+          await BankAccount.updateOne(
+            { _id: account._id },
+            { lastUpdatedBy: req.user.id },
+            { session }
+          );
+
+          await session.commitTransaction();
+          row.repaired = true;
+          row.storedBalance = computedBalance;
+          row.ledgerBalance = computedBalance;
+        } catch (error) {
+          await session.abortTransaction();
+          row.error = error.message;
+        } finally {
+          session.endSession();
+        }
+      }
+
+      report.push(row);
+    }
+
+    const drifting = report.filter((r) => r.drift !== 0);
+
+    res.status(200).json({
+      success: true,
+      mode: repair ? "repair" : "report",
+      summary: {
+        accountsChecked: report.length,
+        accountsWithDrift: drifting.length,
+        totalDrift: ledger.roundMoney(
+          drifting.reduce((sum, r) => sum + r.drift, 0)
+        ),
+        repaired: report.filter((r) => r.repaired).length,
+      },
+      data: report,
+    });
+  } catch (error) {
+    console.error("Balance Reconciliation Error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reconcile treasury balances.",
+      error: error.message,
+    });
+  }
+};
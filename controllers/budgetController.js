@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+const Budget = require("../models/Budget");
+const Category = require("../models/Category");
+const { buildBudgetReport } = require("../services/budgetService");
+
+const yearParam = (value) => {
+  const year = Number(value || new Date().getFullYear());
+  return Number.isInteger(year) && year >= 2000 && year <= 2100 ? year : null;
+};
+
+/**
+ * @desc    Budget lines for a fiscal year (?year=)
+ * @route   GET /api/finance/budgets
+ * @access  Admin/Super-Admin
+ */
+exports.getBudgets = async (req, res) => {
+  try {
+    const year = yearParam(req.query.year);
+    if (!year) {
+      return res
+        .status(400)
+        .json({ success: false, message: "A valid year is required." });
+    }
+
+    const budgets = await Budget.find({ year })
+      .sort({ category: 1, subcategory: 1 })
+      .populate("setBy", "name")
+      .lean();
+
+    res
+      .status(200)
+      .json({ success: true, count: budgets.length, data: budgets });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Set (create or replace) the budget for an expense category or
+ *          subcategory. Body: year, category, subcategory?, annualAmount,
+ *          monthlyAmounts? (12 values), alertThreshold? (%), note?
+ * @route   POST /api/finance/budgets
+ * @access  Super-Admin
+ */
+exports.setBudget = async (req, res) => {
+  try {
+    const { category, subcategory, note } = req.body;
+    const year = yearParam(req.body.year);
+    const monthlyAmounts = (req.body.monthlyAmounts || []).map(Number);
+    let annualAmount = Number(req.body.annualAmount);
+    const alertThreshold = Number(req.body.alertThreshold ?? 80);
+
+    if (!year || !category) {
+      return res.status(400).json({
+        success: false,
+        message: "Year and category are required.",
+      });
+    }
+
+    // The budget must target a known expense category / subcategory
+    const expenseCategory = await Category.findOne({
+      name: category,
+      type: "expense",
+    }).lean();
+    if (!expenseCategory) {
+      return res.status(400).json({
+        success: false,
+        message: `"${category}" is not an expense category.`,
+      });
+    }
+    if (subcategory && !expenseCategory.subcategories.includes(subcategory)) {
+      return res.status(400).json({
+        success: false,
+        message: `"${subcategory}" is not a subcategory of ${category}.`,
+      });
+    }
+
+    if (monthlyAmounts.length) {
+      if (
+        monthlyAmounts.length !== 12 ||
+        monthlyAmounts.some((n) => !Number.isFinite(n) || n < 0)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "monthlyAmounts needs 12 non-negative values (Jan..Dec).",
+        });
+      }
+      // A phased budget defines the annual figure
+      annualAmount = monthlyAmounts.reduce((s, n) => s + n, 0);
+    }
+    if (!Number.isFinite(annualAmount) || annualAmount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "annualAmount must be a non-negative number.",
+      });
+    }
+    if (!(alertThreshold >= 1 && alertThreshold <= 100)) {
+      return res.status(400).json({
+        success: false,
+        message: "alertThreshold must be a percentage between 1 and 100.",
+      });
+    }
+
+    const budget = await Budget.findOneAndUpdate(
+      { year, category, subcategory: subcategory || null },
+      {
+        annualAmount,
+        monthlyAmounts,
+        alertThreshold,
+        note,
+        setBy: req.user.id,
+        // A revised budget is re-evaluated from scratch
+        alertsSent: [],
+      },
+      { new: true, upsert: true, runValidators: true },
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Budget for ${category}${subcategory ? ` / ${subcategory}` : ""} (${year}) saved.`,
+      data: budget,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Remove a budget line
+ * @route   DELETE /api/finance/budgets/:id
+ * @access  Super-Admin
+ */
+exports.deleteBudget = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid budget id." });
+    }
+    const budget = await Budget.findByIdAndDelete(req.params.id);
+    if (!budget) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Budget not found." });
+    }
+    res.status(200).json({ success: true, message: "Budget removed." });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Budget vs. actual with variance and % used (?year=&month=)
+ * @route   GET /api/finance/budgets/report
+ * @access  Admin/Super-Admin
+ */
+exports.getBudgetReport = async (req, res) => {
+  try {
+    const year = yearParam(req.query.year);
+    const month = req.query.month ? Number(req.query.month) : null;
+    if (!year || (month !== null && !(month >= 1 && month <= 12))) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid year (and month 1-12, if given) is required.",
+      });
+    }
+
+    const report = await buildBudgetReport(year, month);
+    res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    console.error("Budget Report Error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Could not generate budget report",
+    });
+  }
+};
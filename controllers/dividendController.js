@@ -0,0 +1,270 @@
+const mongoose = require("mongoose");
+const DividendRun = require("../models/DividendRun");
+const BankAccount = require("../models/BankAccount");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { sendPushNotification } = require("../utils/notification");
+const dividends = require("../services/dividendService");
+const { assertPeriodOpen } = require("../services/periodService");
+const httpError = require("../utils/httpError");
+
+const sendError = (res, error, fallback) => {
+  if (!error.statusCode) console.error(`${fallback}:`, error.message);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback,
+  });
+};
+
+/**
+ * @desc    Dividend runs (drafts and posted), newest first
+ * @route   GET /api/finance/dividends
+ * @access  Admin/Super-Admin
+ */
+exports.getDividendRuns = async (req, res) => {
+  try {
+    const runs = await DividendRun.find()
+      .select("-entitlements")
+      .sort({ fiscalYear: -1, createdAt: -1 })
+      .populate("createdBy postedBy", "name")
+      .populate("bankAccount", "bankName accountNumber")
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      availableSurplus: await dividends.availableSurplus(),
+      data: runs,
+    });
+  } catch (error) {
+    sendError(res, error, "Could not load dividend runs");
+  }
+};
+
+/**
+ * @desc    One run with every member's entitlement
+ * @route   GET /api/finance/dividends/:id
+ * @access  Admin/Super-Admin
+ */
+exports.getDividendRun = async (req, res) => {
+  try {
+    const run = mongoose.isValidObjectId(req.params.id)
+      ? await DividendRun.findById(req.params.id)
+          .populate("createdBy postedBy", "name")
+          .populate("bankAccount", "bankName accountNumber")
+          .lean()
+      : null;
+    if (!run) throw httpError(404, "Dividend run not found.");
+
+    res.status(200).json({ success: true, data: run });
+  } catch (error) {
+    sendError(res, error, "Could not load dividend run");
+  }
+};
+
+/**
+ * @desc    Preview a distribution (saved as a draft): fiscalYear,
+ *          distributableSurplus, shareWeight (%, rest by average savings),
+ *          payoutMode (savings_credit/cash), bankAccountId for cash, note
+ * @route   POST /api/finance/dividends/preview
+ * @access  Super-Admin
+ */
+exports.previewDividend = async (req, res) => {
+  try {
+    const {
+      fiscalYear,
+      distributableSurplus,
+      shareWeight = 50,
+      payoutMode = "savings_credit",
+      bankAccountId,
+      note,
+    } = req.body;
+    dividends.assertRunInputs({
+      fiscalYear,
+      distributableSurplus,
+      shareWeight,
+    });
+
+    if (!["savings_credit", "cash"].includes(payoutMode)) {
+      throw httpError(400, "payoutMode must be savings_credit or cash.");
+    }
+    if (
+      payoutMode === "cash" &&
+      !(await BankAccount.exists({ _id: bankAccountId }))
+    ) {
+      throw httpError(400, "Cash payouts need a valid bank account.");
+    }
+    if (await DividendRun.exists({ fiscalYear, status: "posted" })) {
+      throw httpError(
+        400,
+        `A dividend for FY ${fiscalYear} has already been distributed.`,
+      );
+    }
+
+    const available = await dividends.availableSurplus();
+    if (Number(distributableSurplus) > available) {
+      throw httpError(
+        400,
+        `Only ৳${available.toLocaleString()} of surplus is available to distribute.`,
+      );
+    }
+
+    const { entitlements, totals } = await dividends.computeEntitlements({
+      fiscalYear: Number(fiscalYear),
+      distributableSurplus: Number(distributableSurplus),
+      shareWeight: Number(shareWeight),
+    });
+    if (!entitlements.length) {
+      throw httpError(400, "No member is entitled to a share for this year.");
+    }
+
+    // One draft per year: a new preview replaces the previous one
+    await DividendRun.updateMany(
+      { fiscalYear, status: "draft" },
+      { status: "cancelled" },
+    );
+    const run = await DividendRun.create({
+      fiscalYear,
+      distributableSurplus,
+      shareWeight,
+      payoutMode,
+      bankAccount: payoutMode === "cash" ? bankAccountId : null,
+      entitlements,
+      totals,
+      note,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Preview: ৳${totals.amount.toLocaleString()} to ${totals.members} members. Confirm to post.`,
+      availableSurplus: available,
+      data: run,
+    });
+  } catch (error) {
+    sendError(res, error, "Dividend preview failed");
+  }
+};
+
+/**
+ * @desc    Confirm a draft: posts every member's entitlement and notifies them
+ * @route   POST /api/finance/dividends/:id/confirm
+ * @access  Super-Admin
+ */
+exports.confirmDividend = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let run;
+  try {
+    await assertPeriodOpen(new Date(), session);
+
+    run = mongoose.isValidObjectId(req.params.id)
+      ? await DividendRun.findById(req.params.id).session(session)
+      : null;
+    if (!run) throw httpError(404, "Dividend run not found.");
+    if (run.status !== "draft") {
+      throw httpError(400, `This run is already ${run.status}.`);
+    }
+    if (
+      await DividendRun.exists({
+        fiscalYear: run.fiscalYear,
+        status: "posted",
+      }).session(session)
+    ) {
+      throw httpError(
+        400,
+        `A dividend for FY ${run.fiscalYear} has already been distributed.`,
+      );
+    }
+
+    // Surplus and cash are checked again: books may have moved since the preview
+    const available = await dividends.availableSurplus();
+    if (run.totals.amount > available) {
+      throw httpError(
+        400,
+        `Only ৳${available.toLocaleString()} of surplus is available to distribute.`,
+      );
+    }
+    if (run.payoutMode === "cash") {
+      const bank = await BankAccount.findById(run.bankAccount).session(session);
+      if (!bank || bank.currentBalance < run.totals.amount) {
+        throw httpError(
+          400,
+          `Insufficient funds for a ৳${run.totals.amount.toLocaleString()} cash payout.`,
+        );
+      }
+    }
+
+    await dividends.postRun(run, { id: req.user.id }, session);
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    return sendError(res, error, "Dividend posting failed");
+  }
+  session.endSession();
+
+  // 🔔 Bell and push for every member paid (failures never undo the run)
+  const verb =
+    run.payoutMode === "cash"
+      ? "will be paid to you"
+      : "was added to your savings";
+  Notification.insertMany(
+    run.entitlements.map((e) => ({
+      userId: e.member,
+      title: `Dividend FY ${run.fiscalYear} 🎉`,
+      body: `Your share of ৳${e.amount.toLocaleString()} ${verb}.`,
+      type: "PAYMENT",
+      referenceId: run._id,
+    })),
+  ).catch((e) => console.error("Dividend Notification Error:", e.message));
+
+  User.find({
+    _id: { $in: run.entitlements.map((e) => e.member) },
+    "fcmTokens.0": { $exists: true },
+  })
+    .select("fcmTokens")
+    .then((members) =>
+      members.forEach((m) => {
+        const share = run.entitlements.find(
+          (e) => String(e.member) === String(m._id),
+        );
+        sendPushNotification(m.fcmTokens, {
+          notification: {
+            title: `Dividend FY ${run.fiscalYear} 🎉`,
+            body: `Your share of ৳${share.amount.toLocaleString()} ${verb}.`,
+          },
+          data: { screen: "Dashboard", type: "DIVIDEND" },
+        }).catch((e) => console.error("Push Error:", e));
+      }),
+    )
+    .catch((e) => console.error("Push Error:", e.message));
+
+  res.status(200).json({
+    success: true,
+    message: `Dividend posted: ৳${run.totals.amount.toLocaleString()} to ${run.totals.members} members.`,
+    data: run,
+  });
+};
+
+/**
+ * @desc    Discard a draft run
+ * @route   DELETE /api/finance/dividends/:id
+ * @access  Super-Admin
+ */
+exports.cancelDividend = async (req, res) => {
+  try {
+    const run = await DividendRun.findOneAndUpdate(
+      {
+        _id: mongoose.isValidObjectId(req.params.id) ? req.params.id : null,
+        status: "draft",
+      },
+      { status: "cancelled" },
+      { new: true },
+    );
+    if (!run) throw httpError(404, "No draft dividend run with this id.");
+
+    res.status(200).json({ success: true, message: "Draft discarded." });
+  } catch (error) {
+    sendError(res, error, "Could not discard dividend run");
+  }
+};
@@ -0,0 +1,206 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const BankAccount = require("../models/BankAccount");
+const MemberExit = require("../models/MemberExit");
+const Notification = require("../models/Notification");
+const exits = require("../services/exitService");
+const approvals = require("../services/approvalService");
+const { assertPeriodOpen } = require("../services/periodService");
+const httpError = require("../utils/httpError");
+
+const sendError = (res, error, fallback) => {
+  if (!error.statusCode) console.error(`${fallback}:`, error.message);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback,
+  });
+};
+
+const assertMemberId = (id) => {
+  if (!mongoose.isValidObjectId(id)) throw httpError(404, "Member not found.");
+};
+
+/**
+ * @desc    Final settlement preview (?exitDate=&profitShare=)
+ * @route   GET /api/members/:id/settlement
+ * @access  Admin/Super-Admin
+ */
+exports.getSettlement = async (req, res) => {
+  try {
+    assertMemberId(req.params.id);
+    const { exitDate, profitShare } = req.query;
+    const settlement = await exits.computeSettlement(req.params.id, {
+      exitDate: exitDate || new Date(),
+      profitShare,
+    });
+    res.status(200).json({ success: true, data: settlement });
+  } catch (error) {
+    sendError(res, error, "Settlement could not be calculated");
+  }
+};
+
+/**
+ * ✅ EXIT EXECUTOR
+ * Recomputes the settlement, posts it in one session, and marks the member
+ * as exited. The member's transactions, receipts and loans are kept.
+ */
+exports.executeMemberExit = async (payload, actor) => {
+  const { memberId, reason, exitDate, bankAccountId, profitShare } = payload;
+  await assertPeriodOpen(new Date());
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let outcome;
+  try {
+    const settlement = await exits.computeSettlement(
+      memberId,
+      { exitDate: exitDate || new Date(), profitShare },
+      session,
+    );
+    if (!settlement.canSettle) throw httpError(400, settlement.blockers[0]);
+
+    if (settlement.netPayout > 0) {
+      const bank = await BankAccount.findById(bankAccountId).session(session);
+      if (!bank) throw httpError(404, "Bank account not found.");
+      if (bank.currentBalance < settlement.netPayout) {
+        throw httpError(
+          400,
+          `Insufficient funds in ${bank.bankName}. Available: ৳${bank.currentBalance}`,
+        );
+      }
+    }
+
+    const transactions = await exits.postSettlement(
+      settlement,
+      { bankAccountId, actor },
+      session,
+    );
+
+    const [record] = await MemberExit.create(
+      [
+        {
+          member: memberId,
+          reason,
+          exitDate: settlement.exitDate,
+          savings: settlement.savings,
+          outstandingFine: settlement.outstandingFine,
+          loanPayoff: settlement.loanPayoff,
+          loans: settlement.loans,
+          profitShare: settlement.profitShare,
+          netPayout: settlement.netPayout,
+          bankAccount: settlement.netPayout > 0 ? bankAccountId : null,
+          transactions: transactions.map((t) => t._id),
+          processedBy: actor.id,
+          ...approvals.approvalStamp(actor),
+        },
+      ],
+      { session },
+    );
+
+    await User.updateOne(
+      { _id: memberId },
+      {
+        status: "exited",
+        exitDate: settlement.exitDate,
+        exitReason: reason,
+        exitSettlement: record._id,
+      },
+      { session },
+    );
+
+    await session.commitTransaction();
+    outcome = { exit: record, settlement, transactions };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  Notification.create({
+    userId: memberId,
+    title: "Membership Settled",
+    body: `Your final settlement of ৳${outcome.settlement.netPayout.toLocaleString()} has been processed. Your account history remains available.`,
+    type: "PAYMENT",
+    referenceId: outcome.exit._id,
+  }).catch((e) => console.error("Exit Notification Error:", e.message));
+
+  return outcome;
+};
+
+/**
+ * @desc    Resign a member and post the final settlement:
+ *          reason, bankAccountId (for the payout), exitDate?, profitShare?
+ * @route   POST /api/members/:id/exit
+ * @access  Admin/Super-Admin (always waits for a second signature)
+ */
+exports.exitMember = async (req, res) => {
+  try {
+    assertMemberId(req.params.id);
+    const reason = (req.body.reason || "").trim();
+    if (!reason) throw httpError(400, "A reason is required for an exit.");
+
+    const settlement = await exits.computeSettlement(req.params.id, {
+      exitDate: req.body.exitDate || new Date(),
+      profitShare: req.body.profitShare,
+    });
+    if (!settlement.canSettle) {
+      return res.status(400).json({
+        success: false,
+        message: settlement.blockers[0],
+        data: settlement,
+      });
+    }
+    if (settlement.netPayout > 0 && !req.body.bankAccountId) {
+      throw httpError(400, "A bank account is required for the payout.");
+    }
+
+    const payload = {
+      ...req.body,
+      reason,
+      memberId: req.params.id,
+      // The approved figure is the one previewed here
+      profitShare: settlement.profitShare,
+    };
+    const pending = await approvals.submitIfRequired(req, {
+      kind: "member_exit",
+      amount: settlement.savings,
+      summary: `Exit of ${settlement.member.name}: payout ৳${settlement.netPayout.toLocaleString()}`,
+      payload,
+    });
+    if (pending)
+      return res.status(202).json(approvals.pendingResponse(pending));
+
+    const outcome = await exports.executeMemberExit(payload, {
+      id: req.user.id,
+    });
+    res.status(201).json({
+      success: true,
+      message: `${settlement.member.name} has exited. Payout ৳${outcome.settlement.netPayout.toLocaleString()}.`,
+      data: outcome,
+    });
+  } catch (error) {
+    sendError(res, error, "Member exit failed");
+  }
+};
+
+/**
+ * @desc    Settlement record of an exited member
+ * @route   GET /api/members/:id/exit
+ * @access  Admin/Super-Admin
+ */
+exports.getMemberExit = async (req, res) => {
+  try {
+    assertMemberId(req.params.id);
+    const record = await MemberExit.findOne({ member: req.params.id })
+      .populate("member", "name phone branch")
+      .populate("bankAccount", "bankName accountNumber")
+      .populate("processedBy approvedBy", "name")
+      .lean();
+    if (!record) throw httpError(404, "This member has not exited.");
+
+    res.status(200).json({ success: true, data: record });
+  } catch (error) {
+    sendError(res, error, "Could not load exit record");
+  }
+};
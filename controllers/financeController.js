@@ -1,15 +1,35 @@
 const Transaction = require("../models/Transaction");
 const User = require("../models/User");
 const Investment = require("../models/Investment");
-const { sendDepositEmail } = require("../utils/email");
+const { sendDepositEmail, sendFineReceiptEmail } = require("../utils/email");
 const fs = require("fs");
 const path = require("path");
 const mongoose = require("mongoose");
 const BankAccount = require("../models/BankAccount");
 const FineSetting = require("../models/FineSetting");
+const FinePolicy = require("../models/FinePolicy");
+const FineExemption = require("../models/FineExemption");
+const Receipt = require("../models/Receipt");
 const admin = require("../config/firebase");
 const { sendPushNotification } = require("../utils/notification");
 const Notification = require("../models/Notification");
+const MonthlyDue = require("../models/MonthlyDue");
+const DepositBatch = require("../models/DepositBatch");
+const ApprovalRequest = require("../models/ApprovalRequest");
+const ledger = require("../services/ledgerService");
+const { assertPeriodOpen } = require("../services/periodService");
+const approvals = require("../services/approvalService");
+const dues = require("../services/duesService");
+const fines = require("../services/fineService");
+const receipts = require("../services/receiptService");
+const budgets = require("../services/budgetService");
+const loans = require("../services/loanService");
+const {
+  loadSharePriceTable,
+  sharePriceFor,
+} = require("../services/settingsService");
+const httpError = require("../utils/httpError");
+const { sendSheet, exportFormat } = require("../utils/spreadsheet");
 
 const dir = "./uploads/documents/";
 
@@ -22,202 +42,562 @@ if (!fs.existsSync(dir)) {
  */
 
 /**
- * @desc    Process bulk monthly deposits and snapshot bank details
- * @route   POST /api/finance/deposit
- * @access  Admin/Super-Admin
+ * Posts one member's share of a collection run inside the caller's session:
+ * the optional fine, then the payment allocated oldest-due-first.
  */
+const depositForMember = async (
+  user,
+  { batch, bank, policyAt, exemptionsFor, payFine, paidAmount, remarks, actor },
+  session,
+) => {
+  const targetMonth = batch.targetMonth;
+  const targetYear = batch.targetYear;
+  const transactions = [];
+  let fineToPay = 0;
+
+  // --- 🚀 FINE PROCESSING ---
+  if (payFine) {
+    // Aggregate without session to avoid MongoDB "Illegal Operation" errors
+    const totalReduced =
+      (await fines.getFineReductions([user._id])).get(String(user._id)) || 0;
+    const schedule =
+      (await dues.loadSchedules([user], session)).get(String(user._id)) || [];
+    fineToPay = fines.calculateFine(schedule, policyAt, totalReduced, {
+      exemptAt: exemptionsFor(user),
+    }).fine;
+
+    if (fineToPay > 0) {
+      const [fineTx] = await Transaction.create(
+        [
+          {
+            user: user._id,
+            type: "deposit",
+            category: "fine_payment",
+            amount: fineToPay,
+            month: targetMonth,
+            year: targetYear,
+            date: new Date(),
+            bankAccount: bank._id,
+            recordedBy: actor.id,
+            ...approvals.approvalStamp(actor),
+            depositBatch: batch._id,
+            remarks: `Penalty Payment: ${targetMonth} ${targetYear}`,
+          },
+        ],
+        { session },
+      );
+      // Dr Bank / Cr Fine Income
+      await ledger.postTransaction(fineTx, session);
+      transactions.push(fineTx._id);
+    }
+  }
 
-exports.processDeposit = async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+  /**
+   * 💵 OLDEST-DUE-FIRST ALLOCATION:
+   * The amount paid (a full installment unless specified) settles the
+   * oldest outstanding months first; any leftover prepays future months.
+   * One monthly_deposit row is recorded per month it touches.
+   */
+  const allocations = await dues.planAllocation(user, paidAmount, session);
+  for (const allocation of allocations) {
+    const [shareTx] = await Transaction.create(
+      [
+        {
+          user: user._id,
+          type: "deposit",
+          category: "monthly_deposit",
+          subcategory: "Member Monthly Share",
+          amount: allocation.amount,
+          month: dues.MONTH_NAMES[allocation.month - 1],
+          year: allocation.year,
+          date: new Date(),
+          bankAccount: bank._id,
+          recordedBy: actor.id,
+          ...approvals.approvalStamp(actor),
+          depositBatch: batch._id,
+          remarks:
+            remarks ||
+            `Monthly Share: ${allocation.label}${
+              allocation.isAdvance ? " (advance)" : ""
+            }`,
+        },
+      ],
+      { session },
+    );
 
-  try {
-    const {
-      userIds = [],
-      membersPayingFine = [],
+    // Dr Bank / Cr Member Savings — savings total is re-derived from the ledger
+    await ledger.postTransaction(shareTx, session);
+    transactions.push(shareTx._id);
+
+    // Settle the month's obligation in the dues schedule
+    const due = await dues.settlePayment(shareTx, session);
+    allocation.status = due?.status;
+    allocation.transaction = shareTx._id;
+  }
+
+  // 🧾 One numbered receipt for everything collected from the member
+  const receipt = await receipts.issueReceipt(
+    {
+      kind: "monthly_deposit",
+      member: user._id,
+      receivedFrom: user.name,
+      amount: paidAmount + fineToPay,
+      bankAccount: bank._id,
+      transactions,
+      lines: [
+        ...(fineToPay > 0
+          ? [
+              {
+                label: "Late fine",
+                amount: fineToPay,
+                transaction: transactions[0],
+              },
+            ]
+          : []),
+        ...allocations.map((a) => ({
+          label: `Monthly share: ${a.label}${a.isAdvance ? " (advance)" : ""}`,
+          amount: a.amount,
+          transaction: a.transaction,
+        })),
+      ],
       remarks,
-      month,
-      year,
-    } = req.body;
-
-    const motherAccount = await BankAccount.findOne({
-      isMotherAccount: true,
-    }).session(session);
-    if (!motherAccount)
-      throw new Error("No Mother Account designated in registry.");
-
-    const settings = (await FineSetting.findOne().session(session)) || {
-      gracePeriodMonths: 2,
-      finePercentage: 5,
-    };
+      issuedBy: actor.id,
+    },
+    session,
+  );
 
-    const targetMonth =
-      month || new Date().toLocaleString("default", { month: "long" });
-    const targetYear = year || new Date().getFullYear();
-    let totalBatchAmount = 0;
+  const schedule =
+    (await dues.loadSchedules([user], session)).get(String(user._id)) || [];
+  const updatedUser = await User.findById(user._id)
+    .select("totalDeposited")
+    .session(session);
 
-    const depositDataList = [];
-    const notificationsToInsert = [];
-    const fcmTokensToSend = [];
+  return {
+    fine: fineToPay,
+    allocations,
+    transactions,
+    receipt,
+    advanceCredit: dues.advanceCreditOf(schedule),
+    totalDeposited: updatedUser.totalDeposited,
+  };
+};
 
-    // 1️⃣ Loop through users to process ledger entries
-    for (const id of userIds) {
-      const user = await User.findById(id).session(session);
-      if (!user) continue;
+// A batch still "processing" after this long was abandoned (e.g. a crash)
+const STALE_BATCH_MS = 15 * 60 * 1000;
 
-      const shareAmount = (user.shares || 1) * 1000;
-      let memberTransactionTotal = shareAmount;
+/**
+ * Stored outcome of a batch, as returned to the client.
+ */
+const batchOutcome = (batch) => {
+  const count = (status) =>
+    batch.results.filter((r) => r.status === status).length;
+  return {
+    batchId: batch._id,
+    idempotencyKey: batch.idempotencyKey || null,
+    targetMonth: batch.targetMonth,
+    targetYear: batch.targetYear,
+    totalBatchAmount: batch.totalAmount,
+    summary: {
+      posted: count("posted"),
+      skipped: count("skipped_already_paid"),
+      failed: count("failed"),
+    },
+    results: batch.results,
+  };
+};
 
-      // --- 🚀 FINE PROCESSING ---
-      if (membersPayingFine.includes(id)) {
-        // Aggregate without session to avoid MongoDB "Illegal Operation" errors
-        const fineReductions = await Transaction.aggregate([
-          {
-            $match: {
-              user: user._id,
-              category: { $in: ["fine_waiver", "fine_payment"] },
-            },
-          },
-          { $group: { _id: null, total: { $sum: "$amount" } } },
-        ]);
+/**
+ * ✅ DEPOSIT EXECUTOR: Posts a monthly collection run
+ * Shared by the direct route and the approval queue. `actor.id` is the maker;
+ * `actor.approvedBy` / `actor.approvalRequest` are set when a checker signed it.
+ *
+ * 🔒 DUPLICATE PROTECTION:
+ * - A repeated `idempotencyKey` replays the stored outcome without posting.
+ * - A failed or abandoned batch is resumed under the same key; members it
+ *   already posted are skipped, everyone else is processed again.
+ * - A member whose target month is already paid, or who was already posted
+ *   by an earlier batch for the same month, is skipped — unless an explicit
+ *   amount was sent for them (e.g. the second half of a partial payment).
+ * Each member posts in their own database transaction, so one failure does
+ * not undo the rest of the batch.
+ */
+exports.executeDeposit = async (payload, actor) => {
+  const {
+    userIds = [],
+    membersPayingFine = [],
+    amounts = {}, // Optional { userId: amount } for partial/advance payments
+    remarks,
+    month,
+    year,
+    idempotencyKey,
+  } = payload;
+
+  let resumable = null;
+  if (idempotencyKey) {
+    const existing = await DepositBatch.findOne({ idempotencyKey });
+    if (existing?.status === "completed") {
+      return { ...batchOutcome(existing), replayed: true };
+    }
+    const abandoned =
+      existing?.status === "processing" &&
+      Date.now() - existing.updatedAt.getTime() > STALE_BATCH_MS;
+    if (existing && existing.status !== "failed" && !abandoned) {
+      throw httpError(
+        409,
+        "A batch with this idempotency key is still being processed.",
+      );
+    }
+    resumable = existing;
+  }
 
-        const totalReduced = fineReductions[0]?.total || 0;
-        const fineCalc = calculateFineLogic(user, settings, totalReduced);
-        const fineToPay = fineCalc.fine;
+  const motherAccount = await BankAccount.findOne({ isMotherAccount: true });
+  if (!motherAccount)
+    throw new Error("No Mother Account designated in registry.");
 
-        if (fineToPay > 0) {
-          memberTransactionTotal += fineToPay;
-          await Transaction.create(
-            [
-              {
-                user: id,
-                type: "deposit",
-                category: "fine_payment",
-                amount: fineToPay,
-                month: targetMonth,
-                year: targetYear,
-                date: new Date(),
-                bankAccount: motherAccount._id,
-                recordedBy: req.user.id,
-                remarks: `Penalty Payment: ${targetMonth} ${targetYear}`,
+  // Fine policy versions, resolved per overdue month
+  const policyAt = await fines.loadPolicyTable();
+  const exemptionsFor = await fines.loadExemptionTable();
+
+  const targetMonth =
+    month || new Date().toLocaleString("default", { month: "long" });
+  const targetYear = parseInt(year) || new Date().getFullYear();
+  const targetMonthNumber = dues.toMonthNumber(targetMonth);
+  if (!targetMonthNumber) throw httpError(400, `Unknown month: ${month}`);
+
+  // Installments follow the share price in force for the target month
+  const priceAt = await loadSharePriceTable();
+  const targetSharePrice = priceAt(targetYear, targetMonthNumber);
+
+  let batch;
+  if (resumable) {
+    // Claim the batch atomically so two retries cannot resume it together
+    batch = await DepositBatch.findOneAndUpdate(
+      {
+        _id: resumable._id,
+        status: resumable.status,
+        updatedAt: resumable.updatedAt,
+      },
+      { $set: { status: "processing" }, $unset: { failureReason: 1 } },
+      { new: true },
+    );
+    if (!batch) {
+      throw httpError(
+        409,
+        "A batch with this idempotency key is still being processed.",
+      );
+    }
+    // Only postings are final; skipped and failed members are re-evaluated
+    batch.results = batch.results.filter((r) => r.status === "posted");
+  } else {
+    try {
+      batch = await DepositBatch.create({
+        idempotencyKey: idempotencyKey || undefined,
+        targetMonth: dues.MONTH_NAMES[targetMonthNumber - 1],
+        targetYear,
+        requestedBy: actor.id,
+        approvedBy: actor.approvedBy || null,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw httpError(
+          409,
+          "A batch with this idempotency key is still being processed.",
+        );
+      }
+      throw error;
+    }
+  }
+  const postedBefore = new Set(batch.results.map((r) => String(r.member)));
+
+  const hasExplicitAmount = (id) =>
+    amounts[id] !== undefined && amounts[id] !== null && amounts[id] !== "";
+
+  const depositDataList = [];
+  const notificationsToInsert = [];
+  const fcmTokensToSend = [];
+
+  // 1️⃣ Loop through users to process ledger entries
+  try {
+    for (const id of userIds) {
+      if (postedBefore.has(String(id))) continue;
+
+      const user = await User.findById(id);
+      if (!user) {
+        batch.results.push({
+          member: mongoose.isValidObjectId(id) ? id : null,
+          status: "failed",
+          reason: "Member not found.",
+        });
+        continue;
+      }
+
+      const shareAmount = dues.installmentFor(user, targetSharePrice);
+      const paidAmount = hasExplicitAmount(id)
+        ? Number(amounts[id])
+        : shareAmount;
+      if (!(paidAmount > 0)) {
+        batch.results.push({
+          member: user._id,
+          name: user.name,
+          status: "failed",
+          reason: "Invalid payment amount.",
+        });
+        continue;
+      }
+
+      // --- 🔒 DUPLICATE-MONTH GUARD ---
+      if (!hasExplicitAmount(id)) {
+        await dues.ensureSchedules([user]);
+        const [targetDue, earlierBatch] = await Promise.all([
+          MonthlyDue.findOne({
+            member: user._id,
+            year: targetYear,
+            month: targetMonthNumber,
+          }).select("status"),
+          DepositBatch.exists({
+            _id: { $ne: batch._id },
+            targetMonth: batch.targetMonth,
+            targetYear,
+            results: {
+              $elemMatch: {
+                member: user._id,
+                status: "posted",
+                mode: "installment",
               },
-            ],
-            { session },
-          );
+            },
+          }),
+        ]);
+        if (targetDue?.status === "paid" || earlierBatch) {
+          batch.results.push({
+            member: user._id,
+            name: user.name,
+            status: "skipped_already_paid",
+            reason: `${batch.targetMonth} ${targetYear} is already paid.`,
+          });
+          continue;
         }
       }
 
-      // Update user savings
-      const updatedUser = await User.findByIdAndUpdate(
-        id,
-        { $inc: { totalDeposited: shareAmount } },
-        { session, new: true },
-      );
-
-      // Record Share Deposit
-      await Transaction.create(
-        [
+      const session = await mongoose.startSession();
+      let posted = false;
+      try {
+        session.startTransaction();
+        const outcome = await depositForMember(
+          user,
           {
-            user: id,
-            type: "deposit",
-            category: "monthly_deposit",
-            subcategory: "Member Monthly Share",
-            amount: shareAmount,
-            month: targetMonth,
-            year: targetYear,
-            date: new Date(),
-            bankAccount: motherAccount._id,
-            recordedBy: req.user.id,
-            remarks: remarks || `Monthly Share: ${targetMonth} ${targetYear}`,
+            batch,
+            bank: motherAccount,
+            policyAt,
+            exemptionsFor,
+            payFine: membersPayingFine.includes(id),
+            paidAmount,
+            remarks,
+            actor,
           },
-        ],
-        { session },
-      );
-
-      totalBatchAmount += memberTransactionTotal;
+          session,
+        );
+        await session.commitTransaction();
 
-      // 2️⃣ Collect data for Notifications/Emails
-      depositDataList.push({
-        email: user.email,
-        name: user.name,
-        amount: memberTransactionTotal,
-        totalBalance: updatedUser.totalDeposited,
-        month: targetMonth,
-        year: targetYear,
-      });
+        const memberTransactionTotal = paidAmount + outcome.fine;
+        batch.totalAmount += memberTransactionTotal;
+        batch.results.push({
+          member: user._id,
+          name: user.name,
+          status: "posted",
+          mode: hasExplicitAmount(id) ? "amount" : "installment",
+          amount: paidAmount,
+          fine: outcome.fine,
+          allocations: outcome.allocations,
+          advanceCredit: outcome.advanceCredit,
+          transactions: outcome.transactions,
+          receipt: outcome.receipt._id,
+          receiptNo: outcome.receipt.receiptNo,
+        });
+        posted = true;
+
+        // 2️⃣ Collect data for Notifications/Emails
+        const { allocations } = outcome;
+        const firstMonth = allocations[0];
+        const lastMonth = allocations[allocations.length - 1];
+        depositDataList.push({
+          email: user.email,
+          name: user.name,
+          receiptNo: outcome.receipt.receiptNo,
+          amount: memberTransactionTotal,
+          totalBalance: outcome.totalDeposited,
+          ...(allocations.length === 1
+            ? {
+                month: dues.MONTH_NAMES[firstMonth.month - 1],
+                year: firstMonth.year,
+              }
+            : { month: `${firstMonth.label} to`, year: lastMonth.label }),
+        });
 
-      if (user.fcmTokens?.length > 0) {
-        fcmTokensToSend.push(...user.fcmTokens);
-        user.fcmTokens.forEach((token) => {
-          notificationsToInsert.push({
-            userId: user._id,
-            title: "Deposit Confirmed 💰",
-            body: `৳${memberTransactionTotal.toLocaleString()} received for ${targetMonth}.`,
-            type: "DEPOSIT",
-            fcmToken: token,
-            sentAt: new Date(),
+        if (user.fcmTokens?.length > 0) {
+          fcmTokensToSend.push(...user.fcmTokens);
+          user.fcmTokens.forEach((token) => {
+            notificationsToInsert.push({
+              userId: user._id,
+              title: "Deposit Confirmed 💰",
+              body: `৳${memberTransactionTotal.toLocaleString()} received for ${allocations
+                .map((a) => a.label)
+                .join(", ")}.`,
+              type: "DEPOSIT",
+              fcmToken: token,
+              sentAt: new Date(),
+            });
           });
+        }
+      } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        console.error(`Deposit Failure (${user.name}):`, error.message);
+        batch.results.push({
+          member: user._id,
+          name: user.name,
+          status: "failed",
+          amount: paidAmount,
+          reason: error.message,
         });
+      } finally {
+        session.endSession();
       }
+
+      // Checkpoint: a resumed run never posts this member again
+      if (posted) await batch.save();
     }
+  } catch (error) {
+    // Leave the batch resumable under the same key instead of stuck in processing
+    batch.status = "failed";
+    batch.failureReason = error.message;
+    await batch
+      .save()
+      .catch((e) => console.error("Deposit Batch Save Error:", e.message));
+    throw error;
+  }
 
-    motherAccount.currentBalance += totalBatchAmount;
-    await motherAccount.save({ session });
+  // 3️⃣ Record the outcome against the batch (replayed on retries)
+  batch.status = "completed";
+  batch.completedAt = new Date();
+  await batch.save();
 
-    // 3️⃣ Commit DB Changes
-    await session.commitTransaction();
-    session.endSession();
+  // 4️⃣ Execute Async Tasks (Email and Push)
+  // We use Promise.allSettled so if one email fails, others still send
+
+  // Save bell notifications
+  if (notificationsToInsert.length > 0) {
+    Notification.insertMany(notificationsToInsert).catch((e) =>
+      console.error("Bell Error:", e),
+    );
+  }
 
-    // 4️⃣ Execute Async Tasks (Email and Push)
-    // We use Promise.allSettled so if one email fails, others still send
+  // Send Push Notifications
+  if (fcmTokensToSend.length > 0) {
+    sendPushNotification(fcmTokensToSend, {
+      notification: {
+        title: "Deposit Confirmed 💰",
+        body: `Monthly payment for ${targetMonth} processed.`,
+      },
+      data: { screen: "Dashboard", type: "DEPOSIT" },
+    }).catch((e) => console.error("Push Error:", e));
+  }
 
-    // Save bell notifications
-    if (notificationsToInsert.length > 0) {
-      Notification.insertMany(notificationsToInsert).catch((e) =>
-        console.error("Bell Error:", e),
-      );
-    }
+  // ✅ FIXED: Send Emails with individual error handling
+  if (depositDataList.length > 0) {
+    Promise.allSettled(
+      depositDataList.map((data) =>
+        sendDepositEmail(data.email, {
+          name: data.name,
+          amount: data.amount,
+          date: new Date().toLocaleDateString("en-GB"),
+          totalBalance: data.totalBalance,
+          month: data.month,
+          year: data.year,
+          receiptNo: data.receiptNo,
+        }),
+      ),
+    ).then((results) => {
+      const failed = results.filter((r) => r.status === "rejected");
+      if (failed.length > 0)
+        console.error(`${failed.length} emails failed to send.`);
+    });
+  }
 
-    // Send Push Notifications
-    if (fcmTokensToSend.length > 0) {
-      sendPushNotification(fcmTokensToSend, {
-        notification: {
-          title: "Deposit Confirmed 💰",
-          body: `Monthly payment for ${targetMonth} processed.`,
-        },
-        data: { screen: "Dashboard", type: "DEPOSIT" },
-      }).catch((e) => console.error("Push Error:", e));
-    }
+  return { ...batchOutcome(batch), replayed: false };
+};
 
-    // ✅ FIXED: Send Emails with individual error handling
-    if (depositDataList.length > 0) {
-      Promise.allSettled(
-        depositDataList.map((data) =>
-          sendDepositEmail(data.email, {
-            name: data.name,
-            amount: data.amount,
-            date: new Date().toLocaleDateString("en-GB"),
-            totalBalance: data.totalBalance,
-            month: data.month,
-            year: data.year,
-          }),
-        ),
-      ).then((results) => {
-        const failed = results.filter((r) => r.status === "rejected");
-        if (failed.length > 0)
-          console.error(`${failed.length} emails failed to send.`);
-      });
+/**
+ * @desc    Process bulk monthly deposits and snapshot bank details
+ * @route   POST /api/finance/deposit
+ * @access  Admin/Super-Admin (admin batches wait for a second signature)
+ * @header  Idempotency-Key (optional; also accepted as body.idempotencyKey)
+ */
+exports.processDeposit = async (req, res) => {
+  try {
+    const { userIds = [], amounts = {}, month, year } = req.body;
+    const idempotencyKey =
+      req.get("Idempotency-Key") || req.body.idempotencyKey || undefined;
+    const payload = { ...req.body, idempotencyKey };
+
+    let alreadyPosted = false;
+    if (idempotencyKey) {
+      // A retried submission maps to the same queued approval or posted batch
+      const [queued, posted] = await Promise.all([
+        ApprovalRequest.findOne({
+          kind: "deposit",
+          "payload.idempotencyKey": idempotencyKey,
+          status: { $in: ["pending", "processing"] },
+        }),
+        // A failed batch is resumed like a new submission
+        DepositBatch.exists({ idempotencyKey, status: { $ne: "failed" } }),
+      ]);
+      if (queued && !posted) {
+        return res.status(202).json(approvals.pendingResponse(queued));
+      }
+      alreadyPosted = !!posted;
     }
 
-    res.status(201).json({
-      success: true,
-      message: `Batch complete: ৳${totalBatchAmount.toLocaleString()} added to Treasury.`,
+    // Estimate the batch from the amounts (or share installments) for the approval threshold
+    const members = await User.find({ _id: { $in: userIds } }).select("shares");
+    const sharePrice = await sharePriceFor(
+      parseInt(year) || undefined,
+      dues.toMonthNumber(month) || undefined,
+    );
+    const estimatedAmount = members.reduce(
+      (sum, m) =>
+        sum +
+        (Number(amounts[m._id.toString()]) ||
+          dues.installmentFor(m, sharePrice)),
+      0,
+    );
+
+    const pending =
+      !alreadyPosted &&
+      (await approvals.submitIfRequired(req, {
+        kind: "deposit",
+        amount: estimatedAmount,
+        summary: `Monthly deposits for ${members.length} member(s)${
+          month ? ` – ${month} ${year || ""}`.trimEnd() : ""
+        }`,
+        payload,
+      }));
+    if (pending)
+      return res.status(202).json(approvals.pendingResponse(pending));
+
+    const outcome = await exports.executeDeposit(payload, { id: req.user.id });
+    const { posted, skipped, failed } = outcome.summary;
+
+    res.status(outcome.replayed || posted === 0 ? 200 : 201).json({
+      success: failed === 0,
+      message: outcome.replayed
+        ? "This batch was already processed; returning the original result."
+        : `Batch complete: ৳${outcome.totalBatchAmount.toLocaleString()} added to Treasury (${posted} posted, ${skipped} skipped, ${failed} failed).`,
+      data: outcome,
     });
   } catch (error) {
-    if (session.inTransaction()) await session.abortTransaction();
-    session.endSession();
     console.error("Critical Deposit Failure:", error.message);
-    res.status(500).json({ success: false, error: error.message });
+    res
+      .status(error.statusCode || 500)
+      .json({ success: false, error: error.message });
   }
 };
 
@@ -256,41 +636,52 @@ exports.checkPayments = async (req, res) => {
       });
     }
 
+    const monthNumber = dues.toMonthNumber(month);
+    if (!monthNumber) {
+      return res
+        .status(400)
+        .json({ success: false, message: `Unknown month: ${month}` });
+    }
+
     // 2. Build Dynamic Match Filter
     // We only filter by branch if it's provided and not set to "All"
-    const userMatch = {};
+    const userMatch = { role: "member" };
     if (branch && branch !== "All") {
       userMatch.branch = branch;
     }
 
     /**
-     * 🚀 OPTIMIZED QUERY:
-     * Fetch transactions and populate users based on the dynamic branch filter.
+     * 🚀 DUES SCHEDULE LOOKUP:
+     * A member counts as paid once that month's obligation is fully settled.
      */
-    const existingTransactions = await Transaction.find({
-      type: "deposit",
-      category: "monthly_deposit",
-      month: month, // Direct string match (e.g., "January")
+    const members = await User.find(userMatch).select("_id joiningDate shares");
+    await dues.ensureSchedules(members);
+
+    const monthDues = await MonthlyDue.find({
+      member: { $in: members.map((m) => m._id) },
       year: parseInt(year),
-    }).populate({
-      path: "user",
-      select: "branch _id",
-      match: Object.keys(userMatch).length > 0 ? userMatch : null, // Apply branch filter only if needed
-    });
+      month: monthNumber,
+      status: { $in: ["paid", "partial"] },
+    })
+      .select("member status amountDue amountPaid")
+      .lean();
 
-    /**
-     * 🚀 DATA CLEANUP:
-     * 1. Filter out transactions where the user didn't match the branch (if branch was specified).
-     * 2. If branch is "All", we keep everyone who has a valid user object.
-     */
-    const paidMemberIds = existingTransactions
-      .filter((t) => t.user !== null)
-      .map((t) => t.user._id);
+    const paidMemberIds = monthDues
+      .filter((d) => d.status === "paid")
+      .map((d) => d.member);
+    const partiallyPaid = monthDues
+      .filter((d) => d.status === "partial")
+      .map((d) => ({
+        member: d.member,
+        amountPaid: d.amountPaid,
+        outstanding: d.amountDue - d.amountPaid,
+      }));
 
     res.status(200).json({
       success: true,
       count: paidMemberIds.length,
       data: paidMemberIds,
+      partiallyPaid,
     });
   } catch (error) {
     console.error("Payment Integrity Check Error:", error.message);
@@ -306,19 +697,20 @@ exports.checkPayments = async (req, res) => {
  * @section 2. Expenses & Summaries
  */
 
-// @desc    Record a society expense & update bank balance
-// @route   POST /api/finance/expense
-exports.addExpense = async (req, res) => {
+/**
+ * ✅ EXPENSE EXECUTOR: Records a society expense through the ledger
+ */
+exports.executeExpense = async (payload, actor) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
-    const { amount, bankAccountId, date, category, remarks } = req.body;
+    const { amount, bankAccountId, date, category, subcategory, remarks } =
+      payload;
 
     // 1. Validate Bank Account Existence
-    const bank = await BankAccount.findById(bankAccountId);
-    if (!bank) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Bank account not found" });
-    }
+    const bank = await BankAccount.findById(bankAccountId).session(session);
+    if (!bank) throw httpError(404, "Bank account not found");
 
     // 2. Derive standardized Date strings for registry consistency [cite: 2025-10-11]
     const expenseDate = date ? new Date(date) : new Date();
@@ -326,21 +718,61 @@ exports.addExpense = async (req, res) => {
     const year = expenseDate.getFullYear();
 
     // 3. Create the Transaction Registry Entry
-    const expense = await Transaction.create({
-      amount,
-      category: category || "General Expense",
-      remarks,
-      bankAccount: bankAccountId,
-      date: expenseDate,
-      type: "expense",
-      month,
-      year,
-      recordedBy: req.user.id,
+    const [expense] = await Transaction.create(
+      [
+        {
+          amount,
+          category: category || "General Expense",
+          subcategory,
+          remarks,
+          bankAccount: bankAccountId,
+          date: expenseDate,
+          type: "expense",
+          month,
+          year,
+          recordedBy: actor.id,
+          ...approvals.approvalStamp(actor),
+        },
+      ],
+      { session },
+    );
+
+    // 4. ✅ LEDGER POSTING: Dr Operating Expenses / Cr Bank
+    await ledger.postTransaction(expense, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    // 🔔 Budget threshold warnings (non-blocking)
+    budgets
+      .checkThresholds(expense)
+      .catch((e) => console.error("Budget Alert Error:", e.message));
+
+    return expense;
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+// @desc    Record a society expense & update bank balance
+// @route   POST /api/finance/expense
+exports.addExpense = async (req, res) => {
+  try {
+    const { amount, category } = req.body;
+
+    const pending = await approvals.submitIfRequired(req, {
+      kind: "expense",
+      amount: Number(amount) || 0,
+      summary: `Expense ৳${Number(amount || 0).toLocaleString()} – ${
+        category || "General Expense"
+      }`,
     });
+    if (pending)
+      return res.status(202).json(approvals.pendingResponse(pending));
 
-    // 4. ✅ DYNAMIC SYNC: Deduct from Bank Balance [cite: 2025-10-11]
-    bank.currentBalance -= Number(amount);
-    await bank.save();
+    const expense = await exports.executeExpense(req.body, { id: req.user.id });
 
     // 5. ✅ RESPOND: Structured for React Native state updates [cite: 2025-10-11]
     res.status(201).json({
@@ -349,9 +781,9 @@ exports.addExpense = async (req, res) => {
     });
   } catch (error) {
     console.error("Expense Recording Error:", error.message);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to record expense",
+      message: error.statusCode ? error.message : "Failed to record expense",
       error: error.message,
     });
   }
@@ -364,11 +796,9 @@ exports.addExpense = async (req, res) => {
  */
 exports.getAdminSummary = async (req, res) => {
   try {
-    // 1. Fetch Global Fine Settings from Database
-    const settings = (await FineSetting.findOne().lean()) || {
-      gracePeriodMonths: 1,
-      finePercentage: 5,
-    };
+    // 1. Fetch the fine policy versions (each month uses the one in force) and fine holidays
+    const policyAt = await fines.loadPolicyTable();
+    const exemptionsFor = await fines.loadExemptionTable();
 
     // 2. Parallel Data Fetching for High-Performance Performance
     const [accounts, investmentStats, members, shareStats, fineReductions] =
@@ -392,13 +822,10 @@ exports.getAdminSummary = async (req, res) => {
           { $group: { _id: null, totalShares: { $sum: "$shares" } } },
         ]),
         /**
-         * 🔥 CORE UPDATE: Aggregate all fine reductions (Waivers + Payments)
-         * We subtract these categories from the calculated penalty to get the real 'Due' balance.
+         * 🔥 CORE UPDATE: All fine reductions (Waivers + Payments) per member
+         * We subtract these from the calculated penalty to get the real 'Due' balance.
          */
-        Transaction.aggregate([
-          { $match: { category: { $in: ["fine_waiver", "fine_payment"] } } },
-          { $group: { _id: "$user", totalReduced: { $sum: "$amount" } } },
-        ]),
+        fines.getFineReductions(),
       ]);
 
     // 3. Calculation of Society Liquidity (Total Net Worth)
@@ -410,18 +837,22 @@ exports.getAdminSummary = async (req, res) => {
     // 4. 🔥 CORE LOGIC: Aggregate Total Fine Due Society-Wide
     let societyTotalFine = 0;
 
+    const schedules = await dues.loadSchedules(members);
+
     members.forEach((member) => {
       // Find total of already paid or waived amounts for this specific member
-      const memberReduction = fineReductions.find(
-        (r) => r._id?.toString() === member._id?.toString(),
-      );
-      const totalReduced = memberReduction ? memberReduction.totalReduced : 0;
+      const totalReduced = fineReductions.get(String(member._id)) || 0;
 
       /**
        * 🚀 SYNCED CALCULATION:
-       * Uses the centralized helper to ensure 100% consistency across the platform.
+       * Uses the centralized fine engine over the member's dues schedule.
        */
-      const calc = calculateFineLogic(member, settings, totalReduced);
+      const calc = fines.calculateFine(
+        schedules.get(String(member._id)) || [],
+        policyAt,
+        totalReduced,
+        { exemptAt: exemptionsFor(member) },
+      );
       societyTotalFine += calc.fine;
     });
 
@@ -960,12 +1391,8 @@ exports.addInvestment = async (req, res) => {
       { session },
     );
 
-    // 5️⃣ Update Bank Balance
-    fundingBank.currentBalance -= Number(amount);
-    await fundingBank.save({ session });
-
-    // 6️⃣ Create Transaction Record (Audit Trail)
-    await Transaction.create(
+    // 5️⃣ Create Transaction Record (Audit Trail)
+    const [capitalTx] = await Transaction.create(
       [
         {
           user: req.user.id,
@@ -985,6 +1412,9 @@ exports.addInvestment = async (req, res) => {
       { session },
     );
 
+    // 6️⃣ Ledger Posting: Dr Investments at Cost / Cr Bank
+    await ledger.postTransaction(capitalTx, session);
+
     // 7️⃣ Commit Transaction - Critical for data integrity before notifications
     await session.commitTransaction();
     session.endSession();
@@ -1140,6 +1570,15 @@ exports.updateInvestment = async (req, res) => {
  * Removes project registry, cleans up legal files, and handles audit trail [cite: 2025-10-11].
  */
 exports.deleteInvestment = async (req, res) => {
+  // 🔒 Liquidations and write-offs are dated today and may not land in a closed period
+  try {
+    await assertPeriodOpen(new Date());
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ success: false, message: error.message });
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -1155,33 +1594,126 @@ exports.deleteInvestment = async (req, res) => {
         .json({ success: false, message: "Project not found." });
     }
 
+    let receipt = null;
+
     // 1. DYNAMIC TREASURY SYNC: Add closing value back to the Mother Account
     const targetBank = await BankAccount.findById(
       bankAccount || investment.bankAccount,
     ).session(session);
+
+    // Capital still carried for this project in the ledger
+    const investmentsAccount = await ledger.getSystemAccount(
+      "INVESTMENTS",
+      session,
+    );
+    const carryingValue = await ledger.getAccountBalance(
+      investmentsAccount._id,
+      { investment: investment._id },
+      session,
+    );
+
     if (targetBank && closingValue) {
-      targetBank.currentBalance += Number(closingValue);
-      await targetBank.save({ session });
+      const proceeds = Number(closingValue);
 
       // 2. CREATE AUDIT TRAIL: Record the final liquidation in the Ledger
-      await Transaction.create(
+      const [liquidationTx] = await Transaction.create(
         [
           {
             user: req.user.id,
             type: "deposit",
             category: "Investment",
             subcategory: investment.projectName,
-            amount: Number(closingValue),
+            amount: proceeds,
             month: new Date().toLocaleString("default", { month: "long" }),
             year: new Date().getFullYear(),
             date: new Date(),
             bankAccount: targetBank._id,
             remarks: `Project Liquidation: ${investment.projectName} closed.`,
             recordedBy: req.user.id,
+            referenceId: investment._id,
           },
         ],
         { session },
       );
+
+      // Dr Bank (proceeds) / Cr Investments (cost) / Cr-or-Dr Investment Profit (gain or loss)
+      await ledger.postTransaction(liquidationTx, session, [
+        {
+          account: await ledger.getBankLedgerAccount(
+            targetBank._id,
+            session,
+            req.user.id,
+          ),
+          amount: proceeds,
+          side: "debit",
+        },
+        {
+          account: investmentsAccount,
+          amount: carryingValue,
+          side: "credit",
+          investment: investment._id,
+        },
+        {
+          account: await ledger.getSystemAccount("INVESTMENT_INCOME", session),
+          amount: proceeds - carryingValue,
+          side: "credit",
+          investment: investment._id,
+        },
+      ]);
+
+      // 🧾 Receipt for the proceeds returned to the treasury
+      receipt = await receipts.issueReceipt(
+        {
+          kind: "investment_liquidation",
+          receivedFrom: investment.projectName,
+          amount: proceeds,
+          bankAccount: targetBank._id,
+          transactions: [liquidationTx._id],
+          lines: [
+            {
+              label: "Capital returned",
+              amount: Math.min(proceeds, carryingValue),
+            },
+            ...(proceeds > carryingValue
+              ? [
+                  {
+                    label: "Gain on liquidation",
+                    amount: proceeds - carryingValue,
+                  },
+                ]
+              : []),
+          ],
+          remarks: liquidationTx.remarks,
+          issuedBy: req.user.id,
+        },
+        session,
+      );
+    } else if (carryingValue > 0) {
+      // Closed without proceeds: write the remaining capital off
+      await ledger.postJournal(
+        {
+          description: `Project Write-off: ${investment.projectName} closed.`,
+          postedBy: req.user.id,
+          lines: [
+            {
+              account: await ledger.getSystemAccount(
+                "INVESTMENT_EXPENSES",
+                session,
+              ),
+              amount: carryingValue,
+              side: "debit",
+              investment: investment._id,
+            },
+            {
+              account: investmentsAccount,
+              amount: carryingValue,
+              side: "credit",
+              investment: investment._id,
+            },
+          ],
+        },
+        session,
+      );
     }
 
     // 3. STORAGE CLEANUP: Remove legal documents from server
@@ -1205,6 +1737,9 @@ exports.deleteInvestment = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Project liquidated and registry records removed successfully.",
+      receipt: receipt
+        ? { id: receipt._id, receiptNo: receipt.receiptNo }
+        : null,
     });
   } catch (error) {
     await session.abortTransaction();
@@ -1218,28 +1753,23 @@ exports.deleteInvestment = async (req, res) => {
 };
 
 /**
- * ✅ RECORD INVESTMENT PROFIT/EXPENSE
+ * ✅ INVESTMENT ENTRY EXECUTOR: Profit/expense against a project
  * Updates Project ROI, Bank Liquidity, and Global Ledger [cite: 2025-10-11].
  */
-exports.recordInvestmentProfit = async (req, res) => {
+exports.executeInvestmentEntry = async (payload, actor) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
-    const { amount, remarks, month, year, type, bankAccountId } = req.body;
-    const investment = await Investment.findById(req.params.id).session(
-      session,
-    );
-
-    if (!investment) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Project not found" });
-    }
+    const { investmentId, amount, remarks, month, year, type, bankAccountId } =
+      payload;
+    const investment = await Investment.findById(investmentId).session(session);
+    if (!investment) throw httpError(404, "Project not found");
 
     // 1. Identify the Target Bank for the Cash Flow [cite: 2025-10-11]
     const bank = await BankAccount.findById(bankAccountId).session(session);
     if (!bank) {
-      throw new Error(
+      throw httpError(
+        400,
         "A valid bank account must be selected to record profit/expense.",
       );
     }
@@ -1249,17 +1779,14 @@ exports.recordInvestmentProfit = async (req, res) => {
     // 2. Update Project Internal Ledger
     if (type === "expense") {
       investment.totalProfit -= numericAmount;
-      bank.currentBalance -= numericAmount; // Deduct from society liquidity
     } else {
       investment.totalProfit += numericAmount;
-      bank.currentBalance += numericAmount; // Add to society liquidity
     }
 
     await investment.save({ session });
-    await bank.save({ session });
 
     // 3. Create Global Transaction Record [cite: 2025-10-11]
-    const transaction = await Transaction.create(
+    const [transaction] = await Transaction.create(
       [
         {
           type: type === "expense" ? "expense" : "deposit",
@@ -1271,7 +1798,8 @@ exports.recordInvestmentProfit = async (req, res) => {
           month:
             month || new Date().toLocaleString("default", { month: "long" }),
           year: year || new Date().getFullYear(),
-          recordedBy: req.user.id,
+          recordedBy: actor.id,
+          ...approvals.approvalStamp(actor),
           date: new Date(),
           remarks: `${type === "expense" ? "Expense" : "Profit"} - ${
             investment.projectName
@@ -1282,7 +1810,57 @@ exports.recordInvestmentProfit = async (req, res) => {
       { session },
     );
 
+    // 4. Ledger Posting: Bank balance moves only through the journal
+    await ledger.postTransaction(transaction, session);
+    const updatedBank = await BankAccount.findById(bank._id)
+      .select("currentBalance")
+      .session(session);
+
     await session.commitTransaction();
+    return {
+      transaction,
+      updatedInvestment: investment,
+      newBankBalance: updatedBank.currentBalance,
+    };
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * ✅ RECORD INVESTMENT PROFIT/EXPENSE
+ * Admin entries are queued for a second signature before touching the bank.
+ */
+exports.recordInvestmentProfit = async (req, res) => {
+  try {
+    const { amount, type } = req.body;
+    const payload = { ...req.body, investmentId: req.params.id };
+
+    const investment = await Investment.findById(req.params.id).select(
+      "projectName",
+    );
+    if (!investment) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Project not found" });
+    }
+
+    const pending = await approvals.submitIfRequired(req, {
+      kind: "investment_entry",
+      amount: parseFloat(amount) || 0,
+      summary: `Project ${type === "expense" ? "expense" : "profit"} ৳${(
+        parseFloat(amount) || 0
+      ).toLocaleString()} – ${investment.projectName}`,
+      payload,
+    });
+    if (pending)
+      return res.status(202).json(approvals.pendingResponse(pending));
+
+    const { updatedInvestment, newBankBalance } =
+      await exports.executeInvestmentEntry(payload, { id: req.user.id });
 
     /**
      * 🚀 APP SYNC:
@@ -1292,17 +1870,13 @@ exports.recordInvestmentProfit = async (req, res) => {
     res.status(200).json({
       success: true,
       message: `Project ${type} recorded successfully`,
-      data: {
-        updatedInvestment: investment,
-        newBankBalance: bank.currentBalance,
-      },
+      data: { updatedInvestment, newBankBalance },
     });
   } catch (error) {
-    await session.abortTransaction();
     console.error("Investment ROI Update Error:", error.message);
-    res.status(500).json({ success: false, message: error.message });
-  } finally {
-    session.endSession();
+    res
+      .status(error.statusCode || 500)
+      .json({ success: false, message: error.message });
   }
 };
 
@@ -1467,6 +2041,39 @@ exports.downloadInvestmentReport = async (req, res) => {
   }
 };
 
+/**
+ * Filter for the transaction register from type, category, branch and
+ * startDate/endDate query parameters.
+ */
+const buildTransactionQuery = async ({
+  type,
+  category,
+  branch,
+  startDate,
+  endDate,
+}) => {
+  const query = {};
+  if (type) query.type = type;
+  if (category) query.category = category;
+
+  // Filter by Date Range if provided
+  if (startDate && endDate) {
+    query.date = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate),
+    };
+  }
+
+  // Join with Users to support Branch-based filtering
+  if (branch) {
+    // Find users in that branch first to filter transactions
+    const usersInBranch = await User.find({ branch }).select("_id");
+    const userIds = usersInBranch.map((u) => u._id);
+    query.user = { $in: userIds };
+  }
+  return query;
+};
+
 /**
  * ✅ GET ALL TRANSACTIONS: High-Performance Audit Trail
  * Optimized for Infinite Scroll (App) and Paginated Tables (Web) [cite: 2025-10-11].
@@ -1474,41 +2081,12 @@ exports.downloadInvestmentReport = async (req, res) => {
 exports.getAllTransactions = async (req, res) => {
   try {
     // 1. Extract Query Parameters for Filtering [cite: 2025-10-11]
-    const {
-      page = 1,
-      limit = 20,
-      type,
-      category,
-      branch,
-      startDate,
-      endDate,
-    } = req.query;
-
-    // 2. Build Dynamic Filter Object
-    const query = {};
-    if (type) query.type = type;
-    if (category) query.category = category;
-
-    // Filter by Date Range if provided
-    if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
-    }
-
-    // 3. Join with Users to support Branch-based filtering
-    // If filtering by branch, we use an aggregation or separate logic
-    let transactionQuery = Transaction.find(query);
+    const { page = 1, limit = 20 } = req.query;
 
-    if (branch) {
-      // Find users in that branch first to filter transactions
-      const usersInBranch = await User.find({ branch }).select("_id");
-      const userIds = usersInBranch.map((u) => u._id);
-      query.user = { $in: userIds };
-    }
+    // 2. Build Dynamic Filter Object (shared with the spreadsheet export)
+    const query = await buildTransactionQuery(req.query);
 
-    // 4. Execute Paginated Query
+    // 3. Execute Paginated Query
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const transactions = await Transaction.find(query)
@@ -1520,7 +2098,7 @@ exports.getAllTransactions = async (req, res) => {
       .limit(parseInt(limit))
       .lean();
 
-    // 5. Get Total Count for Frontend Pagination Logic
+    // 4. Get Total Count for Frontend Pagination Logic
     const totalTransactions = await Transaction.countDocuments(query);
 
     /**
@@ -1548,86 +2126,56 @@ exports.getAllTransactions = async (req, res) => {
 };
 
 /**
- * ✅ DELETE TRANSACTION: Super-Admin Governance
- * Reverses financial impact on Bank and User profiles before deletion [cite: 2025-10-11].
+ * @desc    Transaction register as .xlsx/.csv (same filters, no paging)
+ * @route   GET /api/finance/all-transactions/export?format=xlsx|csv
+ * @access  Admin/Super-Admin
  */
-exports.deleteTransaction = async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+exports.exportTransactions = async (req, res) => {
   try {
-    const transaction = await Transaction.findById(req.params.id).session(
-      session,
-    );
-
-    if (!transaction) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Transaction record not found." });
-    }
-
-    // 1. REVERSE BANK BALANCE [cite: 2025-10-11]
-    if (transaction.bankAccount) {
-      const bank = await BankAccount.findById(transaction.bankAccount).session(
-        session,
-      );
-      if (bank) {
-        if (transaction.type === "deposit") {
-          bank.currentBalance -= transaction.amount; // Reverse deposit
-        } else if (transaction.type === "expense") {
-          bank.currentBalance += transaction.amount; // Reverse expense
-        }
-        await bank.save({ session });
-      }
-    }
-
-    // 2. REVERSE MEMBER DEPOSIT (if applicable) [cite: 2025-10-11]
-    if (transaction.user && transaction.category === "monthly_deposit") {
-      const user = await User.findById(transaction.user).session(session);
-      if (user) {
-        user.totalDeposited -= transaction.amount;
-        // Optionally decrement shares if the logic requires it
-        await user.save({ session });
-      }
-    }
-
-    // 3. REVERSE INVESTMENT PROFIT (if applicable)
-    if (
-      transaction.referenceId &&
-      transaction.category.includes("investment")
-    ) {
-      const project = await Investment.findById(
-        transaction.referenceId,
-      ).session(session);
-      if (project) {
-        if (transaction.type === "deposit") {
-          project.totalProfit -= transaction.amount;
-        } else {
-          project.totalProfit += transaction.amount;
-        }
-        await project.save({ session });
-      }
-    }
-
-    // 4. Finalize Deletion
-    await transaction.deleteOne({ session });
-
-    await session.commitTransaction();
+    const query = await buildTransactionQuery(req.query);
+    const transactions = await Transaction.find(query)
+      .populate("user", "name phone branch")
+      .populate("recordedBy", "name")
+      .populate("bankAccount", "bankName accountNumber")
+      .sort({ date: -1 })
+      .lean();
 
-    res.status(200).json({
-      success: true,
-      message: "Transaction reversed and removed successfully.",
-      deletedId: req.params.id,
+    sendSheet(res, {
+      filename: `transactions-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: "Transactions",
+      format: exportFormat(req.query),
+      rows: transactions,
+      columns: [
+        { header: "Date", value: (t) => new Date(t.date) },
+        { header: "Type", value: (t) => t.type },
+        { header: "Category", value: (t) => t.category },
+        { header: "Subcategory", value: (t) => t.subcategory },
+        { header: "Amount", value: (t) => t.amount },
+        { header: "Month", value: (t) => t.month },
+        { header: "Year", value: (t) => t.year },
+        { header: "Member", value: (t) => t.user?.name },
+        { header: "Member Phone", value: (t) => t.user?.phone },
+        { header: "Branch", value: (t) => t.user?.branch },
+        {
+          header: "Bank Account",
+          value: (t) =>
+            t.bankAccount
+              ? `${t.bankAccount.bankName} (${t.bankAccount.accountNumber})`
+              : "",
+        },
+        { header: "Status", value: (t) => t.status || "posted" },
+        { header: "Recorded By", value: (t) => t.recordedBy?.name },
+        { header: "Remarks", value: (t) => t.remarks },
+        { header: "Transaction ID", value: (t) => String(t._id) },
+      ],
     });
   } catch (error) {
-    await session.abortTransaction();
-    console.error("Deletion/Reversal Error:", error.message);
+    console.error("Transaction Export Error:", error.message);
     res.status(500).json({
       success: false,
-      message: "Security protocols failed to reverse this transaction.",
+      message: "Failed to export transactions.",
       error: error.message,
     });
-  } finally {
-    session.endSession();
   }
 };
 
@@ -1730,12 +2278,9 @@ exports.getMemberSummary = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // 1. Fetch Dynamic Settings from database
-    const dbSettings = await FineSetting.findOne().lean();
-    const activeSettings = {
-      gracePeriodMonths: dbSettings?.gracePeriodMonths ?? 1,
-      finePercentage: dbSettings?.finePercentage ?? 5,
-    };
+    // 1. Fetch the fine policy versions (each month uses the one in force) and fine holidays
+    const policyAt = await fines.loadPolicyTable();
+    const exemptionsFor = await fines.loadExemptionTable();
 
     // 2. Parallel Data Fetching for Performance
     const [
@@ -1774,76 +2319,42 @@ exports.getMemberSummary = async (req, res) => {
       }).lean(),
       Investment.find({ status: "active" }).sort({ createdAt: -1 }).lean(),
       User.findById(userId).select(
-        "shares phone joiningDate monthlySubscription",
+        "shares phone joiningDate monthlySubscription branch exitDate",
       ),
-      Transaction.aggregate([
-        {
-          $match: {
-            user: new mongoose.Types.ObjectId(userId),
-            category: { $in: ["fine_waiver", "fine_payment"] },
-          },
-        },
-        { $group: { _id: null, total: { $sum: "$amount" } } },
-      ]),
+      fines.getFineReductions([userId]),
     ]);
 
     const globalData = globalStats[0] || { totalIncome: 0, totalExpense: 0 };
-    const totalReduced = fineReductions[0]?.total || 0;
+    const totalReduced = fineReductions.get(String(userId)) || 0;
 
-    // 3. 🔥 DYNAMIC FINE CALCULATION & MONTHLY BREAKDOWN
+    // 3. 🔥 DYNAMIC FINE CALCULATION & MONTHLY BREAKDOWN (from the dues schedule)
     let totalFineDue = 0;
     let overdueMonths = 0;
     let fineDetails = [];
 
     if (userDetails && userDetails.joiningDate) {
-      const today = new Date();
-      const start = new Date(userDetails.joiningDate);
-      const shareCount = userDetails.shares || 1;
-
-      // ✅ FIX: Use the stored subscription directly or calculate once if missing
-      // Do NOT multiply shareCount * monthlySubscription as that doubles the value
-      const monthlyInstallment =
-        userDetails.monthlySubscription || shareCount * 1000;
-
-      const monthlyFineRate =
-        (monthlyInstallment * activeSettings.finePercentage) / 100;
-
-      // Start calculating from the month AFTER joining
-      let checkDate = new Date(start.getFullYear(), start.getMonth() + 1, 1);
-
-      while (checkDate < new Date(today.getFullYear(), today.getMonth(), 1)) {
-        const yearDiff = today.getFullYear() - checkDate.getFullYear();
-        const monthDiff = today.getMonth() - checkDate.getMonth();
-        const monthsAgoFinished = yearDiff * 12 + monthDiff - 1;
-
-        // Cumulative fine logic for EVERY overdue month past grace period
-        if (monthsAgoFinished > activeSettings.gracePeriodMonths) {
-          const monthName = checkDate.toLocaleString("default", {
-            month: "long",
-          });
-          const yearName = checkDate.getFullYear();
-          const calculatedFine = Math.round(
-            monthsAgoFinished * monthlyFineRate,
-          );
-
-          fineDetails.push({
-            month: monthName,
-            year: yearName,
-            payableAmount: monthlyInstallment,
-            fineAmount: calculatedFine,
-          });
-
-          totalFineDue += calculatedFine;
-          overdueMonths++;
-        }
-        checkDate.setMonth(checkDate.getMonth() + 1);
-      }
+      const schedule =
+        (await dues.loadSchedules([userDetails])).get(
+          String(userDetails._id),
+        ) || [];
+      // Exited members stop accruing at their exit date
+      const calc = fines.calculateFine(schedule, policyAt, totalReduced, {
+        asOf: userDetails.exitDate
+          ? new Date(userDetails.exitDate)
+          : new Date(),
+        exemptAt: exemptionsFor(userDetails),
+      });
 
       // Subtract both waivers and cash payments from gross penalty
-      totalFineDue = Math.max(0, Math.round(totalFineDue) - totalReduced);
+      totalFineDue = calc.fine;
+      overdueMonths = calc.months;
+      fineDetails = calc.details;
     }
 
-    // 4. Response Data Mapped for React Native UI
+    // 4. Member loans: outstanding balance and the next EMI
+    const loanSummary = await loans.memberLoanSummary(userId);
+
+    // 5. Response Data Mapped for React Native UI
     res.status(200).json({
       success: true,
       data: {
@@ -1855,6 +2366,14 @@ exports.getMemberSummary = async (req, res) => {
         overdueMonths: overdueMonths,
         totalFineAdjustments: totalReduced,
 
+        loans: {
+          activeLoans: loanSummary.activeLoans,
+          principalOutstanding: loanSummary.principalOutstanding,
+          totalPayable: loanSummary.totalPayable,
+          overdueAmount: loanSummary.overdueAmount,
+          nextInstallment: loanSummary.nextInstallment,
+        },
+
         globalRegistry: {
           income: globalData.totalIncome,
           expense: globalData.totalExpense,
@@ -1905,35 +2424,26 @@ exports.getMemberHistory = async (req, res) => {
     const userId = req.params.id || req.user.id;
 
     // 1. FETCH CONFIG & CORE DATA IN PARALLEL
-    const [user, settings, historyData, fineReductions] = await Promise.all([
-      User.findById(userId)
-        .select(
-          "name totalDeposited shares branch joiningDate status profilePicture monthlySubscription",
-        )
-        .lean(),
-      FineSetting.findOne().lean() || {
-        gracePeriodMonths: 1,
-        finePercentage: 5,
-      },
-      Transaction.find({ user: userId })
-        .sort({ date: -1 })
-        .populate("recordedBy", "name")
-        .populate("bankAccount", "bankName accountNumber")
-        .lean(),
-      /**
-       * 🔥 Aggregate all fine reductions (Waivers + Paid Fines)
-       * We treat 'fine_payment' and 'fine_waiver' as deductions from the gross penalty.
-       */
-      Transaction.aggregate([
-        {
-          $match: {
-            user: new mongoose.Types.ObjectId(userId),
-            category: { $in: ["fine_waiver", "fine_payment"] },
-          },
-        },
-        { $group: { _id: null, total: { $sum: "$amount" } } },
-      ]),
-    ]);
+    const [user, policyAt, exemptionsFor, historyData, fineReductions] =
+      await Promise.all([
+        User.findById(userId)
+          .select(
+            "name totalDeposited shares branch joiningDate status profilePicture monthlySubscription exitDate exitReason exitSettlement",
+          )
+          .lean(),
+        fines.loadPolicyTable(),
+        fines.loadExemptionTable(),
+        Transaction.find({ user: userId })
+          .sort({ date: -1 })
+          .populate("recordedBy", "name")
+          .populate("bankAccount", "bankName accountNumber")
+          .lean(),
+        /**
+         * 🔥 All fine reductions (Waivers + Paid Fines)
+         * We treat 'fine_payment' and 'fine_waiver' as deductions from the gross penalty.
+         */
+        fines.getFineReductions([userId]),
+      ]);
 
     if (!user) {
       return res
@@ -1942,13 +2452,36 @@ exports.getMemberHistory = async (req, res) => {
     }
 
     // 2. 🔥 DYNAMIC FINE CALCULATION USING HELPER
-    const totalReduced = fineReductions[0]?.total || 0;
+    const totalReduced = fineReductions.get(String(user._id)) || 0;
+    const schedule =
+      (await dues.loadSchedules([user])).get(String(user._id)) || [];
 
     /**
      * 🚀 SYNCED CALCULATION:
-     * Uses centralized logic to calculate cumulative fines and subtract adjustments.
+     * Uses centralized logic over the dues schedule and subtracts adjustments.
      */
-    const calc = calculateFineLogic(user, settings, totalReduced);
+    // Exited members stop accruing at their exit date
+    const calc = fines.calculateFine(schedule, policyAt, totalReduced, {
+      asOf: user.exitDate ? new Date(user.exitDate) : new Date(),
+      exemptAt: exemptionsFor(user),
+    });
+
+    const memberReceipts = await Receipt.find({ member: user._id })
+      .sort({ issuedAt: -1 })
+      .lean();
+
+    const loanSummary = await loans.memberLoanSummary(user._id);
+
+    // Fine holidays granted to this member or their branch
+    const exemptions = await FineExemption.find({
+      $or: [
+        { scope: "member", member: user._id },
+        { scope: "branch", branch: user.branch },
+      ],
+    })
+      .sort({ fromMonth: -1 })
+      .populate("grantedBy revokedBy", "name")
+      .lean();
 
     // 3. DATA NORMALIZATION FOR MODERN UI
     res.status(200).json({
@@ -1964,10 +2497,105 @@ exports.getMemberHistory = async (req, res) => {
           totalFineDue: calc.fine, // Net remaining balance
           overdueMonths: calc.months,
           totalFineAdjustments: totalReduced, // Combined Waivers + Payments
+          loanOutstanding: loanSummary.totalPayable,
+          loanOverdue: loanSummary.overdueAmount,
           joiningDate: user.joiningDate,
           accountStatus: user.status.toUpperCase(),
+          exit: user.exitDate
+            ? {
+                date: user.exitDate,
+                reason: user.exitReason,
+                settlement: user.exitSettlement,
+              }
+            : null,
           lastActivity: historyData.length > 0 ? historyData[0].date : null,
         },
+        fineDetails: calc.details,
+        // Loans with their EMI schedule and repayments (principal/interest split)
+        loans: loanSummary.loans.map((l) => ({
+          id: l._id,
+          status: l.status,
+          requestedAmount: l.requestedAmount,
+          principal: l.principal,
+          interestRate: l.interestRate,
+          interestMethod: l.interestMethod,
+          tenureMonths: l.tenureMonths,
+          purpose: l.purpose,
+          guarantors: (l.guarantors || []).map((g) => g.name),
+          appliedAt: l.appliedAt,
+          disbursedAt: l.disbursedAt || null,
+          closedAt: l.closedAt || null,
+          bank: l.bankAccount ? l.bankAccount.bankName : null,
+          position: l.position
+            ? {
+                principalOutstanding: l.position.principalOutstanding,
+                interestOutstanding: l.position.interestOutstanding,
+                penaltyDue: l.position.penaltyDue,
+                totalPayable: l.position.totalPayable,
+                overdueAmount: l.position.overdueAmount,
+                nextInstallment: l.position.nextInstallment,
+              }
+            : null,
+          schedule: l.position ? l.position.installments : l.schedule,
+          repayments: l.repayments.map((r) => ({
+            date: r.date,
+            amount: r.amount,
+            principal: r.principal,
+            interest: r.interest,
+            penalty: r.penalty,
+            transaction: r.transaction,
+            receipt: r.receipt,
+          })),
+        })),
+        // Numbered receipts; the PDF is served by /api/finance/receipts/:id/pdf
+        receipts: memberReceipts.map((r) => ({
+          id: r._id,
+          receiptNo: r.receiptNo,
+          kind: r.kind,
+          amount: r.amount,
+          issuedAt: r.issuedAt,
+          status: r.status,
+          transactions: r.transactions,
+          pdfUrl: `/api/finance/receipts/${r._id}/pdf`,
+        })),
+        fineExemptions: exemptions.map((e) => ({
+          id: e._id,
+          scope: e.scope,
+          from: dues.monthLabel(
+            new Date(e.fromMonth).getFullYear(),
+            new Date(e.fromMonth).getMonth() + 1,
+          ),
+          to: dues.monthLabel(
+            new Date(e.toMonth).getFullYear(),
+            new Date(e.toMonth).getMonth() + 1,
+          ),
+          reason: e.reason,
+          status: e.status,
+          grantedBy: e.grantedBy?.name || null,
+          grantedAt: e.createdAt,
+          revokedBy: e.revokedBy?.name || null,
+          revokedAt: e.revokedAt || null,
+        })),
+        // Per-month obligations, newest first, with the deposits allocated to each
+        advanceCredit: dues.advanceCreditOf(schedule),
+        duesSchedule: schedule
+          .map((d) => ({
+            id: d._id,
+            month: dues.MONTH_NAMES[d.month - 1],
+            year: d.year,
+            amountDue: d.amountDue,
+            amountPaid: d.amountPaid,
+            outstanding: Math.max(0, d.amountDue - d.amountPaid),
+            status: d.status,
+            paidDate: d.paidDate,
+            isAdvance: new Date(d.year, d.month - 1, 1) > new Date(),
+            allocations: d.payments.map((p) => ({
+              transaction: p.transaction,
+              amount: p.amount,
+              date: p.date,
+            })),
+          }))
+          .reverse(),
         // Mapping history for professional list view
         transactions: historyData.map((t) => ({
           id: t._id,
@@ -1989,6 +2617,14 @@ exports.getMemberHistory = async (req, res) => {
               }
             : null,
           recordedBy: t.recordedBy?.name || "System",
+          // 🔥 Reversal linkage: voided originals and their contra entries
+          status: t.status || "posted",
+          isVoided: t.status === "voided",
+          isReversal: !!t.reversalOf,
+          reversalOf: t.reversalOf || null,
+          reversedBy: t.reversedBy || null,
+          voidReason: t.voidReason || null,
+          remarks: t.remarks,
         })),
       },
     });
@@ -2034,82 +2670,35 @@ exports.getInvestmentById = async (req, res) => {
 };
 
 /**
- * ✅ HELPER: ক্যালকুলেশন লজিক (রিয়েল-টাইম সেটিংস সহ)
- */
-/**
- * ✅ CENTRALIZED FINE CALCULATOR
- * Calculated for every overdue month after the grace period.
- */
-/**
- * ✅ CENTRALIZED FINE CALCULATOR
- * Calculates cumulative fines for every month exceeding the grace period.
- * Subtracts both administrative waivers and actual cash payments already made.
+ * ✅ FINE WAIVER EXECUTOR
+ * Records a waiver transaction that reduces the member's total penalty.
  */
-const calculateFineLogic = (member, settings, totalReduced = 0) => {
-  const { gracePeriodMonths, finePercentage } = settings;
-  const today = new Date();
-
-  // 1. Installment & Monthly Fine Rate based on shares
-  const monthlyInstallment =
-    (member.shares || 1) * (member.monthlySubscription || 1000);
-  const monthlyFineRate = (monthlyInstallment * finePercentage) / 100;
-
-  // 2. Determine start and end points for calculation
-  const joiningDate = new Date(member.joiningDate);
-  // Calculation only goes up to the last fully finished month (e.g., if today is June, last finished is May)
-  const lastFinishedMonthIndex = today.getMonth() - 1;
-  const currentYear = today.getFullYear();
-
-  let grossFine = 0;
-  let overdueMonthsCount = 0;
-
-  /**
-   * 🚀 TIME-WEIGHTED ITERATION:
-   * We start from the month after joining and iterate through every month up to the last finished month.
-   */
-  let checkDate = new Date(
-    joiningDate.getFullYear(),
-    joiningDate.getMonth() + 1,
-    1,
-  );
-
-  while (checkDate < new Date(currentYear, today.getMonth(), 1)) {
-    // Calculate how many months have passed since this specific month ended
-    const yearDiff = today.getFullYear() - checkDate.getFullYear();
-    const monthDiff = today.getMonth() - checkDate.getMonth();
-    const monthsAgoFinished = yearDiff * 12 + monthDiff - 1;
-
-    /**
-     * ✅ YOUR SPECIFIC RULE:
-     * If grace period is 2, and a month finished 3 months ago, it gets 3 months of fines.
-     * If it finished 2 months ago, it is within grace and gets 0 fines.
-     */
-    if (monthsAgoFinished > gracePeriodMonths) {
-      grossFine += monthsAgoFinished * monthlyFineRate;
-      overdueMonthsCount++;
-    }
-
-    // Increment iterator by one month
-    checkDate.setMonth(checkDate.getMonth() + 1);
-  }
-
-  // 3. Final balance after manual waivers or partial payments
-  const remainingFine = Math.max(0, Math.round(grossFine) - totalReduced);
-
-  return {
-    fine: remainingFine,
-    months: overdueMonthsCount,
-    totalReduced: totalReduced,
-  };
+exports.executeFineWaiver = async (payload, actor) => {
+  const { userId, waiveAmount, remarks } = payload;
+
+  // 🔒 Waivers are dated today and may not land in a closed period
+  await assertPeriodOpen(new Date());
+
+  // 🔥 Create an adjustment record
+  return Transaction.create({
+    user: userId,
+    type: "adjustment", // Matches updated enum
+    category: "fine_waiver", // Matches calculation logic
+    amount: Number(waiveAmount),
+    date: new Date(),
+    recordedBy: actor.id,
+    ...approvals.approvalStamp(actor),
+    bankAccount: null, // Waiver does not affect bank balance
+    remarks: remarks || "", // Remarks now strictly optional
+  });
 };
 
 /**
  * ✅ PARTIAL FINE WAIVER: Audit Trail Integration
- * Records a waiver transaction that reduces the member's total penalty.
  */
 exports.waiveFinePartial = async (req, res) => {
   try {
-    const { userId, waiveAmount, remarks } = req.body;
+    const { userId, waiveAmount } = req.body;
 
     if (!userId || !waiveAmount) {
       return res.status(400).json({
@@ -2118,16 +2707,19 @@ exports.waiveFinePartial = async (req, res) => {
       });
     }
 
-    // 🔥 Create an adjustment record
-    const waiverTransaction = await Transaction.create({
-      user: userId,
-      type: "adjustment", // Matches updated enum
-      category: "fine_waiver", // Matches calculation logic
+    const member = await User.findById(userId).select("name");
+    const pending = await approvals.submitIfRequired(req, {
+      kind: "fine_waiver",
       amount: Number(waiveAmount),
-      date: new Date(),
-      recordedBy: req.user.id,
-      bankAccount: null, // Waiver does not affect bank balance
-      remarks: remarks || "", // Remarks now strictly optional
+      summary: `Fine waiver ৳${Number(waiveAmount).toLocaleString()} for ${
+        member?.name || "member"
+      }`,
+    });
+    if (pending)
+      return res.status(202).json(approvals.pendingResponse(pending));
+
+    const waiverTransaction = await exports.executeFineWaiver(req.body, {
+      id: req.user.id,
     });
 
     res.status(201).json({
@@ -2137,60 +2729,200 @@ exports.waiveFinePartial = async (req, res) => {
     });
   } catch (error) {
     console.error("Partial Waiver Error:", error.message);
-    res
-      .status(500)
-      .json({ success: false, message: "Server error during waiver" });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Server error during waiver",
+    });
   }
 };
 
 /**
- * ✅ COLLECT PAID FINE
+ * ✅ FINE PAYMENT EXECUTOR
  * Adds money to the bank but NOT to member's personal savings (totalDeposited).
+ * The amount is applied to the oldest fined months first and a numbered
+ * receipt is issued in the same session.
  */
-exports.collectPaidFine = async (req, res) => {
+exports.executeFinePayment = async (payload, actor) => {
+  const { userId, amount, bankAccountId, remarks } = payload;
+  const paidAmount = Number(amount);
+
+  // 🔒 Fine payments are dated today and may not land in a closed period
+  await assertPeriodOpen(new Date());
+
+  const member = await User.findById(userId).select(
+    "name email role branch joiningDate shares fcmTokens",
+  );
+  if (!member || member.role !== "member") {
+    throw httpError(404, "Member not found.");
+  }
+  const bank = await BankAccount.findById(bankAccountId);
+  if (!bank) throw httpError(404, "Target bank account not found.");
+
   const session = await mongoose.startSession();
   session.startTransaction();
+  let outcome;
   try {
-    const { userId, amount, bankAccountId, remarks } = req.body;
+    // Outstanding fine from the engine (policies, holidays, earlier payments)
+    const [policyAt, exemptionsFor, reductions] = await Promise.all([
+      fines.loadPolicyTable(),
+      fines.loadExemptionTable(),
+      fines.getFineReductions([member._id]),
+    ]);
+    const schedule =
+      (await dues.loadSchedules([member], session)).get(String(member._id)) ||
+      [];
+    const calc = fines.calculateFine(
+      schedule,
+      policyAt,
+      reductions.get(String(member._id)) || 0,
+      { exemptAt: exemptionsFor(member) },
+    );
 
-    const bank = await BankAccount.findById(bankAccountId).session(session);
-    if (!bank) throw new Error("Target bank account not found.");
+    if (calc.fine <= 0) {
+      throw httpError(400, `${member.name} has no outstanding fine.`);
+    }
+    if (paidAmount > calc.fine) {
+      throw httpError(
+        400,
+        `Amount exceeds the outstanding fine of ৳${calc.fine.toLocaleString()}.`,
+      );
+    }
+
+    const allocations = fines.allocateFinePayment(calc, paidAmount);
 
     // 1. Create Transaction
-    const finePaid = await Transaction.create(
+    const [finePaid] = await Transaction.create(
       [
         {
-          user: userId,
+          user: member._id,
           type: "deposit",
           category: "fine_payment", // Distinct from monthly_deposit
-          amount: Number(amount),
-          bankAccount: bankAccountId,
-          recordedBy: req.user.id,
+          amount: paidAmount,
+          bankAccount: bank._id,
+          recordedBy: actor.id,
+          ...approvals.approvalStamp(actor),
           date: new Date(),
-          remarks: remarks || "Penalty payment received.",
+          remarks:
+            remarks ||
+            `Penalty payment: ${allocations.map((a) => a.label).join(", ")}`,
         },
       ],
       { session },
     );
 
-    // 2. Update Bank Balance
-    bank.currentBalance += Number(amount);
-    await bank.save({ session });
+    // 2. Ledger Posting: Dr Bank / Cr Fine Income
+    // 🔥 NOTE: Fine income never touches Member Savings, so totalDeposited is unaffected.
+    await ledger.postTransaction(finePaid, session);
 
-    // 🔥 NOTE: We do NOT call User.findByIdAndUpdate with $inc: { totalDeposited: amount }
-    // This ensures the fine is not treated as member savings.
+    // 3. Numbered receipt
+    const receipt = await receipts.issueReceipt(
+      {
+        kind: "fine_payment",
+        member: member._id,
+        receivedFrom: member.name,
+        amount: paidAmount,
+        bankAccount: bank._id,
+        transactions: [finePaid._id],
+        lines: allocations.map((a) => ({
+          label: `Late fine: ${a.label}`,
+          amount: a.applied,
+        })),
+        remarks: finePaid.remarks,
+        issuedBy: actor.id,
+      },
+      session,
+    );
 
     await session.commitTransaction();
-    res.status(200).json({
-      success: true,
-      message: "Fine collected and added to Treasury.",
-    });
+    outcome = {
+      transaction: finePaid,
+      receipt,
+      allocations,
+      remainingFine: calc.fine - paidAmount,
+    };
   } catch (error) {
     await session.abortTransaction();
-    res.status(500).json({ success: false, error: error.message });
+    throw error;
   } finally {
     session.endSession();
   }
+
+  // 4. 🔔 Bell, push and email (failures never undo the payment)
+  const body = `Fine payment of ৳${paidAmount.toLocaleString()} received. Receipt ${outcome.receipt.receiptNo}.`;
+  Notification.create({
+    userId: member._id,
+    title: "Fine Payment Received 🧾",
+    body,
+    type: "PAYMENT",
+    referenceId: outcome.receipt._id,
+  }).catch((e) => console.error("Bell Error:", e));
+
+  if (member.fcmTokens?.length > 0) {
+    sendPushNotification(member.fcmTokens, {
+      notification: { title: "Fine Payment Received 🧾", body },
+      data: { screen: "Dashboard", type: "FINE_PAYMENT" },
+    }).catch((e) => console.error("Push Error:", e));
+  }
+
+  if (member.email) {
+    sendFineReceiptEmail(member.email, {
+      name: member.name,
+      amount: paidAmount,
+      date: new Date().toLocaleDateString("en-GB"),
+      receiptNo: outcome.receipt.receiptNo,
+      allocations: outcome.allocations,
+      remainingFine: outcome.remainingFine,
+    }).catch((e) => console.error("Fine Receipt Email Error:", e.message));
+  }
+
+  return outcome;
+};
+
+/**
+ * @desc    Collect a (partial) fine payment into any bank account
+ * @route   POST /api/finance/collect-fine
+ * @access  Admin/Super-Admin (admin entries wait for a second signature)
+ */
+exports.collectPaidFine = async (req, res) => {
+  try {
+    const { userId, amount, bankAccountId } = req.body;
+
+    if (!userId || !bankAccountId || !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Member, bank account and a positive amount are required.",
+      });
+    }
+
+    const member = await User.findById(userId).select("name");
+    const pending = await approvals.submitIfRequired(req, {
+      kind: "fine_payment",
+      amount: Number(amount),
+      summary: `Fine payment ৳${Number(amount).toLocaleString()} from ${
+        member?.name || "member"
+      }`,
+    });
+    if (pending)
+      return res.status(202).json(approvals.pendingResponse(pending));
+
+    const outcome = await exports.executeFinePayment(req.body, {
+      id: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Fine collected and added to Treasury. Receipt ${outcome.receipt.receiptNo}.`,
+      data: outcome,
+    });
+  } catch (error) {
+    console.error("Fine Collection Error:", error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode
+        ? error.message
+        : "Server error during fine collection",
+    });
+  }
 };
 
 /**
@@ -2201,15 +2933,26 @@ exports.getFineSettings = async (req, res) => {
   try {
     let settings = await FineSetting.findOne();
 
-    // যদি ডিবিতে ডাটা না থাকে তবে ডিফল্ট ক্রিয়েট করবে
+    // যদি ডিবিতে ডাটা না থাকে তবে ডিফল্ট ক্রিয়েট করবে
     if (!settings) {
-      settings = await FineSetting.create({
-        gracePeriodMonths: 1,
-        finePercentage: 5,
-      });
+      settings = await FineSetting.create(fines.DEFAULT_SETTINGS);
     }
 
-    res.status(200).json({ success: true, data: settings });
+    // Versioned history: each due month is fined under the version in force for it
+    const policies = await fines.getPolicies();
+    const now = new Date();
+    const currentPolicy = (await fines.loadPolicyTable())(
+      now.getFullYear(),
+      now.getMonth() + 1,
+    );
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+      currentPolicy,
+      formulas: Object.keys(fines.FINE_FORMULAS),
+      policies: [...policies].reverse(),
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -2221,35 +2964,152 @@ exports.getFineSettings = async (req, res) => {
  */
 exports.updateFineSettings = async (req, res) => {
   try {
-    const { gracePeriodMonths, finePercentage } = req.body;
+    const { effectiveFrom, note } = req.body;
+    const fields = [
+      "formula",
+      "gracePeriodMonths",
+      "finePercentage",
+      "flatFee",
+      "maxFinePerMonth",
+      "maxFinePerMember",
+    ];
 
-    if (gracePeriodMonths === undefined || finePercentage === undefined) {
+    if (fields.every((key) => req.body[key] === undefined)) {
       return res
         .status(400)
         .json({ success: false, message: "Parameters required." });
     }
 
-    // ডাটাবেসে আপডেট বা ক্রিয়েট (Upsert)
-    const settings = await FineSetting.findOneAndUpdate(
-      {},
-      {
-        gracePeriodMonths: Number(gracePeriodMonths),
-        finePercentage: Number(finePercentage),
-        lastUpdatedBy: req.user.id,
-      },
-      { new: true, upsert: true },
+    // 🔒 A new version applies from its month onwards, never to past months
+    const now = new Date();
+    const currentMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    const effectiveMonth = effectiveFrom
+      ? dues.parseMonthStart(effectiveFrom)
+      : currentMonth;
+    if (!effectiveMonth || effectiveMonth < currentMonth) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "effectiveFrom must be the current or a future month (YYYY-MM).",
+      });
+    }
+
+    // Parameters left out carry over from the version in force at that month
+    const policies = await fines.getPolicies();
+    const basePolicy = (await fines.loadPolicyTable())(
+      effectiveMonth.getFullYear(),
+      effectiveMonth.getMonth() + 1,
     );
+    const values = fines.normalizePolicy(req.body, basePolicy);
+
+    const latestVersion = Math.max(...policies.map((p) => p.version), 0);
+    const policy = await FinePolicy.create({
+      version: latestVersion + 1,
+      effectiveFrom: effectiveMonth,
+      ...values,
+      note,
+      createdBy: req.user.id,
+    });
+
+    // ডাটাবেসে আপডেট বা ক্রিয়েট (Upsert) — mirrors the policy in force today
+    let settings = await FineSetting.findOne();
+    if (effectiveMonth.getTime() === currentMonth.getTime() || !settings) {
+      settings = await FineSetting.findOneAndUpdate(
+        {},
+        { ...values, lastUpdatedBy: req.user.id },
+        { new: true, upsert: true },
+      );
+    }
 
     res.status(200).json({
       success: true,
-      message: "Fine Engine Configured & Synchronized!",
+      message: `Fine Engine Configured: policy v${policy.version} applies from ${dues.monthLabel(
+        effectiveMonth.getFullYear(),
+        effectiveMonth.getMonth() + 1,
+      )}.`,
       data: settings,
+      policy,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
     res.status(500).json({ success: false, message: "Internal Server Error" });
   }
 };
 
+/**
+ * Active members who owe fines or overdue installments, optionally narrowed
+ * by branch and a name/phone search.
+ */
+const buildDefaulterRegistry = async ({ branch, search } = {}) => {
+  // 1. Fetch the fine policy versions (each month uses the one in force) and fine holidays
+  const policyAt = await fines.loadPolicyTable();
+  const exemptionsFor = await fines.loadExemptionTable();
+
+  const memberFilter = { role: "member", status: "active" };
+  if (branch && branch !== "All") memberFilter.branch = branch;
+  if (search) {
+    memberFilter.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { phone: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  // 2. Parallel Fetch: Active members and all fine-related ledger adjustments
+  const [members, fineReductions] = await Promise.all([
+    User.find(memberFilter).select(
+      "name phone joiningDate shares branch monthlySubscription",
+    ),
+    fines.getFineReductions(),
+  ]);
+
+  const schedules = await dues.loadSchedules(members);
+
+  // 3. Process Defaulter Registry with Dynamic Calculations
+  return members
+    .map((member) => {
+      // Find total reductions (Paid Fines + Admin Waivers) for this member
+      const totalReducedAmount = fineReductions.get(String(member._id)) || 0;
+
+      /**
+       * 🚀 REAL-TIME CALCULATION:
+       * Calculates overdue months, time-weighted fine, and dynamic principal due.
+       */
+      const calc = fines.calculateFine(
+        schedules.get(String(member._id)) || [],
+        policyAt,
+        totalReducedAmount,
+        { exemptAt: exemptionsFor(member) },
+      );
+
+      /**
+       * ✅ INCLUSION LOGIC:
+       * Include member if they owe a penalty OR if they have overdue months (Principal Due).
+       */
+      if (calc.fine > 0 || calc.months > 0) {
+        return {
+          ...member._doc,
+          totalFineDue: calc.fine, // Penalty amount after reductions
+          overdueMonths: calc.months, // Total calendar months past grace period
+          dueAmount: calc.dueAmount, // Unpaid installments for months past grace
+          totalReductions: totalReducedAmount, // Total ledger adjustments (Paid + Waived)
+          unpaidMonths: calc.details
+            .filter((d) => d.status !== "paid")
+            .map((d) => d.label),
+          fineDetails: calc.details, // Each line names the policy version that produced it
+          exemptMonths: calc.details
+            .filter((d) => d.exemption)
+            .map((d) => ({ label: d.label, reason: d.exemption.reason })),
+        };
+      }
+      return null;
+    })
+    .filter((m) => m !== null);
+};
+
 /**
  * @desc    Get Defaulter List with Dynamic Calculations
  * @route   GET /api/finance/defaulters
@@ -2257,67 +3117,9 @@ exports.updateFineSettings = async (req, res) => {
  */
 exports.getDefaulterList = async (req, res) => {
   try {
-    // 1. Fetch current dynamic engine settings
-    const settings = (await FineSetting.findOne()) || {
-      gracePeriodMonths: 1,
-      finePercentage: 5,
-    };
-
-    // 2. Parallel Fetch: Active members and all fine-related ledger adjustments
-    const [members, fineReductions] = await Promise.all([
-      User.find({ role: "member", status: "active" }).select(
-        "name phone joiningDate shares branch monthlySubscription",
-      ),
-      Transaction.aggregate([
-        {
-          $match: {
-            category: { $in: ["fine_waiver", "fine_payment"] },
-          },
-        },
-        {
-          $group: {
-            _id: "$user",
-            totalReduced: { $sum: "$amount" },
-          },
-        },
-      ]),
-    ]);
-
-    // 3. Process Defaulter Registry with Dynamic Calculations
-    const defaulters = members
-      .map((member) => {
-        // Find total reductions (Paid Fines + Admin Waivers) for this member
-        const reductionData = fineReductions.find(
-          (r) => r._id.toString() === member._id.toString(),
-        );
-        const totalReducedAmount = reductionData
-          ? reductionData.totalReduced
-          : 0;
+    const defaulters = await buildDefaulterRegistry(req.query);
 
-        /**
-         * 🚀 REAL-TIME CALCULATION:
-         * Calculates overdue months, time-weighted fine, and dynamic principal due.
-         */
-        const calc = calculateFineLogic(member, settings, totalReducedAmount);
-
-        /**
-         * ✅ INCLUSION LOGIC:
-         * Include member if they owe a penalty OR if they have overdue months (Principal Due).
-         */
-        if (calc.fine > 0 || calc.months > 0) {
-          return {
-            ...member._doc,
-            totalFineDue: calc.fine, // Penalty amount after reductions
-            overdueMonths: calc.months, // Total calendar months past grace period
-            dueAmount: calc.dueAmount, // Dynamic Principal (Installment Rate * Overdue Months)
-            totalReductions: totalReducedAmount, // Total ledger adjustments (Paid + Waived)
-          };
-        }
-        return null;
-      })
-      .filter((m) => m !== null);
-
-    // 4. Respond with formatted registry data for the frontend table
+    // Respond with formatted registry data for the frontend table
     res.status(200).json({
       success: true,
       count: defaulters.length,
@@ -2332,3 +3134,43 @@ exports.getDefaulterList = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Defaulter registry as .xlsx/.csv (same filters)
+ * @route   GET /api/finance/defaulters/export?format=xlsx|csv
+ * @access  Admin/Super-Admin
+ */
+exports.exportDefaulters = async (req, res) => {
+  try {
+    const defaulters = await buildDefaulterRegistry(req.query);
+
+    sendSheet(res, {
+      filename: `defaulters-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: "Defaulters",
+      format: exportFormat(req.query),
+      rows: defaulters,
+      columns: [
+        { header: "Name", value: (m) => m.name },
+        { header: "Phone", value: (m) => m.phone },
+        { header: "Branch", value: (m) => m.branch },
+        { header: "Shares", value: (m) => m.shares },
+        { header: "Overdue Months", value: (m) => m.overdueMonths },
+        { header: "Unpaid Months", value: (m) => m.unpaidMonths.join(", ") },
+        { header: "Installments Due", value: (m) => m.dueAmount },
+        { header: "Fine Due", value: (m) => m.totalFineDue },
+        { header: "Fines Paid/Waived", value: (m) => m.totalReductions },
+        {
+          header: "Fine Holiday Months",
+          value: (m) => m.exemptMonths.map((e) => e.label).join(", "),
+        },
+      ],
+    });
+  } catch (error) {
+    console.error("Defaulter Export Error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export defaulter registry.",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,161 @@
+const mongoose = require("mongoose");
+const FineExemption = require("../models/FineExemption");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { parseMonthStart, monthLabel } = require("../services/duesService");
+
+const labelOf = (date) =>
+  monthLabel(new Date(date).getFullYear(), new Date(date).getMonth() + 1);
+
+/**
+ * @desc    List fine holidays (filter by member, branch, status)
+ * @route   GET /api/finance/fine-exemptions
+ * @access  Admin/Super-Admin
+ */
+exports.getFineExemptions = async (req, res) => {
+  try {
+    const { member, branch, status } = req.query;
+    const query = {};
+
+    if (member && mongoose.isValidObjectId(member)) {
+      // A member's own holidays plus the ones granted to their branch
+      const user = await User.findById(member).select("branch").lean();
+      query.$or = [
+        { scope: "member", member },
+        ...(user ? [{ scope: "branch", branch: user.branch }] : []),
+      ];
+    }
+    if (branch) query.branch = branch;
+    if (status) query.status = status;
+
+    const exemptions = await FineExemption.find(query)
+      .sort({ fromMonth: -1 })
+      .populate("member", "name phone branch")
+      .populate("grantedBy revokedBy", "name")
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: exemptions.length,
+      data: exemptions.map((e) => ({
+        ...e,
+        fromLabel: labelOf(e.fromMonth),
+        toLabel: labelOf(e.toMonth),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Put a member or a whole branch on a fine holiday
+ * @route   POST /api/finance/fine-exemptions
+ * @access  Admin/Super-Admin
+ */
+exports.createFineExemption = async (req, res) => {
+  try {
+    const { scope, memberId, branch, fromMonth, toMonth, reason } = req.body;
+
+    const from = parseMonthStart(fromMonth);
+    const to = parseMonthStart(toMonth || fromMonth);
+    if (!["member", "branch"].includes(scope) || !from || !to) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "scope (member/branch) and fromMonth/toMonth (YYYY-MM) are required.",
+      });
+    }
+    if (to < from) {
+      return res
+        .status(400)
+        .json({ success: false, message: "toMonth is before fromMonth." });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required for a fine exemption.",
+      });
+    }
+
+    let member = null;
+    if (scope === "member") {
+      member = mongoose.isValidObjectId(memberId)
+        ? await User.findById(memberId).select("name role")
+        : null;
+      if (!member || member.role !== "member") {
+        return res
+          .status(404)
+          .json({ success: false, message: "Member not found." });
+      }
+    } else if (!User.schema.path("branch").enumValues.includes(branch)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Unknown branch." });
+    }
+
+    const exemption = await FineExemption.create({
+      scope,
+      member: member ? member._id : null,
+      branch: scope === "branch" ? branch : null,
+      fromMonth: from,
+      toMonth: to,
+      reason: String(reason).trim(),
+      grantedBy: req.user.id,
+    });
+
+    // 🔔 Let the member know their fines are paused
+    if (member) {
+      await Notification.create({
+        userId: member._id,
+        title: "Fine Holiday Granted",
+        body: `No late fines will accrue for ${labelOf(from)} – ${labelOf(to)}.`,
+        type: "GENERAL",
+        referenceId: exemption._id,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Fine holiday recorded for ${labelOf(from)} – ${labelOf(to)}.`,
+      data: exemption,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Revoke a fine holiday (the record is kept)
+ * @route   PATCH /api/finance/fine-exemptions/:id/revoke
+ * @access  Admin/Super-Admin
+ */
+exports.revokeFineExemption = async (req, res) => {
+  try {
+    const exemption = await FineExemption.findOneAndUpdate(
+      { _id: req.params.id, status: "active" },
+      {
+        status: "revoked",
+        revokedBy: req.user.id,
+        revokedAt: new Date(),
+        revokeReason: req.body.reason,
+      },
+      { new: true },
+    );
+
+    if (!exemption) {
+      return res.status(404).json({
+        success: false,
+        message: "Active fine exemption not found.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Fine exemption revoked; fines accrue again for those months.",
+      data: exemption,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const LegacyImport = require("../models/LegacyImport");
+const { readSheet } = require("../utils/spreadsheet");
+const legacy = require("../services/legacyImportService");
+
+/**
+ * @desc    Import historical deposits, fines and expenses from a spreadsheet
+ * @route   POST /api/finance/import/transactions
+ * @access  Super-Admin
+ *
+ * Multipart fields: file (.xlsx/.csv), mapping (JSON { field: "Column" }),
+ * bankAccountId (default account), dryRun, skipInvalid. A dry run returns
+ * the per-row preview including unmatched members. A real run posts every
+ * ready row in one transaction; it refuses while any row is unmatched,
+ * invalid or already imported unless skipInvalid=true. A file that was
+ * imported before is refused outright.
+ */
+exports.importLegacyTransactions = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Upload an .xlsx or .csv file in the 'file' field.",
+      });
+    }
+
+    let mapping = {};
+    try {
+      mapping =
+        typeof req.body.mapping === "string"
+          ? JSON.parse(req.body.mapping || "{}")
+          : req.body.mapping || {};
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ success: false, message: "mapping must be valid JSON." });
+    }
+
+    const flag = (name) =>
+      ["true", "1", true].includes(req.query[name] ?? req.body[name]);
+    const dryRun = flag("dryRun");
+    const skipInvalid = flag("skipInvalid");
+
+    const fileHash = crypto
+      .createHash("sha256")
+      .update(req.file.buffer)
+      .digest("hex");
+    const previous = await LegacyImport.findOne({ fileHash }).select(
+      "fileName createdAt",
+    );
+    if (previous) {
+      return res.status(409).json({
+        success: false,
+        message: `This file was already imported on ${previous.createdAt.toLocaleDateString("en-GB")} (${previous.fileName}).`,
+        data: { legacyImportId: previous._id },
+      });
+    }
+
+    const rows = readSheet(req.file.buffer);
+    if (rows.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "The spreadsheet has no rows." });
+    }
+
+    const prepared = await legacy.prepareRows(rows, mapping, {
+      defaultBankId: req.body.bankAccountId,
+    });
+    const ready = prepared.filter((r) => r.status === "ready");
+    const rejected = prepared.filter((r) => r.status !== "ready");
+    const summary = {
+      totalRows: prepared.length,
+      ready: ready.length,
+      unmatched: prepared.filter((r) => r.status === "unmatched").length,
+      invalid: prepared.filter((r) => r.status === "invalid").length,
+      duplicate: prepared.filter((r) => r.status === "duplicate").length,
+    };
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        message: `Preview: ${summary.ready} of ${summary.totalRows} rows are ready to post.`,
+        summary,
+        data: prepared,
+      });
+    }
+
+    if (ready.length === 0 || (rejected.length > 0 && !skipInvalid)) {
+      return res.status(422).json({
+        success: false,
+        message:
+          ready.length === 0
+            ? "No rows are ready to post."
+            : `${rejected.length} rows are unmatched, invalid or already imported. Fix them or re-run with skipInvalid=true.`,
+        summary,
+        data: rejected,
+      });
+    }
+
+    // 🔒 One atomic batch: every ready row posts, or none does
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const [legacyImport] = await LegacyImport.create(
+        [
+          {
+            fileName: req.file.originalname,
+            fileHash,
+            mapping,
+            rowCount: prepared.length,
+            importedCount: ready.length,
+            skippedRows: rejected.map((r) => ({
+              row: r.row,
+              errors: r.errors,
+            })),
+            importedBy: req.user.id,
+          },
+        ],
+        { session },
+      );
+
+      legacyImport.totals = await legacy.postRows(
+        ready,
+        { legacyImport, actor: { id: req.user.id } },
+        session,
+      );
+      await legacyImport.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+
+      res.status(201).json({
+        success: true,
+        message: `${ready.length} historical entries posted.`,
+        summary,
+        data: legacyImport,
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      throw error;
+    }
+  } catch (error) {
+    console.error("Legacy Import Error:", error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Import failed; nothing was posted. ${error.message}`,
+    });
+  }
+};
@@ -0,0 +1,98 @@
+const JournalEntry = require("../models/JournalEntry");
+const ledger = require("../services/ledgerService");
+
+/**
+ * @desc    Trial balance per ledger account (optionally as of a date)
+ * @route   GET /api/ledger/trial-balance
+ * @access  Admin/Super-Admin
+ */
+exports.getTrialBalance = async (req, res) => {
+  try {
+    const { asOf } = req.query;
+    const accounts = await ledger.getTrialBalance(asOf);
+
+    const totalDebit = ledger.roundMoney(
+      accounts.reduce((sum, acc) => sum + acc.debit, 0),
+    );
+    const totalCredit = ledger.roundMoney(
+      accounts.reduce((sum, acc) => sum + acc.credit, 0),
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        asOf: asOf ? new Date(asOf) : new Date(),
+        accounts,
+        totals: {
+          debit: totalDebit,
+          credit: totalCredit,
+          isBalanced: totalDebit === totalCredit,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Trial Balance Error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to compute trial balance.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Paginated journal with account/member/date filters
+ * @route   GET /api/ledger/journal
+ * @access  Admin/Super-Admin
+ */
+exports.getJournal = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      account,
+      member,
+      startDate,
+      endDate,
+    } = req.query;
+
+    const query = {};
+    if (account) query["lines.account"] = account;
+    if (member) query["lines.member"] = member;
+    if (startDate && endDate) {
+      query.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      JournalEntry.find(query)
+        .populate("lines.account", "code name type")
+        .populate("lines.member", "name phone")
+        .populate("postedBy", "name")
+        .sort({ date: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      JournalEntry.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        total,
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        hasNextPage: skip + entries.length < total,
+      },
+    });
+  } catch (error) {
+    console.error("Journal Fetch Error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve journal entries.",
+      error: error.message,
+    });
+  }
+};
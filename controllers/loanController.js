@@ -0,0 +1,739 @@
+const mongoose = require("mongoose");
+const Loan = require("../models/Loan");
+const User = require("../models/User");
+const BankAccount = require("../models/BankAccount");
+const Transaction = require("../models/Transaction");
+const Notification = require("../models/Notification");
+const { sendPushNotification } = require("../utils/notification");
+const ledger = require("../services/ledgerService");
+const loans = require("../services/loanService");
+const {
+  assessEligibility,
+  guaranteeExposureOf,
+} = require("../services/loanEligibilityService");
+const approvals = require("../services/approvalService");
+const receipts = require("../services/receiptService");
+const { assertPeriodOpen } = require("../services/periodService");
+const { getSettings } = require("../services/settingsService");
+const httpError = require("../utils/httpError");
+
+const { roundMoney } = ledger;
+const isAdminUser = (user) => ["admin", "super-admin"].includes(user.role);
+
+// Bell + push for the borrower (failures never undo the loan action)
+const notifyMember = async (
+  memberId,
+  { title, body, type = "GENERAL" },
+  loan,
+) => {
+  Notification.create({
+    userId: memberId,
+    title,
+    body,
+    type,
+    referenceId: loan._id,
+  }).catch((e) => console.error("Loan Notification Error:", e.message));
+
+  const member = await User.findById(memberId).select("fcmTokens");
+  if (member?.fcmTokens?.length > 0) {
+    sendPushNotification(member.fcmTokens, {
+      notification: { title, body },
+      data: { screen: "Loans", type: "LOAN" },
+    }).catch((e) => console.error("Push Error:", e));
+  }
+};
+
+const loadLoan = async (id, session = null) => {
+  if (!mongoose.isValidObjectId(id)) throw httpError(404, "Loan not found.");
+  const loan = await Loan.findById(id).session(session);
+  if (!loan) throw httpError(404, "Loan not found.");
+  return loan;
+};
+
+const sendError = (res, error, fallback) => {
+  if (!error.statusCode) console.error(`${fallback}:`, error.message);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : fallback,
+  });
+};
+
+/**
+ * @desc    Apply for a loan (amount, tenureMonths, purpose, guarantorIds?)
+ * @route   POST /api/loans/apply
+ * @access  Private (Member)
+ */
+exports.applyForLoan = async (req, res) => {
+  try {
+    const { amount, tenureMonths, purpose, guarantorIds = [] } = req.body;
+    const requestedAmount = roundMoney(amount);
+    const requestedTenureMonths = parseInt(tenureMonths);
+
+    if (!(requestedAmount > 0) || !(requestedTenureMonths >= 1)) {
+      return res.status(400).json({
+        success: false,
+        message: "A positive amount and tenure (months) are required.",
+      });
+    }
+
+    const { loanPolicy } = await getSettings();
+    if (requestedTenureMonths > loanPolicy.maxTenureMonths) {
+      return res.status(400).json({
+        success: false,
+        message: `Tenure may not exceed ${loanPolicy.maxTenureMonths} months.`,
+      });
+    }
+
+    const open = await Loan.exists({
+      member: req.user.id,
+      status: { $in: ["pending", "approved"] },
+    });
+    if (open) {
+      return res.status(400).json({
+        success: false,
+        message: "You already have a loan application awaiting a decision.",
+      });
+    }
+
+    // Savings, tenure, fines, existing loans and guarantor exposure
+    const eligibility = await assessEligibility(req.user.id, {
+      amount: requestedAmount,
+      guarantorIds,
+    });
+    if (!eligibility.eligible) {
+      return res.status(422).json({
+        success: false,
+        message: eligibility.reasons[0],
+        data: eligibility,
+      });
+    }
+
+    const loan = await Loan.create({
+      member: req.user.id,
+      requestedAmount,
+      requestedTenureMonths,
+      purpose,
+      guarantors: eligibility.guarantors.map((g) => g.member),
+      eligibility,
+    });
+
+    // 🔔 Let the committee know there is an application to review
+    const admins = await User.find({
+      role: { $in: ["admin", "super-admin"] },
+    }).select("_id");
+    Notification.insertMany(
+      admins.map((admin) => ({
+        userId: admin._id,
+        title: "New Loan Application",
+        body: `${req.user.name || "A member"} applied for ৳${requestedAmount.toLocaleString()} over ${requestedTenureMonths} months.`,
+        type: "ALERT",
+        referenceId: loan._id,
+      })),
+    ).catch((e) => console.error("Loan Notification Error:", e.message));
+
+    res.status(201).json({
+      success: true,
+      message: "Loan application submitted.",
+      data: loan,
+    });
+  } catch (error) {
+    sendError(res, error, "Loan application failed");
+  }
+};
+
+/**
+ * @desc    Eligibility decision without applying (amount, guarantorIds);
+ *          admins may pass memberId to check any member
+ * @route   POST /api/loans/eligibility
+ * @access  Private
+ */
+exports.checkEligibility = async (req, res) => {
+  try {
+    const { amount, guarantorIds = [], memberId } = req.body;
+    const target = isAdminUser(req.user) && memberId ? memberId : req.user.id;
+
+    const eligibility = await assessEligibility(target, {
+      amount,
+      guarantorIds,
+    });
+    res.status(200).json({ success: true, data: eligibility });
+  } catch (error) {
+    sendError(res, error, "Eligibility check failed");
+  }
+};
+
+/**
+ * @desc    The logged-in member's loans with their outstanding position
+ * @route   GET /api/loans/me
+ * @access  Private (Member)
+ */
+exports.getMyLoans = async (req, res) => {
+  try {
+    const [summary, exposure] = await Promise.all([
+      loans.memberLoanSummary(req.user.id),
+      guaranteeExposureOf([req.user.id]),
+    ]);
+    res.status(200).json({
+      success: true,
+      data: { ...summary, guaranteeing: exposure.get(String(req.user.id)) },
+    });
+  } catch (error) {
+    sendError(res, error, "Could not load loans");
+  }
+};
+
+/**
+ * @desc    All loans (filter by status, member)
+ * @route   GET /api/loans
+ * @access  Admin/Super-Admin
+ */
+exports.getLoans = async (req, res) => {
+  try {
+    const { status, member } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (member && mongoose.isValidObjectId(member)) query.member = member;
+
+    const list = await Loan.find(query)
+      .sort({ appliedAt: -1 })
+      .select("-repayments")
+      .populate("member", "name phone branch")
+      .populate("guarantors", "name phone")
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: list.length,
+      data: list.map((loan) => {
+        const position =
+          loan.status === "active" ? loans.loanPosition(loan) : null;
+        const { schedule, ...rest } = loan;
+        return {
+          ...rest,
+          principalOutstanding: position?.principalOutstanding || 0,
+          totalPayable: position?.totalPayable || 0,
+          overdueAmount: position?.overdueAmount || 0,
+          nextDueDate: position?.nextInstallment?.dueDate || null,
+        };
+      }),
+    });
+  } catch (error) {
+    sendError(res, error, "Could not load loans");
+  }
+};
+
+/**
+ * @desc    One loan with its EMI schedule, repayments and position
+ * @route   GET /api/loans/:id
+ * @access  Private (members: own loans only)
+ */
+exports.getLoanById = async (req, res) => {
+  try {
+    const loan = mongoose.isValidObjectId(req.params.id)
+      ? await Loan.findById(req.params.id)
+          .populate("member", "name phone branch")
+          .populate("guarantors", "name phone")
+          .populate("bankAccount", "bankName accountNumber")
+          .populate("reviewedBy disbursedBy", "name")
+          .lean()
+      : null;
+
+    if (
+      !loan ||
+      (!isAdminUser(req.user) &&
+        String(loan.member._id) !== String(req.user.id))
+    ) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Loan not found." });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...loan,
+        position: loan.schedule.length ? loans.loanPosition(loan) : null,
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Could not load loan");
+  }
+};
+
+/**
+ * @desc    Approve an application and fix its terms: principal,
+ *          interestRate (annual %), interestMethod (flat/declining),
+ *          tenureMonths, guarantorIds, latePenaltyRate, lateGraceDays, note.
+ *          Anything left out falls back to the request / society loan policy.
+ * @route   PATCH /api/loans/:id/approve
+ * @access  Admin/Super-Admin
+ */
+exports.approveLoan = async (req, res) => {
+  try {
+    const loan = await loadLoan(req.params.id);
+    if (loan.status !== "pending") {
+      throw httpError(400, `This loan is already ${loan.status}.`);
+    }
+
+    const { loanPolicy } = await getSettings();
+    const body = req.body;
+    const terms = {
+      principal: roundMoney(body.principal ?? loan.requestedAmount),
+      interestRate: Number(body.interestRate ?? loanPolicy.defaultInterestRate),
+      interestMethod: body.interestMethod || loanPolicy.defaultInterestMethod,
+      tenureMonths: parseInt(body.tenureMonths ?? loan.requestedTenureMonths),
+      latePenaltyRate: Number(
+        body.latePenaltyRate ?? loanPolicy.latePenaltyRate,
+      ),
+      lateGraceDays: parseInt(body.lateGraceDays ?? loanPolicy.lateGraceDays),
+    };
+
+    if (
+      !(terms.principal > 0) ||
+      !(terms.tenureMonths >= 1) ||
+      !(terms.interestRate >= 0) ||
+      !(terms.latePenaltyRate >= 0) ||
+      !(terms.lateGraceDays >= 0) ||
+      !loans.INTEREST_METHODS.includes(terms.interestMethod)
+    ) {
+      throw httpError(400, "Invalid loan terms.");
+    }
+    if (terms.tenureMonths > loanPolicy.maxTenureMonths) {
+      throw httpError(
+        400,
+        `Tenure may not exceed ${loanPolicy.maxTenureMonths} months.`,
+      );
+    }
+
+    // Re-assessed on the approved principal and guarantors
+    const guarantorIds = [
+      ...new Set([].concat(body.guarantorIds || loan.guarantors).map(String)),
+    ];
+    const eligibility = await assessEligibility(loan.member, {
+      amount: terms.principal,
+      guarantorIds,
+      excludeLoanId: loan._id,
+    });
+    if (!eligibility.eligible) {
+      return res.status(422).json({
+        success: false,
+        message: eligibility.reasons[0],
+        data: eligibility,
+      });
+    }
+
+    Object.assign(loan, terms, {
+      guarantors: guarantorIds,
+      eligibility,
+      status: "approved",
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      reviewNote: body.note,
+    });
+    await loan.save();
+
+    notifyMember(
+      loan.member,
+      {
+        title: "Loan Approved ✅",
+        body: `Your loan of ৳${terms.principal.toLocaleString()} for ${terms.tenureMonths} months at ${terms.interestRate}% (${terms.interestMethod}) was approved.`,
+      },
+      loan,
+    ).catch((e) => console.error("Loan Notification Error:", e.message));
+
+    res.status(200).json({
+      success: true,
+      message: "Loan approved. It can now be disbursed.",
+      data: {
+        ...loan.toObject(),
+        // Indicative schedule; the real one starts from the disbursement date
+        schedulePreview: loans.buildSchedule({
+          ...terms,
+          startDate: new Date(),
+        }),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Loan approval failed");
+  }
+};
+
+/**
+ * @desc    Reject an application with a note
+ * @route   PATCH /api/loans/:id/reject
+ * @access  Admin/Super-Admin
+ */
+exports.rejectLoan = async (req, res) => {
+  try {
+    const note = (req.body.note || "").trim();
+    if (!note) throw httpError(400, "A reason is required to reject a loan.");
+
+    const loan = await Loan.findOneAndUpdate(
+      {
+        _id: mongoose.isValidObjectId(req.params.id) ? req.params.id : null,
+        status: { $in: ["pending", "approved"] },
+      },
+      {
+        status: "rejected",
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        reviewNote: note,
+      },
+      { new: true },
+    );
+    if (!loan) {
+      throw httpError(404, "No pending or approved loan found with this id.");
+    }
+
+    notifyMember(
+      loan.member,
+      { title: "Loan Application Declined", body: note },
+      loan,
+    ).catch((e) => console.error("Loan Notification Error:", e.message));
+
+    res
+      .status(200)
+      .json({ success: true, message: "Loan rejected.", data: loan });
+  } catch (error) {
+    sendError(res, error, "Loan rejection failed");
+  }
+};
+
+/**
+ * ✅ DISBURSEMENT EXECUTOR
+ * Pays the approved principal out of a bank account (Dr Loans to Members /
+ * Cr Bank) and fixes the EMI schedule from the disbursement date.
+ */
+exports.executeDisbursement = async (payload, actor) => {
+  const { loanId, bankAccountId, remarks } = payload;
+  const date = new Date();
+  await assertPeriodOpen(date);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let outcome;
+  try {
+    const loan = await loadLoan(loanId, session);
+    if (loan.status !== "approved") {
+      throw httpError(400, "Only approved loans can be disbursed.");
+    }
+
+    const bank = await BankAccount.findById(bankAccountId).session(session);
+    if (!bank) throw httpError(404, "Bank account not found.");
+    if (bank.currentBalance < loan.principal) {
+      throw httpError(
+        400,
+        `Insufficient funds in ${bank.bankName}. Available: ৳${bank.currentBalance}`,
+      );
+    }
+
+    const [disbursement] = await Transaction.create(
+      [
+        {
+          user: loan.member,
+          type: "loan",
+          category: "loan_disbursement",
+          amount: loan.principal,
+          bankAccount: bank._id,
+          date,
+          month: date.toLocaleString("default", { month: "long" }),
+          year: date.getFullYear(),
+          loan: loan._id,
+          recordedBy: actor.id,
+          ...approvals.approvalStamp(actor),
+          remarks:
+            remarks ||
+            `Loan disbursed: ${loan.tenureMonths} months at ${loan.interestRate}% (${loan.interestMethod})`,
+        },
+      ],
+      { session },
+    );
+
+    // Dr Loans to Members (member sub-ledger) / Cr Bank
+    await ledger.postTransaction(disbursement, session);
+
+    loan.schedule = loans.buildSchedule({
+      principal: loan.principal,
+      interestRate: loan.interestRate,
+      interestMethod: loan.interestMethod,
+      tenureMonths: loan.tenureMonths,
+      startDate: date,
+    });
+    Object.assign(loan, {
+      status: "active",
+      bankAccount: bank._id,
+      disbursedAt: date,
+      disbursedBy: actor.approvedBy || actor.id,
+      disbursement: disbursement._id,
+    });
+    await loan.save({ session });
+
+    await session.commitTransaction();
+    outcome = { loan, transaction: disbursement };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  const first = outcome.loan.schedule[0];
+  notifyMember(
+    outcome.loan.member,
+    {
+      title: "Loan Disbursed 💸",
+      body: `৳${outcome.loan.principal.toLocaleString()} has been disbursed. First EMI of ৳${first.emi.toLocaleString()} is due on ${first.dueDate.toLocaleDateString("en-GB")}.`,
+      type: "PAYMENT",
+    },
+    outcome.loan,
+  ).catch((e) => console.error("Loan Notification Error:", e.message));
+
+  return outcome;
+};
+
+/**
+ * @desc    Disburse an approved loan from a bank account (bankAccountId)
+ * @route   POST /api/loans/:id/disburse
+ * @access  Admin/Super-Admin (admin entries wait for a second signature)
+ */
+exports.disburseLoan = async (req, res) => {
+  try {
+    const loan = await loadLoan(req.params.id);
+    if (loan.status !== "approved") {
+      throw httpError(400, "Only approved loans can be disbursed.");
+    }
+    if (!req.body.bankAccountId) {
+      throw httpError(400, "A bank account is required.");
+    }
+
+    const payload = { ...req.body, loanId: String(loan._id) };
+    const member = await User.findById(loan.member).select("name");
+    const pending = await approvals.submitIfRequired(req, {
+      kind: "loan_disbursement",
+      amount: loan.principal,
+      summary: `Loan disbursement ৳${loan.principal.toLocaleString()} to ${
+        member?.name || "member"
+      }`,
+      payload,
+    });
+    if (pending)
+      return res.status(202).json(approvals.pendingResponse(pending));
+
+    const outcome = await exports.executeDisbursement(payload, {
+      id: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Loan disbursed and EMI schedule generated.",
+      data: outcome,
+    });
+  } catch (error) {
+    sendError(res, error, "Loan disbursement failed");
+  }
+};
+
+/**
+ * ✅ REPAYMENT EXECUTOR
+ * Allocates the amount to the oldest installments (penalty → interest →
+ * principal), posts Dr Bank / Cr Loans to Members, Loan Interest Income and
+ * Loan Late Penalty Income, and issues a numbered receipt.
+ */
+exports.executeRepayment = async (payload, actor) => {
+  const { loanId, amount, bankAccountId, remarks } = payload;
+  const paidAmount = roundMoney(amount);
+  const date = new Date();
+  await assertPeriodOpen(date);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let outcome;
+  try {
+    const loan = await loadLoan(loanId, session);
+    if (loan.status !== "active") {
+      throw httpError(400, "Repayments can only be collected on active loans.");
+    }
+    const bank = await BankAccount.findById(bankAccountId).session(session);
+    if (!bank) throw httpError(404, "Bank account not found.");
+
+    const position = loans.loanPosition(loan, date);
+    if (!(paidAmount > 0) || paidAmount > position.totalPayable) {
+      throw httpError(
+        400,
+        `Amount must be between ৳1 and the outstanding ৳${position.totalPayable.toLocaleString()}.`,
+      );
+    }
+
+    const { allocations } = loans.allocateRepayment(loan, paidAmount, date);
+    const split = (key) =>
+      roundMoney(allocations.reduce((sum, a) => sum + a[key], 0));
+    const totals = {
+      principal: split("principal"),
+      interest: split("interest"),
+      penalty: split("penalty"),
+    };
+
+    const member = await User.findById(loan.member)
+      .select("name")
+      .session(session);
+    const [repayment] = await Transaction.create(
+      [
+        {
+          user: loan.member,
+          type: "loan",
+          category: "loan_repayment",
+          amount: paidAmount,
+          bankAccount: bank._id,
+          date,
+          month: date.toLocaleString("default", { month: "long" }),
+          year: date.getFullYear(),
+          loan: loan._id,
+          recordedBy: actor.id,
+          ...approvals.approvalStamp(actor),
+          remarks:
+            remarks ||
+            `Loan repayment: EMI ${allocations
+              .map((a) => `#${a.installmentNo}`)
+              .join(", ")}`,
+        },
+      ],
+      { session },
+    );
+
+    const account = (key) => ledger.getSystemAccount(key, session);
+    await ledger.postTransaction(repayment, session, [
+      {
+        account: await ledger.getBankLedgerAccount(bank._id, session, actor.id),
+        amount: paidAmount,
+        side: "debit",
+      },
+      {
+        account: await account("MEMBER_LOANS"),
+        amount: totals.principal,
+        side: "credit",
+        member: loan.member,
+      },
+      {
+        account: await account("LOAN_INTEREST_INCOME"),
+        amount: totals.interest,
+        side: "credit",
+        member: loan.member,
+      },
+      {
+        account: await account("LOAN_PENALTY_INCOME"),
+        amount: totals.penalty,
+        side: "credit",
+        member: loan.member,
+      },
+    ]);
+
+    const receipt = await receipts.issueReceipt(
+      {
+        kind: "loan_repayment",
+        member: loan.member,
+        receivedFrom: member?.name,
+        amount: paidAmount,
+        bankAccount: bank._id,
+        transactions: [repayment._id],
+        lines: [
+          ["Principal", totals.principal],
+          ["Interest", totals.interest],
+          ["Late penalty", totals.penalty],
+        ]
+          .filter(([, value]) => value > 0)
+          .map(([label, value]) => ({ label, amount: value })),
+        remarks: repayment.remarks,
+        issuedBy: actor.id,
+      },
+      session,
+    );
+
+    loans.applyRepayment(loan, allocations, date);
+    loan.repayments.push({
+      transaction: repayment._id,
+      receipt: receipt._id,
+      date,
+      amount: paidAmount,
+      ...totals,
+      allocations,
+      recordedBy: actor.id,
+    });
+    await loan.save({ session });
+
+    await session.commitTransaction();
+    outcome = {
+      loan,
+      transaction: repayment,
+      receipt,
+      allocations,
+      ...totals,
+      position: loans.loanPosition(loan, date),
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  notifyMember(
+    outcome.loan.member,
+    {
+      title:
+        outcome.loan.status === "closed"
+          ? "Loan Fully Repaid 🎉"
+          : "Loan Repayment Received 🧾",
+      body: `৳${paidAmount.toLocaleString()} received. Receipt ${outcome.receipt.receiptNo}. Outstanding: ৳${outcome.position.totalPayable.toLocaleString()}.`,
+      type: "PAYMENT",
+    },
+    outcome.loan,
+  ).catch((e) => console.error("Loan Notification Error:", e.message));
+
+  return outcome;
+};
+
+/**
+ * @desc    Collect a loan repayment into a bank account (amount, bankAccountId)
+ * @route   POST /api/loans/:id/repay
+ * @access  Admin/Super-Admin (admin entries wait for a second signature)
+ */
+exports.collectRepayment = async (req, res) => {
+  try {
+    const loan = await loadLoan(req.params.id);
+    const amount = roundMoney(req.body.amount);
+    if (!req.body.bankAccountId || !(amount > 0)) {
+      throw httpError(
+        400,
+        "A bank account and a positive amount are required.",
+      );
+    }
+    if (loan.status !== "active") {
+      throw httpError(400, "Repayments can only be collected on active loans.");
+    }
+
+    const payload = { ...req.body, loanId: String(loan._id) };
+    const member = await User.findById(loan.member).select("name");
+    const pending = await approvals.submitIfRequired(req, {
+      kind: "loan_repayment",
+      amount,
+      summary: `Loan repayment ৳${amount.toLocaleString()} from ${
+        member?.name || "member"
+      }`,
+      payload,
+    });
+    if (pending)
+      return res.status(202).json(approvals.pendingResponse(pending));
+
+    const outcome = await exports.executeRepayment(payload, {
+      id: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Repayment recorded. Receipt ${outcome.receipt.receiptNo}.`,
+      data: outcome,
+    });
+  } catch (error) {
+    sendError(res, error, "Loan repayment failed");
+  }
+};
@@ -1,9 +1,16 @@
 const User = require("../models/User");
 const XLSX = require("xlsx");
 const Transaction = require("../models/Transaction");
+const Loan = require("../models/Loan");
 const mongoose = require("mongoose");
 const { sendWelcomeEmail } = require("../utils/email"); // ✅ Added Email Utility
-const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const {
+  sharePriceFor,
+  assertShareCount,
+} = require("../services/settingsService");
+const { repriceDues } = require("../services/duesService");
+const { sendSheet, exportFormat, readSheet } = require("../utils/spreadsheet");
 
 /**
  * ✅ CREATE MEMBER: Atomic Registry Entry
@@ -33,9 +40,9 @@ exports.createMember = async (req, res) => {
       });
     }
 
-    // 2. Financial Calibration
-    const shareCount = parseInt(shares) || 1;
-    const monthlySubscription = shareCount * 1000;
+    // 2. Financial Calibration (current share price from society settings)
+    const shareCount = await assertShareCount(shares || 1);
+    const monthlySubscription = shareCount * (await sharePriceFor());
 
     // 3. Create Member in Database
     const member = await User.create({
@@ -78,87 +85,93 @@ exports.createMember = async (req, res) => {
       },
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Registry failure.",
+      message: error.statusCode ? error.message : "Registry failure.",
       error: error.message,
     });
   }
 };
 
 /**
- * ✅ GET ALL MEMBERS: High-Performance List
- * Optimized with server-side filtering for Branch performance sliders.
+ * Member registry rows for the branch/status/search filters, with deposit
+ * totals (shared by the list endpoint and the spreadsheet export).
  */
-exports.getAllMembers = async (req, res) => {
-  try {
-    const { branch, status, search } = req.query;
-
-    let matchFilter = { role: "member" };
+const loadMemberRegistry = async ({ branch, status, search } = {}) => {
+  let matchFilter = { role: "member" };
 
-    // 1. Handle Branch Filtering
-    if (branch && branch !== "All") {
-      matchFilter.branch = branch;
-    }
+  // 1. Handle Branch Filtering
+  if (branch && branch !== "All") {
+    matchFilter.branch = branch;
+  }
 
-    // 2. Handle Status Filtering
-    if (status) {
-      matchFilter.status = status;
-    }
+  // 2. Handle Status Filtering
+  if (status) {
+    matchFilter.status = status;
+  }
 
-    // 3. Advanced Search
-    if (search) {
-      matchFilter.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { phone: { $regex: search, $options: "i" } },
-        { bankAccount: { $regex: `${search}$`, $options: "i" } },
-      ];
-    }
+  // 3. Advanced Search
+  if (search) {
+    matchFilter.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { phone: { $regex: search, $options: "i" } },
+      { bankAccount: { $regex: `${search}$`, $options: "i" } },
+    ];
+  }
 
-    const members = await User.aggregate([
-      { $match: matchFilter },
-      {
-        $lookup: {
-          from: "transactions",
-          localField: "_id",
-          foreignField: "user",
-          as: "txs",
-        },
+  return User.aggregate([
+    { $match: matchFilter },
+    {
+      $lookup: {
+        from: "transactions",
+        localField: "_id",
+        foreignField: "user",
+        as: "txs",
       },
-      {
-        $addFields: {
-          id: { $toString: "$_id" },
-          // ✅ FIX: Explicitly ensure totalFineDue is passed through
-          // If the field is missing in DB, default it to 0
-          totalFineDue: { $ifNull: ["$totalFineDue", 0] },
-          totalDeposited: {
-            $sum: {
-              $map: {
-                input: {
-                  $filter: {
-                    input: "$txs",
-                    as: "t",
-                    cond: { $eq: ["$$t.type", "deposit"] },
-                  },
+    },
+    {
+      $addFields: {
+        id: { $toString: "$_id" },
+        // ✅ FIX: Explicitly ensure totalFineDue is passed through
+        // If the field is missing in DB, default it to 0
+        totalFineDue: { $ifNull: ["$totalFineDue", 0] },
+        totalDeposited: {
+          $sum: {
+            $map: {
+              input: {
+                $filter: {
+                  input: "$txs",
+                  as: "t",
+                  cond: { $eq: ["$$t.type", "deposit"] },
                 },
-                as: "d",
-                in: "$$d.amount",
               },
+              as: "d",
+              in: "$$d.amount",
             },
           },
         },
       },
-      // ✅ PROJECT: Ensure we only hide sensitive/unnecessary data
-      // Do NOT exclude totalFineDue here
-      {
-        $project: {
-          txs: 0,
-          password: 0,
-          __v: 0,
-        },
+    },
+    // ✅ PROJECT: Ensure we only hide sensitive/unnecessary data
+    // Do NOT exclude totalFineDue here
+    {
+      $project: {
+        txs: 0,
+        password: 0,
+        __v: 0,
       },
-      { $sort: { bankAccount: 1 } },
-    ]).collation({ locale: "en_US", numericOrdering: true });
+    },
+    { $sort: { bankAccount: 1 } },
+  ]).collation({ locale: "en_US", numericOrdering: true });
+};
+
+/**
+ * ✅ GET ALL MEMBERS: High-Performance List
+ * Optimized with server-side filtering for Branch performance sliders.
+ */
+exports.getAllMembers = async (req, res) => {
+  try {
+    const members = await loadMemberRegistry(req.query);
 
     res.status(200).json({
       success: true,
@@ -175,6 +188,47 @@ exports.getAllMembers = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Member registry as .xlsx/.csv (same filters as the list)
+ * @route   GET /api/members/export?format=xlsx|csv
+ * @access  Admin/Super-Admin
+ */
+exports.exportMembers = async (req, res) => {
+  try {
+    const members = await loadMemberRegistry(req.query);
+
+    sendSheet(res, {
+      filename: `members-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: "Members",
+      format: exportFormat(req.query),
+      rows: members,
+      columns: [
+        { header: "Name", value: (m) => m.name },
+        { header: "Email", value: (m) => m.email },
+        { header: "Phone", value: (m) => m.phone },
+        { header: "NID", value: (m) => m.nid },
+        { header: "Bank Account", value: (m) => m.bankAccount },
+        { header: "Branch", value: (m) => m.branch },
+        { header: "Shares", value: (m) => m.shares },
+        { header: "Monthly Subscription", value: (m) => m.monthlySubscription },
+        { header: "Total Deposited", value: (m) => m.totalDeposited },
+        {
+          header: "Joining Date",
+          value: (m) => (m.joiningDate ? new Date(m.joiningDate) : ""),
+        },
+        { header: "Status", value: (m) => m.status },
+      ],
+    });
+  } catch (error) {
+    console.error("Member Export Error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export registry.",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * ✅ GET MEMBER PROFILE: Personal Financial Summary
  * Optimized for Mobile Dashboards (Bento Grid support).
@@ -210,7 +264,7 @@ exports.getMemberProfile = async (req, res) => {
         financialSummary: {
           totalDeposits: stats[0]?.total || 0,
           shares: member.shares || 0,
-          estimatedValue: (member.shares || 0) * 1000,
+          estimatedValue: (member.shares || 0) * (await sharePriceFor()),
           recentActivity: recentTransactions,
         },
       },
@@ -234,8 +288,11 @@ exports.updateMember = async (req, res) => {
 
     if (!updateData.password || updateData.password.trim() === "")
       delete updateData.password;
-    if (updateData.shares)
-      updateData.monthlySubscription = parseInt(updateData.shares) * 1000;
+    if (updateData.shares) {
+      updateData.shares = await assertShareCount(updateData.shares);
+      updateData.monthlySubscription =
+        updateData.shares * (await sharePriceFor());
+    }
 
     const updatedMember = await User.findByIdAndUpdate(
       req.params.id,
@@ -248,6 +305,16 @@ exports.updateMember = async (req, res) => {
         .status(404)
         .json({ success: false, message: "Member not found." });
 
+    // A share change re-prices this month's and later dues, never earlier ones
+    if (updateData.shares) {
+      const now = new Date();
+      await repriceDues({
+        year: now.getFullYear(),
+        month: now.getMonth() + 1,
+        member: updatedMember._id,
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: "Sync complete.",
@@ -273,6 +340,14 @@ exports.toggleStatus = async (req, res) => {
         .status(404)
         .json({ success: false, message: "User not found." });
 
+    // Exits are final; the settlement has already been paid out
+    if (user.status === "exited") {
+      return res.status(400).json({
+        success: false,
+        message: "This member has exited and cannot be reactivated.",
+      });
+    }
+
     user.status = user.status === "active" ? "inactive" : "active";
     await user.save();
 
@@ -304,6 +379,19 @@ exports.deleteMember = async (req, res) => {
       });
     }
 
+    // Members with any financial history leave through the exit flow instead
+    const [hasTransactions, hasLoans] = await Promise.all([
+      Transaction.exists({ user: member._id }),
+      Loan.exists({ member: member._id }),
+    ]);
+    if (hasTransactions || hasLoans) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This member has financial history. Use the exit workflow (POST /api/members/:id/exit) instead.",
+      });
+    }
+
     await User.findByIdAndDelete(req.params.id);
     res
       .status(200)
@@ -317,75 +405,211 @@ exports.deleteMember = async (req, res) => {
   }
 };
 
+// Same rule as the User model's email validator
+const EMAIL_PATTERN = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+
+/**
+ * Random first-login password: 10 characters without look-alikes (0/O, 1/l).
+ */
+const generatePassword = () => {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789";
+  return Array.from(
+    crypto.randomBytes(10),
+    (byte) => alphabet[byte % alphabet.length],
+  ).join("");
+};
+
+/**
+ * Validates sheet rows and returns one { row, data, errors } per row.
+ * Uniqueness is checked against the registry and within the file itself.
+ */
+const validateImportRows = async (rows) => {
+  const branches = User.schema.path("branch").enumValues;
+  const asText = (value) => (value === undefined ? "" : String(value).trim());
+  // Excel stores 01XXXXXXXXX phone numbers as numbers and drops the 0
+  const asPhone = (value) =>
+    typeof value === "number" && String(value).length === 10
+      ? `0${value}`
+      : asText(value);
+  // Plain YYYY-MM-DD is read at noon so the timezone cannot shift the day
+  const asDate = (value) =>
+    value instanceof Date
+      ? value
+      : /^\d{4}-\d{2}-\d{2}$/.test(asText(value))
+        ? new Date(`${asText(value)}T12:00:00`)
+        : new Date(asText(value));
+
+  const candidates = rows.map((r) => ({
+    row: r.rowNumber,
+    data: {
+      name: asText(r.name),
+      email: asText(r.email).toLowerCase(),
+      phone: asPhone(r.phone || r.mobile),
+      nid: asText(r.nid),
+      bankAccount: asText(r.bankaccount || r.memberid),
+      accountNumber: asText(r.accountnumber),
+      branch: asText(r.branch),
+      shares: r.shares === "" ? NaN : Number(r.shares),
+      joiningDate: asDate(r.joiningdate),
+    },
+    errors: [],
+  }));
+
+  const existing = await User.find({
+    $or: [
+      { email: { $in: candidates.map((c) => c.data.email).filter(Boolean) } },
+      { nid: { $in: candidates.map((c) => c.data.nid).filter(Boolean) } },
+      { phone: { $in: candidates.map((c) => c.data.phone).filter(Boolean) } },
+    ],
+  })
+    .select("email nid phone")
+    .lean();
+  const taken = {
+    email: new Set(existing.map((u) => u.email)),
+    nid: new Set(existing.map((u) => u.nid)),
+    phone: new Set(existing.map((u) => u.phone)),
+  };
+  const seen = { email: new Map(), nid: new Map(), phone: new Map() };
+
+  for (const candidate of candidates) {
+    const { data, errors } = candidate;
+
+    if (!data.name) errors.push("Name is required.");
+    if (!EMAIL_PATTERN.test(data.email)) errors.push("Email is invalid.");
+    if (!data.phone) errors.push("Phone is required.");
+    if (!data.nid) errors.push("NID is required.");
+    if (!branches.includes(data.branch)) {
+      errors.push(`Unknown branch "${data.branch}".`);
+    }
+    if (!Number.isInteger(data.shares) || data.shares < 1) {
+      errors.push("Shares must be a whole number of at least 1.");
+    } else {
+      try {
+        await assertShareCount(data.shares);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+    if (isNaN(data.joiningDate)) {
+      errors.push("Joining date is missing or invalid.");
+    }
+
+    for (const field of ["email", "nid", "phone"]) {
+      const value = data[field];
+      if (!value) continue;
+      if (taken[field].has(value)) {
+        errors.push(`${field.toUpperCase()} ${value} is already registered.`);
+      } else if (seen[field].has(value)) {
+        errors.push(
+          `${field.toUpperCase()} ${value} repeats row ${seen[field].get(value)}.`,
+        );
+      } else {
+        seen[field].set(value, candidate.row);
+      }
+    }
+  }
+  return candidates;
+};
+
 /**
- * ✅ BULK IMPORT MEMBERS: High-Performance Spreadsheet Sync
- * Handles password hashing, 2023-default date calibration, and subscription math.
+ * ✅ BULK IMPORT MEMBERS: Spreadsheet upload with a per-row report
+ * Upload an .xlsx/.csv as "file". With dryRun=true nothing is written and
+ * the report shows which rows would import. Otherwise every valid row is
+ * created with its own random password and a welcome email; invalid rows
+ * are reported and skipped.
  */
 exports.bulkImportMembers = async (req, res) => {
   try {
-    const { members } = req.body;
-
-    if (!members || !Array.isArray(members)) {
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: "Invalid data format. Expected an array of members.",
+        message: "Upload an .xlsx or .csv file in the 'file' field.",
       });
     }
 
-    // Prepare members with secure hashing and business logic calibration
-    const formattedMembers = await Promise.all(
-      members.map(async (m) => {
-        // 1. Force the Default Joining Date to Jan 1st, 2023 (Noon)
-        // Using Noon (12:00:00) prevents timezone offsets from shifting it to Dec 31st
-        const validatedDate =
-          m.joiningDate && !isNaN(Date.parse(m.joiningDate))
-            ? new Date(m.joiningDate)
-            : new Date("2023-01-01T12:00:00");
-
-        // 2. Manual Password Hashing (Required for insertMany)
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(
-          m.password || "Member123",
-          salt,
-        );
+    const rows = readSheet(req.file.buffer);
+    if (rows.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "The spreadsheet has no rows." });
+    }
+
+    const dryRun = ["true", "1", true].includes(
+      req.query.dryRun ?? req.body.dryRun,
+    );
+    const candidates = await validateImportRows(rows);
+    const sharePrice = await sharePriceFor();
+    const report = [];
+    const welcomeEmails = [];
+
+    for (const { row, data, errors } of candidates) {
+      const summary = { row, name: data.name, email: data.email };
 
-        // 3. Financial Calibration
-        const shareCount = parseInt(m.shares) || 1;
-        const subscription = shareCount * 1000;
-
-        return {
-          name: m.name,
-          email: m.email,
-          phone: m.phone,
-          nid: m.nid,
-          bankAccount: m.bankAccount,
-          accountNumber: m.accountNumber,
-          branch: m.branch || "Malibagh-A-Day",
-          password: hashedPassword, // Store securely
+      if (errors.length > 0) {
+        report.push({ ...summary, status: "invalid", errors });
+        continue;
+      }
+      if (dryRun) {
+        report.push({ ...summary, status: "valid", errors: [] });
+        continue;
+      }
+
+      try {
+        const password = generatePassword();
+        const member = await User.create({
+          ...data,
+          password, // Will be hashed by User model middleware
           role: "member",
           status: "active",
-          joiningDate: validatedDate,
-          shares: shareCount,
-          monthlySubscription: subscription,
-        };
-      }),
-    );
+          monthlySubscription: data.shares * sharePrice,
+        });
+        welcomeEmails.push({
+          email: member.email,
+          name: member.name,
+          password,
+        });
+        report.push({
+          ...summary,
+          status: "imported",
+          memberId: member._id,
+          errors: [],
+        });
+      } catch (error) {
+        report.push({ ...summary, status: "failed", errors: [error.message] });
+      }
+    }
 
-    // 4. Batch Insertion
-    // { ordered: false } ensures that if one row (e.g., duplicate NID) fails,
-    // the rest are still processed.
-    const result = await User.insertMany(formattedMembers, { ordered: false });
+    // ✅ Welcome emails with each member's own password (never block the report)
+    Promise.allSettled(
+      welcomeEmails.map((m) => sendWelcomeEmail(m.email, m.name, m.password)),
+    ).then((results) => {
+      const failed = results.filter((r) => r.status === "rejected");
+      if (failed.length > 0)
+        console.error(`${failed.length} welcome emails failed to send.`);
+    });
 
-    res.status(201).json({
-      success: true,
-      message: `${result.length} profiles successfully synchronized with the registry.`,
-      data: result,
+    const count = (status) => report.filter((r) => r.status === status).length;
+    const summary = {
+      totalRows: report.length,
+      valid: dryRun ? count("valid") : count("imported"),
+      invalid: count("invalid"),
+      failed: count("failed"),
+    };
+
+    res.status(dryRun ? 200 : 201).json({
+      success: summary.invalid === 0 && summary.failed === 0,
+      dryRun,
+      message: dryRun
+        ? `Preview: ${summary.valid} of ${summary.totalRows} rows can be imported.`
+        : `${summary.valid} of ${summary.totalRows} members imported.`,
+      summary,
+      data: report,
     });
   } catch (error) {
     console.error("Bulk Import Operational Failure:", error);
     res.status(500).json({
       success: false,
-      message: "Registry sync failed. Ensure NIDs and Emails are unique.",
+      message: "Registry import failed.",
       error: error.message,
     });
   }
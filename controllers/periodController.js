@@ -0,0 +1,165 @@
+const AccountingPeriod = require("../models/AccountingPeriod");
+const {
+  periodBounds,
+  periodLabel,
+  buildSnapshot,
+} = require("../services/periodService");
+
+/**
+ * Normalizes { year, month } from the request body. month is optional
+ * (omitted or null means the whole year).
+ */
+const parsePeriod = (body) => {
+  const year = parseInt(body.year);
+  const month =
+    body.month === undefined || body.month === null || body.month === ""
+      ? null
+      : parseInt(body.month);
+
+  if (!year || (month !== null && (month < 1 || month > 12))) {
+    return null;
+  }
+  return { year, month };
+};
+
+/**
+ * @desc    List accounting periods with their close/reopen history
+ * @route   GET /api/finance/periods
+ * @access  Admin/Super-Admin
+ */
+exports.getPeriods = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.year) filter.year = parseInt(req.query.year);
+    if (req.query.status) filter.status = req.query.status;
+
+    const periods = await AccountingPeriod.find(filter)
+      .select("-snapshot.memberSavings")
+      .populate("closedBy", "name")
+      .populate("history.by", "name")
+      .sort({ year: -1, month: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: periods.length,
+      data: periods.map((p) => ({ ...p, label: periodLabel(p) })),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Close a month or fiscal year and snapshot balances
+ * @route   POST /api/finance/periods/close
+ * @access  Super-Admin
+ */
+exports.closePeriod = async (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid year (and optional month 1-12) is required.",
+      });
+    }
+
+    const { end } = periodBounds(period.year, period.month);
+    if (end > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `${periodLabel(period)} has not ended yet and cannot be closed.`,
+      });
+    }
+
+    const existing = await AccountingPeriod.findOne(period);
+    if (existing?.status === "closed") {
+      return res.status(400).json({
+        success: false,
+        message: `${periodLabel(period)} is already closed.`,
+      });
+    }
+
+    // 📸 Snapshot balances at the last instant of the period
+    const snapshot = await buildSnapshot(end, req.user.id);
+
+    const closed = await AccountingPeriod.findOneAndUpdate(
+      period,
+      {
+        $set: {
+          status: "closed",
+          closedAt: new Date(),
+          closedBy: req.user.id,
+          snapshot,
+        },
+        $push: {
+          history: { action: "close", by: req.user.id, at: new Date() },
+        },
+      },
+      { new: true, upsert: true },
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${periodLabel(period)} closed. Entries dated inside it are now locked.`,
+      data: closed,
+    });
+  } catch (error) {
+    console.error("Period Close Error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to close accounting period.",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * @desc    Reopen a closed period (reason is mandatory and recorded)
+ * @route   POST /api/finance/periods/reopen
+ * @access  Super-Admin
+ */
+exports.reopenPeriod = async (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    const reason = (req.body.reason || "").trim();
+
+    if (!period || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Year, optional month and a reason are required to reopen.",
+      });
+    }
+
+    const existing = await AccountingPeriod.findOne(period);
+    if (!existing || existing.status !== "closed") {
+      return res.status(400).json({
+        success: false,
+        message: `${periodLabel(period)} is not closed.`,
+      });
+    }
+
+    existing.status = "open";
+    existing.history.push({
+      action: "reopen",
+      by: req.user.id,
+      at: new Date(),
+      reason,
+    });
+    await existing.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${periodLabel(period)} reopened.`,
+      data: existing,
+    });
+  } catch (error) {
+    console.error("Period Reopen Error:", error.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reopen accounting period.",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+const Receipt = require("../models/Receipt");
+const { generateReceipt } = require("../utils/pdfGenerator");
+
+/**
+ * @desc    Receipt register with kind/status/member/year filters
+ * @route   GET /api/finance/receipts
+ * @access  Admin/Super-Admin
+ */
+exports.getReceipts = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      kind,
+      status,
+      member,
+      fiscalYear,
+      search,
+    } = req.query;
+
+    const query = {};
+    if (kind) query.kind = kind;
+    if (status) query.status = status;
+    if (member && mongoose.isValidObjectId(member)) query.member = member;
+    if (fiscalYear) query.fiscalYear = Number(fiscalYear);
+    if (search) {
+      const pattern = new RegExp(
+        search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        "i",
+      );
+      query.$or = [{ receiptNo: pattern }, { receivedFrom: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [receipts, total] = await Promise.all([
+      Receipt.find(query)
+        .sort({ fiscalYear: -1, sequence: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate("member", "name phone branch")
+        .populate("issuedBy", "name")
+        .lean(),
+      Receipt.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: receipts,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Download (or reprint) a receipt as PDF
+ * @route   GET /api/finance/receipts/:id/pdf
+ * @access  Private (members: own receipts only)
+ */
+exports.downloadReceipt = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Receipt not found." });
+    }
+
+    const receipt = await Receipt.findById(req.params.id)
+      .populate("member", "name phone branch")
+      .populate("bankAccount", "bankName accountNumber")
+      .populate("issuedBy", "name")
+      .lean();
+
+    const isAdmin = ["admin", "super-admin"].includes(req.user.role);
+    if (
+      !receipt ||
+      (!isAdmin && String(receipt.member?._id) !== String(req.user.id))
+    ) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Receipt not found." });
+    }
+
+    // Every copy after the first is printed as a duplicate
+    await Receipt.updateOne(
+      { _id: receipt._id },
+      { $inc: { printCount: 1 }, lastPrintedAt: new Date() },
+    );
+
+    generateReceipt(res, receipt, { duplicate: receipt.printCount > 0 });
+  } catch (error) {
+    console.error("Receipt PDF Error:", error.message);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -1,5 +1,21 @@
 const Transaction = require("../models/Transaction");
 const User = require("../models/User");
+const { sharePriceFor } = require("../services/settingsService");
+const {
+  buildAnnualStatements,
+} = require("../services/financialStatementService");
+const { generateFinancialStatements } = require("../utils/pdfGenerator");
+
+// Fiscal year from the route, defaulting to the last completed year
+const fiscalYearParam = (req) => {
+  const year = Number(req.params.year || new Date().getFullYear() - 1);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    const err = new Error("A valid fiscal year is required.");
+    err.statusCode = 400;
+    throw err;
+  }
+  return year;
+};
 
 /**
  * ✅ BRANCH SUMMARY: Regional Performance Analytics
@@ -37,18 +53,27 @@ exports.getBranchSummary = async (req, res) => {
       summaryData.find((s) => s._id === "expense")?.totalAmount || 0;
 
     // 3. Fetch Branch Meta-data for ROI/Target calculations
-    const memberCount = await User.countDocuments({
-      branch,
-      role: "member",
-      status: "active",
-    });
+    const [shareStats, sharePrice] = await Promise.all([
+      User.aggregate([
+        { $match: { branch, role: "member", status: "active" } },
+        {
+          $group: {
+            _id: null,
+            members: { $sum: 1 },
+            shares: { $sum: { $ifNull: ["$shares", 1] } },
+          },
+        },
+      ]),
+      sharePriceFor(),
+    ]);
+    const memberCount = shareStats[0]?.members || 0;
 
     /**
      * 🚀 DYNAMIC UI LOGIC:
-     * We calculate the collection percentage against a monthly goal.
-     * Assuming a goal of 1000 BDT per member per month.
+     * We calculate the collection percentage against a monthly goal:
+     * every active share at the current share price.
      */
-    const monthlyGoal = memberCount * 1000;
+    const monthlyGoal = (shareStats[0]?.shares || 0) * sharePrice;
     const collectionPerformance =
       monthlyGoal > 0
         ? Math.min(Math.round((deposits / monthlyGoal) * 100), 100)
@@ -84,3 +109,44 @@ exports.getBranchSummary = async (req, res) => {
     });
   }
 };
+
+/**
+ * @desc    Annual financial statements (income & expenditure, receipts &
+ *          payments, balance sheet) for a fiscal year
+ * @route   GET /api/finance/reports/annual/:year
+ * @access  Private (Admin/Super-Admin)
+ */
+exports.getAnnualStatements = async (req, res) => {
+  try {
+    const statements = await buildAnnualStatements(fiscalYearParam(req));
+    res.status(200).json({ success: true, data: statements });
+  } catch (error) {
+    console.error("Annual Statements Error:", error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode
+        ? error.message
+        : "Could not generate financial statements",
+    });
+  }
+};
+
+/**
+ * @desc    AGM pack: the three annual statements as one PDF
+ * @route   GET /api/finance/reports/annual/:year/pdf
+ * @access  Private (Admin/Super-Admin)
+ */
+exports.downloadAnnualStatements = async (req, res) => {
+  try {
+    const statements = await buildAnnualStatements(fiscalYearParam(req));
+    generateFinancialStatements(res, statements);
+  } catch (error) {
+    console.error("Annual Statements PDF Error:", error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode
+        ? error.message
+        : "Could not generate financial statements",
+    });
+  }
+};
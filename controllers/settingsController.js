@@ -0,0 +1,126 @@
+const SocietySetting = require("../models/SocietySetting");
+const { getSettings, sharePriceFor } = require("../services/settingsService");
+const { repriceDues, parseMonthStart } = require("../services/duesService");
+
+/**
+ * @desc    Share price history and subscription rules
+ * @route   GET /api/finance/society-settings
+ * @access  Admin/Super-Admin
+ */
+exports.getSocietySettings = async (req, res) => {
+  try {
+    const settings = await getSettings();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currentSharePrice: await sharePriceFor(),
+        sharePriceHistory: [...settings.sharePriceHistory].sort(
+          (a, b) => new Date(b.effectiveFrom) - new Date(a.effectiveFrom),
+        ),
+        minSharesPerMember: settings.minSharesPerMember,
+        maxSharesPerMember: settings.maxSharesPerMember,
+        loanPolicy: settings.loanPolicy,
+        updatedAt: settings.updatedAt,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * @desc    Schedule a new share price from a month onwards and/or change share limits
+ * @route   PUT /api/finance/society-settings
+ * @access  Super-Admin
+ */
+exports.updateSocietySettings = async (req, res) => {
+  try {
+    const {
+      sharePrice,
+      effectiveFrom,
+      note,
+      minSharesPerMember,
+      maxSharesPerMember,
+      loanPolicy,
+    } = req.body;
+
+    const settings = (await SocietySetting.findOne()) || new SocietySetting();
+    let repriced = 0;
+    let effectiveMonth = null;
+
+    if (sharePrice !== undefined) {
+      const price = Number(sharePrice);
+      effectiveMonth = parseMonthStart(effectiveFrom);
+      const now = new Date();
+      const currentMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+      if (!(price > 0) || !effectiveMonth) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "A positive share price and an effective month (YYYY-MM) are required.",
+        });
+      }
+
+      // 🔒 Past months keep the price they were scheduled at
+      if (effectiveMonth < currentMonth) {
+        return res.status(400).json({
+          success: false,
+          message: "A share price change cannot take effect in a past month.",
+        });
+      }
+
+      // A second change for the same month replaces the earlier one
+      settings.sharePriceHistory = settings.sharePriceHistory.filter(
+        (v) => new Date(v.effectiveFrom).getTime() !== effectiveMonth.getTime(),
+      );
+      settings.sharePriceHistory.push({
+        price,
+        effectiveFrom: effectiveMonth,
+        note,
+        setBy: req.user.id,
+      });
+    }
+
+    if (minSharesPerMember !== undefined) {
+      settings.minSharesPerMember = Number(minSharesPerMember);
+    }
+    if (maxSharesPerMember !== undefined) {
+      settings.maxSharesPerMember =
+        maxSharesPerMember === null || maxSharesPerMember === ""
+          ? null
+          : Number(maxSharesPerMember);
+    }
+
+    // Loan defaults: only the fields sent are changed
+    if (loanPolicy && typeof loanPolicy === "object") {
+      for (const key of Object.keys(SocietySetting.schema.obj.loanPolicy)) {
+        if (loanPolicy[key] !== undefined) {
+          settings.loanPolicy[key] = loanPolicy[key];
+        }
+      }
+    }
+
+    settings.lastUpdatedBy = req.user.id;
+    await settings.save();
+
+    // Months already scheduled from the effective month onwards follow the new price
+    if (effectiveMonth) {
+      repriced = await repriceDues({
+        year: effectiveMonth.getFullYear(),
+        month: effectiveMonth.getMonth() + 1,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: effectiveMonth
+        ? `Share price ৳${Number(sharePrice).toLocaleString()} applies from ${effectiveMonth.toLocaleString("default", { month: "long", year: "numeric" })}.`
+        : "Society settings updated.",
+      data: { settings, repricedDues: repriced },
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+};
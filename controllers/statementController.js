@@ -0,0 +1,25 @@
+const { buildMemberStatement } = require("../services/statementService");
+const { generateMemberStatement } = require("../utils/pdfGenerator");
+
+/**
+ * @desc    Member account statement PDF for a date range (?from=&to=)
+ * @route   GET /api/finance/statement/me
+ * @route   GET /api/finance/statement/:id
+ * @access  Private (member: own statement; Admin/Super-Admin: any member)
+ */
+exports.downloadMemberStatement = async (req, res) => {
+  try {
+    const memberId = req.params.id || req.user.id;
+    const statement = await buildMemberStatement(memberId, req.query);
+
+    generateMemberStatement(res, statement);
+  } catch (error) {
+    console.error("Statement Error:", error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode
+        ? error.message
+        : "Statement could not be generated.",
+    });
+  }
+};
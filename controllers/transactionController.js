@@ -1,7 +1,15 @@
 const Transaction = require("../models/Transaction");
+const User = require("../models/User");
 const BankAccount = require("../models/BankAccount");
 const Investment = require("../models/Investment");
+const MemberExit = require("../models/MemberExit");
 const mongoose = require("mongoose");
+const ledger = require("../services/ledgerService");
+const approvals = require("../services/approvalService");
+const httpError = require("../utils/httpError");
+const dues = require("../services/duesService");
+const receipts = require("../services/receiptService");
+const budgets = require("../services/budgetService");
 
 /**
  * ✅ GET MEMBER TRANSACTIONS: Optimized for Mobile Infinite Scroll
@@ -42,10 +50,10 @@ exports.getMemberTransactions = async (req, res) => {
 };
 
 /**
- * ✅ CREATE TRANSACTION: Atomic Triple-Sync Logic
+ * ✅ TRANSACTION EXECUTOR: Atomic Triple-Sync Logic
  * Synchronizes: 1. Ledger, 2. Specific Bank Balance, 3. Project ROI.
  */
-exports.createTransaction = async (req, res) => {
+exports.executeTransaction = async (payload, actor) => {
   // Use a session to ensure all updates happen or none do (Atomicity)
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -62,11 +70,14 @@ exports.createTransaction = async (req, res) => {
       year,
       userId,
       bankAccount, // 🔥 Dynamic ID from Mobile App (e.g., FDR or Savings ID)
-    } = req.body;
+    } = payload;
 
     // 1. Strict Validation
     if (!type || !category || !amount || !bankAccount) {
-      throw new Error("Type, Category, Amount, and Bank Account are required.");
+      throw httpError(
+        400,
+        "Type, Category, Amount, and Bank Account are required."
+      );
     }
 
     const numAmount = Number(amount);
@@ -74,12 +85,13 @@ exports.createTransaction = async (req, res) => {
     // 2. 🔥 DYNAMIC TREASURY SYNC (No more Mother Account hardcoding)
     const targetBank = await BankAccount.findById(bankAccount).session(session);
     if (!targetBank) {
-      throw new Error("The selected bank account does not exist.");
+      throw httpError(400, "The selected bank account does not exist.");
     }
 
     // 3. INVESTMENT ROI TRACKING (Standardized status/subcategory matching)
+    let project = null;
     if (category.toLowerCase().includes("investment") && subcategory) {
-      const project = await Investment.findOne({
+      project = await Investment.findOne({
         projectName: { $regex: new RegExp(`^${subcategory}$`, "i") },
       }).session(session);
 
@@ -96,18 +108,13 @@ exports.createTransaction = async (req, res) => {
       month || transactionDate.toLocaleString("default", { month: "long" });
     const finalYear = year || transactionDate.getFullYear();
 
-    // 5. Update Target Bank Balance (Deposit vs Expense)
-    if (type === "deposit") {
-      targetBank.currentBalance += numAmount;
-    } else if (type === "expense") {
-      if (targetBank.currentBalance < numAmount) {
-        throw new Error(
-          `Insufficient funds in ${targetBank.bankName}. Available: ৳${targetBank.currentBalance}`
-        );
-      }
-      targetBank.currentBalance -= numAmount;
+    // 5. Funds Check (Expense)
+    if (type === "expense" && targetBank.currentBalance < numAmount) {
+      throw httpError(
+        400,
+        `Insufficient funds in ${targetBank.bankName}. Available: ৳${targetBank.currentBalance}`
+      );
     }
-    await targetBank.save({ session });
 
     // 6. Create Ledger Entry linked to the SPECIFIC bankAccount
     const transaction = await Transaction.create(
@@ -123,25 +130,261 @@ exports.createTransaction = async (req, res) => {
           year: finalYear,
           bankAccount, // Stores the specific ID (e.g., ...eb11 for FDR)
           remarks: remarks || `${type} entry for ${category}`,
-          recordedBy: req.user.id,
+          recordedBy: actor.id,
+          ...approvals.approvalStamp(actor),
+          referenceId: project ? project._id : null,
         },
       ],
       { session }
     );
 
-    // 7. Commit changes to Database
+    // 7. Post the balanced journal; the bank balance is re-derived from it
+    await ledger.postTransaction(transaction[0], session);
+
+    // Monthly deposits entered here settle the member's dues schedule too
+    await dues.settlePayment(transaction[0], session);
+
+    // 🧾 Money collected from a member gets a numbered receipt
+    let receipt = null;
+    if (
+      type === "deposit" &&
+      userId &&
+      ["monthly_deposit", "fine_payment"].includes(category)
+    ) {
+      const member = await User.findById(userId)
+        .select("name")
+        .session(session);
+      receipt = await receipts.issueReceipt(
+        {
+          kind: category,
+          member: userId,
+          receivedFrom: member?.name,
+          amount: numAmount,
+          bankAccount: targetBank._id,
+          transactions: [transaction[0]._id],
+          lines: [
+            {
+              label:
+                category === "monthly_deposit"
+                  ? `Monthly share: ${finalMonth} ${finalYear}`
+                  : "Late fine",
+              amount: numAmount,
+            },
+          ],
+          remarks: transaction[0].remarks,
+          issuedBy: actor.id,
+        },
+        session
+      );
+    }
+
+    // 8. Commit changes to Database
     await session.commitTransaction();
     session.endSession();
 
+    // 🔔 Budget threshold warnings (non-blocking)
+    budgets
+      .checkThresholds(transaction[0])
+      .catch((e) => console.error("Budget Alert Error:", e.message));
+
+    return { transaction: transaction[0], bank: targetBank, receipt };
+  } catch (error) {
+    // Rollback all changes if any step fails
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+/**
+ * ✅ CREATE TRANSACTION: Admin entries wait for a second signature
+ */
+exports.createTransaction = async (req, res) => {
+  try {
+    const { type, category, amount, bankAccount } = req.body;
+    if (!type || !category || !amount || !bankAccount) {
+      return res.status(400).json({
+        success: false,
+        message: "Type, Category, Amount, and Bank Account are required.",
+      });
+    }
+
+    const pending = await approvals.submitIfRequired(req, {
+      kind: "transaction",
+      amount: Number(amount),
+      summary: `${type} ৳${Number(amount).toLocaleString()} – ${category}`,
+    });
+    if (pending)
+      return res.status(202).json(approvals.pendingResponse(pending));
+
+    const { transaction, bank, receipt } = await exports.executeTransaction(
+      req.body,
+      { id: req.user.id }
+    );
+
     res.status(201).json({
       success: true,
-      message: `Transaction committed to ${targetBank.bankName}.`,
-      data: transaction[0],
+      message: receipt
+        ? `Transaction committed to ${bank.bankName}. Receipt ${receipt.receiptNo}.`
+        : `Transaction committed to ${bank.bankName}.`,
+      data: transaction,
+      receipt: receipt?.receiptNo || null,
     });
   } catch (error) {
-    // Rollback all changes if any step fails
-    await session.abortTransaction();
+    res
+      .status(error.statusCode || 500)
+      .json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * ✅ VOID TRANSACTION: Reversal Instead of Deletion
+ * Posts a linked contra entry (same type/category, negated amount) so every
+ * aggregate nets to zero, marks the original as voided and undoes its side
+ * effects: bank balance and member savings through the reversing journal,
+ * project profit on the Investment itself. Nothing is ever removed.
+ */
+exports.voidTransaction = async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const reason = (req.body.reason || "").trim();
+    const original = await Transaction.findById(req.params.id).session(session);
+
+    let rejection = null;
+    if (!reason) {
+      rejection = [400, "A reason is required to void an entry."];
+    } else if (!original) {
+      rejection = [404, "Transaction record not found."];
+    } else if (original.status === "voided" || original.reversalOf) {
+      rejection = [
+        400,
+        "This entry is already voided or is itself a reversal.",
+      ];
+    } else if (original.type === "loan") {
+      // Reversing one would leave the loan's EMI schedule out of step
+      rejection = [
+        400,
+        "Loan disbursements and repayments cannot be voided from the ledger.",
+      ];
+    } else if (original.type === "investment") {
+      // The Investment record would keep its capital while the ledger drops it
+      rejection = [
+        400,
+        "Investment capital cannot be voided from the ledger. Liquidate or write off the project instead (DELETE /api/finance/investment/:id).",
+      ];
+    } else if (original.type === "dividend") {
+      // Dividend runs and exit profit shares are posted as a whole
+      rejection = [400, "Dividend postings cannot be voided from the ledger."];
+    } else if (
+      await MemberExit.exists({ transactions: original._id }).session(session)
+    ) {
+      // The member has already been paid out and marked as exited
+      rejection = [
+        400,
+        "Exit settlement entries cannot be voided from the ledger.",
+      ];
+    }
+
+    if (rejection) {
+      await session.abortTransaction();
+      session.endSession();
+      return res
+        .status(rejection[0])
+        .json({ success: false, message: rejection[1] });
+    }
+
+    // 1. Contra entry: mirrors the original so sums by type/category/month net out
+    const [contra] = await Transaction.create(
+      [
+        {
+          user: original.user,
+          type: original.type,
+          category: original.category,
+          subcategory: original.subcategory,
+          amount: -original.amount,
+          bankAccount: original.bankAccount,
+          transferDetails: original.transferDetails,
+          month: original.month,
+          year: original.year,
+          date: new Date(),
+          referenceId: original.referenceId,
+          recordedBy: req.user.id,
+          remarks: `Reversal of ${original.category} (${new Date(
+            original.date
+          ).toLocaleDateString("en-GB")}): ${reason}`,
+          reversalOf: original._id,
+        },
+      ],
+      { session }
+    );
+
+    // 2. Reversing journal: restores bank balance and member savings
+    await ledger.reverseTransaction(
+      original,
+      {
+        postedBy: req.user.id,
+        description: `Void: ${original.remarks || original.category}. ${reason}`,
+        contra,
+      },
+      session
+    );
+
+    // 3. Undo project ROI tracking
+    if (
+      original.referenceId &&
+      original.category.toLowerCase().includes("investment")
+    ) {
+      const project = await Investment.findById(original.referenceId).session(
+        session
+      );
+      if (project) {
+        if (original.type === "deposit") project.totalProfit -= original.amount;
+        else if (original.type === "expense")
+          project.totalProfit += original.amount;
+        await project.save({ session });
+      }
+    }
+
+    // 4. Mark the original as voided and link both rows
+    original.status = "voided";
+    original.reversedBy = contra._id;
+    original.voidReason = reason;
+    original.voidedBy = req.user.id;
+    original.voidedAt = new Date();
+    await original.save({ session });
+
+    // 5. A voided monthly deposit re-opens its month in the dues schedule
+    await dues.reverseSettlement(original, session);
+
+    // 6. Its receipt is cancelled (the number is never reused); whatever else
+    //    that receipt covered gets a numbered replacement
+    const replacementReceipts = await receipts.cancelReceiptsFor(
+      original,
+      { cancelledBy: req.user.id, reason },
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      success: true,
+      message: replacementReceipts.length
+        ? `Transaction voided and reversal entry posted. Replacement receipt ${replacementReceipts
+            .map((r) => r.receiptNo)
+            .join(", ")} issued.`
+        : "Transaction voided and reversal entry posted.",
+      data: { original, reversal: contra, replacementReceipts },
+    });
+  } catch (error) {
+    // The error may come after the commit (e.g. while responding)
+    if (session.inTransaction()) await session.abortTransaction();
     session.endSession();
-    res.status(400).json({ success: false, message: error.message });
+    console.error("Void/Reversal Error:", error.message);
+    res
+      .status(error.statusCode || 500)
+      .json({ success: false, message: error.message });
   }
 };
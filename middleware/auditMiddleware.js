@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const audit = require("../services/auditService");
+
+/**
+ * ✅ AUDIT TRAIL MIDDLEWARE
+ * Wraps a mutating route: snapshots the target document before the handler
+ * runs and again once a successful response has been sent, then records the
+ * diff. Place it after protect/authorize.
+ *
+ * @param {string} action        e.g. "member.update"
+ * @param {object} [options]
+ * @param {Model}  [options.model]      Mongoose model of the affected entity
+ * @param {string} [options.idParam]    Route param holding its id (default "id")
+ * @param {boolean}[options.singleton]  Settings documents without an id
+ * @param {boolean}[options.self]       Entity is the logged-in user
+ */
+exports.audit =
+  (action, { model, idParam = "id", singleton = false, self = false } = {}) =>
+  async (req, res, next) => {
+    const entityType = model ? model.modelName : action.split(".")[0];
+
+    const resolveId = (body) => {
+      if (self) return req.user?._id;
+      const id = req.params[idParam] || body?.data?._id || body?.data?.id;
+      return id && mongoose.isValidObjectId(id) ? id : null;
+    };
+
+    const load = async (id) => {
+      if (!model) return null;
+      if (singleton) return model.findOne().lean();
+      return id ? model.findById(id).lean() : null;
+    };
+
+    let before = null;
+    try {
+      before = await load(resolveId());
+    } catch (error) {
+      console.error("Audit Snapshot Error:", error.message);
+    }
+
+    // Capture the JSON body so creates can be linked to the new document
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditBody = body;
+      return originalJson(body);
+    };
+
+    res.on("finish", async () => {
+      if (res.statusCode >= 400) return;
+
+      const body = res.locals.auditBody;
+      const entityId = resolveId(body) || before?._id || null;
+      let after = null;
+      try {
+        after = model ? await load(entityId) : body?.data || null;
+      } catch (error) {
+        console.error("Audit Snapshot Error:", error.message);
+      }
+
+      audit.record(req, {
+        action,
+        entityType,
+        entityId,
+        before,
+        after,
+        statusCode: res.statusCode,
+      });
+    });
+
+    next();
+  };
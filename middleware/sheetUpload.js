@@ -0,0 +1,22 @@
+const multer = require("multer");
+const path = require("path");
+const httpError = require("../utils/httpError");
+
+/**
+ * ✅ SPREADSHEET UPLOAD
+ * Keeps the uploaded .xlsx/.xls/.csv in memory (field name "file"); imports
+ * parse it straight from req.file.buffer and nothing is written to disk.
+ */
+const sheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /^\.(xlsx|xls|csv)$/;
+    if (allowedTypes.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(httpError(400, "Only .xlsx, .xls and .csv files are allowed!"));
+  },
+});
+
+module.exports = sheetUpload;
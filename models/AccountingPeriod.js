@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+/**
+ * ✅ ACCOUNTING PERIOD: Month or Year Close
+ * A closed period locks every entry dated inside it. `month` is 1-12 for a
+ * monthly close and null when the whole fiscal year is closed.
+ */
+const accountingPeriodSchema = new mongoose.Schema(
+  {
+    year: { type: Number, required: true },
+    month: { type: Number, min: 1, max: 12, default: null },
+    status: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "closed",
+    },
+    closedAt: { type: Date },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+    // 🔥 CLOSING SNAPSHOT: Starting point for later statements and reports
+    snapshot: {
+      asOf: { type: Date },
+      bankBalances: [
+        {
+          _id: false,
+          bankAccount: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "BankAccount",
+          },
+          bankName: { type: String },
+          accountNumber: { type: String },
+          balance: { type: Number, default: 0 },
+        },
+      ],
+      memberSavingsTotal: { type: Number, default: 0 },
+      memberSavings: [
+        {
+          _id: false,
+          user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          balance: { type: Number, default: 0 },
+        },
+      ],
+    },
+
+    // Every close/reopen is recorded; a reopen always carries a reason
+    history: [
+      {
+        _id: false,
+        action: { type: String, enum: ["close", "reopen"], required: true },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        at: { type: Date, default: Date.now },
+        reason: { type: String },
+      },
+    ],
+  },
+  { timestamps: true },
+);
+
+accountingPeriodSchema.index({ year: 1, month: 1 }, { unique: true });
+
+module.exports =
+  mongoose.models.AccountingPeriod ||
+  mongoose.model("AccountingPeriod", accountingPeriodSchema);
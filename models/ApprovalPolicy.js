@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+/**
+ * ✅ MAKER–CHECKER POLICY (single document)
+ * Entries by an `admin` wait for a second signature when
+ * `requireApprovalForAdmin` is on. Independently, any entry whose amount
+ * exceeds its kind's threshold needs approval, whoever made it.
+ */
+const ApprovalPolicySchema = new mongoose.Schema(
+  {
+    requireApprovalForAdmin: {
+      type: Boolean,
+      default: true,
+    },
+    thresholds: {
+      deposit: { type: Number, default: null },
+      expense: { type: Number, default: 50000 },
+      transfer: { type: Number, default: null },
+      investment_entry: { type: Number, default: null },
+      fine_waiver: { type: Number, default: null },
+      fine_payment: { type: Number, default: null },
+      transaction: { type: Number, default: 50000 },
+      loan_disbursement: { type: Number, default: null },
+      loan_repayment: { type: Number, default: null },
+      // 0 = every exit that returns savings needs a second signature
+      member_exit: { type: Number, default: 0 },
+    },
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports =
+  mongoose.models.ApprovalPolicy ||
+  mongoose.model("ApprovalPolicy", ApprovalPolicySchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+/**
+ * ✅ APPROVAL REQUEST: A financial entry awaiting a second signature
+ * The original request body is kept in `payload` and only executed (and
+ * therefore only touches balances) once a different admin approves it.
+ */
+const approvalRequestSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: [
+        "deposit",
+        "expense",
+        "transfer",
+        "investment_entry",
+        "fine_waiver",
+        "fine_payment",
+        "transaction",
+        "loan_disbursement",
+        "loan_repayment",
+        "member_exit",
+      ],
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "approved", "rejected"],
+      default: "pending",
+      index: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    amount: { type: Number, default: 0 },
+    summary: { type: String },
+
+    maker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    checker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    checkerComment: { type: String },
+    decidedAt: { type: Date },
+
+    // Outcome of execution on approval (created entry ids etc.)
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    lastError: { type: String, default: null },
+    // Approved batches where part of the instruction was not carried out
+    executedWithErrors: { type: Boolean, default: false, index: true },
+    failedItems: [
+      {
+        _id: false,
+        member: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        name: { type: String },
+        reason: { type: String },
+      },
+    ],
+  },
+  { timestamps: true },
+);
+
+module.exports =
+  mongoose.models.ApprovalRequest ||
+  mongoose.model("ApprovalRequest", approvalRequestSchema);
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+const auditChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false },
+);
+
+/**
+ * ✅ AUDIT LOG: Who did what, when and from where
+ * One record per successful mutating request, with the entity's state
+ * before and after. Records are append-only.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    actorName: { type: String },
+    actorRole: { type: String },
+
+    // e.g. "member.update", "finance.deposit", "bank.transfer"
+    action: { type: String, required: true, index: true },
+    entityType: { type: String, index: true },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true,
+    },
+
+    method: { type: String },
+    path: { type: String },
+    statusCode: { type: Number },
+
+    ip: { type: String },
+    userAgent: { type: String },
+    deviceId: { type: String },
+
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    changes: { type: [auditChangeSchema], default: [] },
+    requestBody: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+// 🔒 APPEND-ONLY: Audit records are never edited or removed
+const blockMutation = function () {
+  throw new Error("Audit log records are append-only.");
+};
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((op) => auditLogSchema.pre(op, blockMutation));
+
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) blockMutation();
+});
+
+module.exports =
+  mongoose.models.AuditLog || mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+/**
+ * ✅ BUDGET LINE
+ * The committee's planned spending for one expense category (or one of its
+ * subcategories) over a fiscal year. `monthlyAmounts` phases the annual
+ * figure across January..December; when left empty it is spread evenly.
+ */
+const budgetSchema = new mongoose.Schema(
+  {
+    year: { type: Number, required: true, index: true },
+    category: { type: String, required: true, trim: true },
+    // null = budget for the whole category (all of its subcategories)
+    subcategory: { type: String, default: null, trim: true },
+
+    annualAmount: { type: Number, required: true, min: 0 },
+    monthlyAmounts: {
+      type: [Number],
+      default: [],
+      validate: {
+        validator: (v) => v.length === 0 || v.length === 12,
+        message: "monthlyAmounts must have 12 entries (January..December).",
+      },
+    },
+
+    // Percentage of budget used that triggers a warning to admins
+    alertThreshold: { type: Number, default: 80, min: 1, max: 100 },
+
+    // Warnings already sent, so each is raised once per period and level
+    alertsSent: [
+      {
+        period: { type: String }, // "2026" or "2026-03"
+        level: { type: Number }, // threshold % or 100 for overspend
+        sentAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
+
+    note: { type: String, trim: true },
+    setBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true },
+);
+
+budgetSchema.index({ year: 1, category: 1, subcategory: 1 }, { unique: true });
+
+module.exports =
+  mongoose.models.Budget || mongoose.model("Budget", budgetSchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const batchResultSchema = new mongoose.Schema(
+  {
+    member: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    name: { type: String },
+    status: {
+      type: String,
+      enum: ["posted", "skipped_already_paid", "failed"],
+      required: true,
+    },
+    // "installment": default full share; "amount": explicit partial/advance sum
+    mode: { type: String, enum: ["installment", "amount"] },
+    amount: { type: Number, default: 0 },
+    fine: { type: Number, default: 0 },
+    allocations: { type: mongoose.Schema.Types.Mixed, default: [] },
+    advanceCredit: { type: Number, default: 0 },
+    transactions: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+    ],
+    receipt: { type: mongoose.Schema.Types.ObjectId, ref: "Receipt" },
+    receiptNo: { type: String },
+    reason: { type: String },
+  },
+  { _id: false },
+);
+
+/**
+ * ✅ DEPOSIT BATCH: One monthly collection run
+ * The idempotency key makes retries and double-taps replay the stored
+ * outcome instead of posting the batch again. A failed run is resumed by
+ * retrying the same key: members it already posted are not posted again.
+ */
+const depositBatchSchema = new mongoose.Schema(
+  {
+    idempotencyKey: { type: String, trim: true },
+    targetMonth: { type: String, required: true },
+    targetYear: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "completed", "failed"],
+      default: "processing",
+      index: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    totalAmount: { type: Number, default: 0 },
+    results: { type: [batchResultSchema], default: [] },
+    completedAt: { type: Date },
+    failureReason: { type: String },
+  },
+  { timestamps: true },
+);
+
+depositBatchSchema.index(
+  { idempotencyKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { idempotencyKey: { $type: "string" } },
+  },
+);
+depositBatchSchema.index({
+  targetYear: 1,
+  targetMonth: 1,
+  "results.member": 1,
+});
+
+module.exports =
+  mongoose.models.DepositBatch ||
+  mongoose.model("DepositBatch", depositBatchSchema);
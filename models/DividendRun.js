@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+const entitlementSchema = new mongoose.Schema(
+  {
+    member: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    name: { type: String },
+    shares: { type: Number, default: 0 },
+    // Shares × months of membership inside the fiscal year
+    shareMonths: { type: Number, default: 0 },
+    // Mean of the twelve month-end savings balances
+    averageSavings: { type: Number, default: 0 },
+    shareComponent: { type: Number, default: 0 },
+    savingsComponent: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * ✅ DIVIDEND RUN
+ * A fiscal year's distributable surplus split between members: `shareWeight`
+ * percent by share-months and the rest by month-weighted average savings.
+ * Saved as a draft for preview; confirming posts one ledger entry per member
+ * (credit to savings, or cash paid from `bankAccount`). At most one run per
+ * fiscal year can be posted.
+ */
+const dividendRunSchema = new mongoose.Schema(
+  {
+    fiscalYear: { type: Number, required: true, index: true },
+    distributableSurplus: { type: Number, required: true, min: 0 },
+    shareWeight: { type: Number, default: 50, min: 0, max: 100 },
+    payoutMode: {
+      type: String,
+      enum: ["savings_credit", "cash"],
+      default: "savings_credit",
+    },
+    bankAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankAccount",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["draft", "posted", "cancelled"],
+      default: "draft",
+      index: true,
+    },
+
+    entitlements: [entitlementSchema],
+    totals: {
+      members: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+      // Left in retained surplus after rounding each entitlement to paisa
+      roundingDifference: { type: Number, default: 0 },
+    },
+
+    note: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    postedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    postedAt: { type: Date },
+  },
+  { timestamps: true },
+);
+
+module.exports =
+  mongoose.models.DividendRun ||
+  mongoose.model("DividendRun", dividendRunSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+/**
+ * ✅ FINE EXEMPTION (fine holiday)
+ * Due months from `fromMonth` to `toMonth` (inclusive) accrue no fine for one
+ * member, or for every member of a branch. The installment itself is still
+ * owed. Exemptions are revoked, never deleted, so the grant stays on record.
+ */
+const fineExemptionSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ["member", "branch"],
+      required: true,
+    },
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    branch: { type: String, default: null, index: true },
+
+    // First days of the first and last exempt due months
+    fromMonth: { type: Date, required: true },
+    toMonth: { type: Date, required: true },
+
+    reason: { type: String, required: true, trim: true },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "revoked"],
+      default: "active",
+      index: true,
+    },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    revokedAt: { type: Date },
+    revokeReason: { type: String },
+  },
+  { timestamps: true },
+);
+
+module.exports =
+  mongoose.models.FineExemption ||
+  mongoose.model("FineExemption", fineExemptionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+/**
+ * ✅ FINE POLICY VERSION
+ * Each version applies to due months from `effectiveFrom` until the next
+ * version starts. Versions are never edited; a change adds a new one.
+ */
+const finePolicySchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true, unique: true },
+    // First day of the first due month governed by this version
+    effectiveFrom: { type: Date, required: true, index: true },
+    formula: {
+      type: String,
+      enum: ["flat", "simple", "compounding"],
+      default: "simple",
+    },
+    gracePeriodMonths: { type: Number, required: true, min: 0 },
+    // Used by "simple" and "compounding"
+    finePercentage: { type: Number, default: 0, min: 0 },
+    // Used by "flat": fee charged for each late month
+    flatFee: { type: Number, default: 0, min: 0 },
+    // Optional caps (null = no cap)
+    maxFinePerMonth: { type: Number, default: null, min: 0 },
+    maxFinePerMember: { type: Number, default: null, min: 0 },
+    note: { type: String },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports =
+  mongoose.models.FinePolicy || mongoose.model("FinePolicy", finePolicySchema);
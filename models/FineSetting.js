@@ -2,6 +2,11 @@ const mongoose = require("mongoose");
 
 const FineSettingSchema = new mongoose.Schema(
   {
+    formula: {
+      type: String,
+      enum: ["flat", "simple", "compounding"],
+      default: "simple",
+    },
     gracePeriodMonths: {
       type: Number,
       required: true,
@@ -12,6 +17,9 @@ const FineSettingSchema = new mongoose.Schema(
       required: true,
       default: 5,
     },
+    flatFee: { type: Number, default: 0 },
+    maxFinePerMonth: { type: Number, default: null },
+    maxFinePerMember: { type: Number, default: null },
     lastUpdatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+
+const journalLineSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LedgerAccount",
+      required: true,
+    },
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 },
+    // Sub-ledger tags: member savings/fines and per-project investment lines
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    investment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Investment",
+      default: null,
+    },
+    memo: { type: String },
+  },
+  { _id: false },
+);
+
+/**
+ * ✅ JOURNAL ENTRY: Balanced Double-Entry Posting
+ * One entry per business event. Entries are immutable once posted;
+ * corrections are made by posting a contra entry.
+ */
+const journalEntrySchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      index: true,
+    },
+    description: { type: String, required: true },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+      index: true,
+    },
+    lines: {
+      type: [journalLineSchema],
+      required: true,
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+journalEntrySchema.index({ "lines.account": 1, date: 1 });
+journalEntrySchema.index({ "lines.member": 1 });
+
+// 🔒 BALANCE GUARD: Total debits must equal total credits (to the poisha)
+journalEntrySchema.pre("validate", function () {
+  if (!this.lines || this.lines.length < 2) {
+    throw new Error("A journal entry needs at least two lines.");
+  }
+
+  let debits = 0;
+  let credits = 0;
+  for (const line of this.lines) {
+    if (line.debit > 0 === line.credit > 0) {
+      throw new Error("Each journal line must be either a debit or a credit.");
+    }
+    debits += Math.round(line.debit * 100);
+    credits += Math.round(line.credit * 100);
+  }
+
+  if (debits !== credits) {
+    throw new Error(
+      `Unbalanced journal entry: debits ৳${debits / 100} ≠ credits ৳${credits / 100}.`,
+    );
+  }
+});
+
+// 🔒 APPEND-ONLY: Posted entries are never edited or removed
+const blockMutation = function () {
+  throw new Error("Journal entries are append-only. Post a reversal instead.");
+};
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((op) => journalEntrySchema.pre(op, blockMutation));
+
+module.exports =
+  mongoose.models.JournalEntry ||
+  mongoose.model("JournalEntry", journalEntrySchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+/**
+ * ✅ CHART OF ACCOUNTS
+ * Every journal line posts against one of these accounts. Bank accounts get
+ * their own asset account (linked via `bankAccount`); everything else is a
+ * fixed system account identified by `code`.
+ */
+const ledgerAccountSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["asset", "liability", "equity", "income", "expense"],
+      required: true,
+    },
+    // 🔥 Debit-normal (asset/expense) vs credit-normal (liability/equity/income)
+    normalBalance: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+    bankAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankAccount",
+      default: null,
+    },
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true },
+);
+
+ledgerAccountSchema.index(
+  { bankAccount: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { bankAccount: { $type: "objectId" } },
+  },
+);
+
+module.exports =
+  mongoose.models.LedgerAccount ||
+  mongoose.model("LedgerAccount", ledgerAccountSchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+/**
+ * ✅ LEGACY LEDGER IMPORT
+ * One committed upload of historical transactions. Every Transaction it
+ * created points back here through `legacyImport`.
+ */
+const legacyImportSchema = new mongoose.Schema(
+  {
+    fileName: { type: String },
+    // SHA-256 of the uploaded file; the same file can only be imported once
+    fileHash: { type: String, unique: true, sparse: true },
+    mapping: { type: mongoose.Schema.Types.Mixed, default: {} },
+    rowCount: { type: Number, default: 0 },
+    importedCount: { type: Number, default: 0 },
+    // Rows left out with skipInvalid=true, with the reasons
+    skippedRows: { type: mongoose.Schema.Types.Mixed, default: [] },
+    totals: {
+      deposits: { type: Number, default: 0 },
+      fines: { type: Number, default: 0 },
+      expenses: { type: Number, default: 0 },
+    },
+    // Opening savings replaced by the imported history, per member
+    replacedOpenings: [
+      {
+        _id: false,
+        member: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        amount: { type: Number },
+      },
+    ],
+    // Bank openings moved by the net imported cash (negative = reduced)
+    bankOpeningAdjustments: [
+      {
+        _id: false,
+        bankAccount: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "BankAccount",
+        },
+        amount: { type: Number },
+      },
+    ],
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports =
+  mongoose.models.LegacyImport ||
+  mongoose.model("LegacyImport", legacyImportSchema);
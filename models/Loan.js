@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+
+const installmentSchema = new mongoose.Schema(
+  {
+    installmentNo: { type: Number, required: true },
+    dueDate: { type: Date, required: true },
+    principal: { type: Number, required: true },
+    interest: { type: Number, required: true },
+    emi: { type: Number, required: true },
+
+    // Collected so far against this installment
+    paidPrincipal: { type: Number, default: 0 },
+    paidInterest: { type: Number, default: 0 },
+    paidPenalty: { type: Number, default: 0 },
+    // Interest not yet due that was forgiven on early settlement
+    waivedInterest: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: ["pending", "partial", "paid"],
+      default: "pending",
+    },
+    paidDate: { type: Date, default: null },
+  },
+  { _id: false },
+);
+
+const repaymentSchema = new mongoose.Schema(
+  {
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+    receipt: { type: mongoose.Schema.Types.ObjectId, ref: "Receipt" },
+    date: { type: Date, required: true },
+    amount: { type: Number, required: true },
+    principal: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    penalty: { type: Number, default: 0 },
+    // Per-installment split, as printed on the receipt
+    allocations: [
+      {
+        _id: false,
+        installmentNo: Number,
+        principal: Number,
+        interest: Number,
+        penalty: Number,
+      },
+    ],
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false },
+);
+
+/**
+ * ✅ MEMBER LOAN
+ * Lifecycle: pending (applied by the member) → approved / rejected →
+ * active (disbursed from a bank account, EMI schedule fixed) → closed once
+ * every installment is paid. Terms are set by the approving admin; the
+ * member's requested figures are kept alongside for the record.
+ */
+const loanSchema = new mongoose.Schema(
+  {
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: [
+        "pending",
+        "approved",
+        "rejected",
+        "active",
+        "closed",
+        "cancelled",
+      ],
+      default: "pending",
+      index: true,
+    },
+
+    // Application
+    requestedAmount: { type: Number, required: true, min: 1 },
+    requestedTenureMonths: { type: Number, required: true, min: 1 },
+    purpose: { type: String, trim: true },
+    appliedAt: { type: Date, default: Date.now },
+
+    // Approved terms
+    principal: { type: Number, default: null },
+    interestRate: { type: Number, default: null }, // annual %
+    interestMethod: {
+      type: String,
+      enum: ["flat", "declining"],
+      default: "flat",
+    },
+    tenureMonths: { type: Number, default: null },
+    latePenaltyRate: { type: Number, default: 0 }, // % of overdue EMI per month late
+    lateGraceDays: { type: Number, default: 0 },
+    guarantors: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+
+    // Latest eligibility decision (at application, then at approval)
+    eligibility: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String },
+
+    // Disbursement
+    bankAccount: { type: mongoose.Schema.Types.ObjectId, ref: "BankAccount" },
+    disbursedAt: { type: Date },
+    disbursedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    disbursement: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+
+    schedule: [installmentSchema],
+    repayments: [repaymentSchema],
+
+    closedAt: { type: Date },
+  },
+  { timestamps: true },
+);
+
+loanSchema.index({ guarantors: 1, status: 1 });
+
+module.exports = mongoose.models.Loan || mongoose.model("Loan", loanSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+/**
+ * ✅ MEMBER EXIT (final settlement)
+ * Written when a resignation is settled: savings returned, less outstanding
+ * fines and loan payoffs, plus the pro-rata profit share, and the postings
+ * that moved the money. The member's history stays untouched.
+ */
+const memberExitSchema = new mongoose.Schema(
+  {
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    reason: { type: String, required: true, trim: true },
+    exitDate: { type: Date, required: true },
+
+    savings: { type: Number, default: 0 },
+    outstandingFine: { type: Number, default: 0 },
+    loanPayoff: { type: Number, default: 0 },
+    loans: [
+      {
+        _id: false,
+        loan: { type: mongoose.Schema.Types.ObjectId, ref: "Loan" },
+        principal: Number,
+        interest: Number,
+        penalty: Number,
+        waivedInterest: Number,
+        total: Number,
+      },
+    ],
+    profitShare: { type: Number, default: 0 },
+    netPayout: { type: Number, default: 0 },
+
+    bankAccount: { type: mongoose.Schema.Types.ObjectId, ref: "BankAccount" },
+    transactions: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+    ],
+
+    processedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    approvalRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApprovalRequest",
+    },
+    settledAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true },
+);
+
+module.exports =
+  mongoose.models.MemberExit || mongoose.model("MemberExit", memberExitSchema);
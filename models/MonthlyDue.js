@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const duePaymentSchema = new mongoose.Schema(
+  {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+    amount: { type: Number, required: true },
+    date: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+/**
+ * ✅ MONTHLY DUE: One subscription obligation per member per month
+ * `amountDue` is fixed when the month is scheduled, so later changes to a
+ * member's shares never rewrite past obligations. Deposits settle it.
+ */
+const monthlyDueSchema = new mongoose.Schema(
+  {
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    year: { type: Number, required: true },
+    month: { type: Number, required: true, min: 1, max: 12 },
+
+    amountDue: { type: Number, required: true, min: 0 },
+    amountPaid: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ["unpaid", "partial", "paid"],
+      default: "unpaid",
+      index: true,
+    },
+    // Date the obligation became fully paid; freezes any late fine
+    paidDate: { type: Date, default: null },
+
+    payments: { type: [duePaymentSchema], default: [] },
+  },
+  { timestamps: true },
+);
+
+monthlyDueSchema.index({ member: 1, year: 1, month: 1 }, { unique: true });
+monthlyDueSchema.index({ year: 1, month: 1, status: 1 });
+
+module.exports =
+  mongoose.models.MonthlyDue || mongoose.model("MonthlyDue", monthlyDueSchema);
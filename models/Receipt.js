@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+/**
+ * ✅ MONEY RECEIPT
+ * Numbered per fiscal year from a counter that only ever moves forward, so
+ * a receipt number is never issued twice. Voiding a collection cancels its
+ * receipt; the number is kept and never reused. When only part of a receipt
+ * is voided, a numbered replacement covers what remains.
+ */
+const receiptSchema = new mongoose.Schema(
+  {
+    receiptNo: { type: String, required: true, unique: true },
+    fiscalYear: { type: Number, required: true },
+    sequence: { type: Number, required: true },
+
+    kind: {
+      type: String,
+      enum: [
+        "monthly_deposit",
+        "fine_payment",
+        "investment_liquidation",
+        "loan_repayment",
+      ],
+      required: true,
+    },
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    // Printed payer name (member name, or the project for liquidations)
+    receivedFrom: { type: String },
+    amount: { type: Number, required: true },
+    bankAccount: { type: mongoose.Schema.Types.ObjectId, ref: "BankAccount" },
+    transactions: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+    ],
+
+    // What the money was applied to, as printed on the receipt
+    lines: [
+      {
+        _id: false,
+        label: { type: String },
+        amount: { type: Number },
+        // Posting behind this line, so a partial void can drop just it
+        transaction: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Transaction",
+        },
+      },
+    ],
+    remarks: { type: String },
+
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    issuedAt: { type: Date, default: Date.now },
+
+    status: {
+      type: String,
+      enum: ["issued", "cancelled"],
+      default: "issued",
+    },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancelledAt: { type: Date },
+    cancelReason: { type: String },
+
+    // Partial voids: the cancelled receipt and its replacement link both ways
+    replaces: { type: mongoose.Schema.Types.ObjectId, ref: "Receipt" },
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Receipt" },
+
+    // Every download after the first is printed as a duplicate copy
+    printCount: { type: Number, default: 0 },
+    lastPrintedAt: { type: Date },
+  },
+  { timestamps: true },
+);
+
+receiptSchema.index({ fiscalYear: 1, sequence: 1 }, { unique: true });
+receiptSchema.index({ transactions: 1 });
+
+module.exports =
+  mongoose.models.Receipt || mongoose.model("Receipt", receiptSchema);
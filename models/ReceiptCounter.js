@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+/**
+ * Last receipt sequence issued per fiscal year (one document per year).
+ */
+const receiptCounterSchema = new mongoose.Schema({
+  fiscalYear: { type: Number, required: true, unique: true },
+  lastSequence: { type: Number, default: 0 },
+});
+
+module.exports =
+  mongoose.models.ReceiptCounter ||
+  mongoose.model("ReceiptCounter", receiptCounterSchema);
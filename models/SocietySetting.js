@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+const sharePriceVersionSchema = new mongoose.Schema(
+  {
+    price: { type: Number, required: true, min: 1 },
+    // First day of the month the price applies from
+    effectiveFrom: { type: Date, required: true },
+    note: { type: String },
+    setBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    setAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+/**
+ * ✅ SOCIETY SETTINGS (single document)
+ * Share price is effective-dated: a new version applies from its month
+ * onwards and never re-prices months that were already scheduled.
+ */
+const SocietySettingSchema = new mongoose.Schema(
+  {
+    sharePriceHistory: {
+      type: [sharePriceVersionSchema],
+      default: () => [{ price: 1000, effectiveFrom: new Date(2000, 0, 1) }],
+    },
+    minSharesPerMember: { type: Number, default: 1, min: 1 },
+    maxSharesPerMember: { type: Number, default: null },
+
+    // Defaults offered when an admin approves a member loan
+    loanPolicy: {
+      defaultInterestRate: { type: Number, default: 10, min: 0 },
+      defaultInterestMethod: {
+        type: String,
+        enum: ["flat", "declining"],
+        default: "flat",
+      },
+      maxTenureMonths: { type: Number, default: 36, min: 1 },
+      latePenaltyRate: { type: Number, default: 2, min: 0 },
+      lateGraceDays: { type: Number, default: 5, min: 0 },
+
+      // Eligibility: borrowing ceiling is savings × savingsMultiple
+      savingsMultiple: { type: Number, default: 3, min: 0 },
+      minMembershipMonths: { type: Number, default: 6, min: 0 },
+      maxActiveLoans: { type: Number, default: 1, min: 1 },
+      maxOutstandingFine: { type: Number, default: 0, min: 0 },
+      minGuarantors: { type: Number, default: 1, min: 0 },
+      // A guarantor's combined exposure may not exceed savings × this
+      guarantorExposureMultiple: { type: Number, default: 2, min: 0 },
+    },
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports =
+  mongoose.models.SocietySetting ||
+  mongoose.model("SocietySetting", SocietySettingSchema);
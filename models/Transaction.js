@@ -10,7 +10,15 @@ const transactionSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["deposit", "expense", "transfer", "investment", "adjustment"],
+      enum: [
+        "deposit",
+        "expense",
+        "transfer",
+        "investment",
+        "adjustment",
+        "loan",
+        "dividend",
+      ],
       required: true,
     },
     category: {
@@ -59,6 +67,74 @@ const transactionSchema = new mongoose.Schema(
       required: true,
     },
     remarks: { type: String },
+
+    // Linked project for investment capital, profit and expense entries
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Investment",
+      default: null,
+    },
+
+    // 🔥 GENERAL LEDGER: Balanced journal posting backing this entry
+    journalEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+      default: null,
+    },
+
+    // 🔥 REVERSAL WORKFLOW: Entries are voided by a linked contra entry, never deleted
+    status: {
+      type: String,
+      enum: ["posted", "voided"],
+      default: "posted",
+      index: true,
+    },
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+    voidReason: { type: String },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    voidedAt: { type: Date },
+
+    // 🔥 MAKER–CHECKER: Second signature for entries that required approval
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    approvalRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApprovalRequest",
+      default: null,
+    },
+
+    // Collection run that produced this entry (monthly deposits and fines)
+    depositBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DepositBatch",
+      default: null,
+    },
+
+    // Member loan disbursed or repaid by this entry
+    loan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Loan",
+      default: null,
+    },
+
+    // Spreadsheet upload of pre-app history that produced this entry
+    legacyImport: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LegacyImport",
+      default: null,
+    },
   },
   { timestamps: true },
 );
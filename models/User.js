@@ -86,9 +86,17 @@ const userSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["active", "inactive"],
+      enum: ["active", "inactive", "exited"],
       default: "active",
     },
+    // Resignation: set once the final settlement is posted; never cleared
+    exitDate: { type: Date, default: null },
+    exitReason: { type: String, default: null },
+    exitSettlement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MemberExit",
+      default: null,
+    },
     // models/User.js
     fcmTokens: {
       type: [String],
@@ -0,0 +1,51 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getApprovals,
+  approveRequest,
+  rejectRequest,
+  getApprovalPolicy,
+  updateApprovalPolicy,
+} = require("../controllers/approvalController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const ApprovalRequest = require("../models/ApprovalRequest");
+const ApprovalPolicy = require("../models/ApprovalPolicy");
+
+router.use(protect);
+
+/**
+ * @route   GET/PUT /api/finance/approvals/policy
+ * @desc    Admin rule and per-kind thresholds (e.g. expenses above ৳50,000)
+ */
+router
+  .route("/policy")
+  .get(authorize("admin", "super-admin"), getApprovalPolicy)
+  .put(
+    authorize("super-admin"),
+    audit("approval.policy_update", { model: ApprovalPolicy, singleton: true }),
+    updateApprovalPolicy,
+  );
+
+/**
+ * @route   GET /api/finance/approvals
+ * @route   POST /api/finance/approvals/:id/approve
+ * @route   POST /api/finance/approvals/:id/reject
+ * @desc    Maker–checker queue: the checker must be a different admin.
+ * @access  Private (Admin, Super-Admin)
+ */
+router.get("/", authorize("admin", "super-admin"), getApprovals);
+router.post(
+  "/:id/approve",
+  authorize("admin", "super-admin"),
+  audit("approval.approve", { model: ApprovalRequest }),
+  approveRequest,
+);
+router.post(
+  "/:id/reject",
+  authorize("admin", "super-admin"),
+  audit("approval.reject", { model: ApprovalRequest }),
+  rejectRequest,
+);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getAuditLogs,
+  getAuditLogById,
+} = require("../controllers/auditController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+// Audit trail is read-only and visible to super-admins only
+router.use(protect, authorize("super-admin"));
+
+/**
+ * @route   GET /api/audit
+ * @desc    Filter by actor, action, entityType/entityId, method, ip, dates, search.
+ */
+router.get("/", getAuditLogs);
+
+/**
+ * @route   GET /api/audit/:id
+ * @desc    Full record including before/after snapshots and request body.
+ */
+router.get("/:id", getAuditLogById);
+
+module.exports = router;
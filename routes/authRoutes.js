@@ -7,13 +7,25 @@ const {
   updateFCMToken,
 } = require("../controllers/authController");
 const { protect } = require("../middleware/authMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const User = require("../models/User");
 
 // Public route
 router.post("/login", login);
 
 // Protected routes (Require login)
-router.put("/update-profile", protect, updateProfile);
-router.put("/update-password", protect, updatePassword);
+router.put(
+  "/update-profile",
+  protect,
+  audit("auth.update_profile", { model: User, self: true }),
+  updateProfile,
+);
+router.put(
+  "/update-password",
+  protect,
+  audit("auth.update_password"),
+  updatePassword,
+);
 router.put("/update-fcm-token", protect, updateFCMToken);
 
 module.exports = router;
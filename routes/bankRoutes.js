@@ -7,8 +7,11 @@ const {
   updateBankAccount,
   deleteBankAccount,
   transferBalance,
+  reconcileBalances,
 } = require("../controllers/bankAccountController");
 const { protect, authorize } = require("../middleware/authMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const BankAccount = require("../models/BankAccount");
 
 // All routes below this require a valid login token
 router.use(protect);
@@ -24,14 +27,36 @@ router.use(protect);
 router
   .route("/")
   .get(getBankAccounts) // 🔥 REMOVED authorize() to allow members read-only access for the global dashboard
-  .post(authorize("admin", "super-admin"), addBankAccount);
+  .post(
+    authorize("admin", "super-admin"),
+    audit("bank.create", { model: BankAccount }),
+    addBankAccount,
+  );
 
 /**
  * @route   POST /api/bank-accounts/transfer
  * @desc    Execute an internal fund transfer between two society accounts.
  * @access  Private (Admin, Super-Admin)
  */
-router.post("/transfer", authorize("admin", "super-admin"), transferBalance);
+router.post(
+  "/transfer",
+  authorize("admin", "super-admin"),
+  audit("bank.transfer"),
+  transferBalance,
+);
+
+/**
+ * @route   GET /api/bank-accounts/reconcile
+ * @desc    Drift report: stored balance vs. balance rebuilt from transaction history.
+ * @access  Private (Admin, Super-Admin)
+ * * @route   POST /api/bank-accounts/reconcile
+ * @desc    Same report; with { repair: true } posts correcting adjustment entries.
+ * @access  Private (Super-Admin)
+ */
+router
+  .route("/reconcile")
+  .get(authorize("admin", "super-admin"), reconcileBalances)
+  .post(authorize("super-admin"), audit("bank.reconcile"), reconcileBalances);
 
 /**
  * @route   PUT /api/bank-accounts/:id
@@ -40,7 +65,15 @@ router.post("/transfer", authorize("admin", "super-admin"), transferBalance);
  */
 router
   .route("/:id")
-  .put(authorize("admin", "super-admin"), updateBankAccount)
-  .delete(authorize("admin", "super-admin"), deleteBankAccount);
+  .put(
+    authorize("admin", "super-admin"),
+    audit("bank.update", { model: BankAccount }),
+    updateBankAccount,
+  )
+  .delete(
+    authorize("admin", "super-admin"),
+    audit("bank.delete", { model: BankAccount }),
+    deleteBankAccount,
+  );
 
 module.exports = router;
@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getBudgets,
+  setBudget,
+  deleteBudget,
+  getBudgetReport,
+} = require("../controllers/budgetController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const Budget = require("../models/Budget");
+
+router.use(protect);
+
+/**
+ * @route   GET /api/finance/budgets/report
+ * @desc    Budget vs. actual (বাজেট বনাম প্রকৃত খরচ)
+ * @access  Private (Admin, Super-Admin)
+ */
+router.get("/report", authorize("admin", "super-admin"), getBudgetReport);
+
+/**
+ * @route   GET /api/finance/budgets
+ * @route   POST /api/finance/budgets
+ * @desc    The AGM-approved budget is entered by a super-admin.
+ * @access  Private (view: Admin, Super-Admin; set: Super-Admin)
+ */
+router
+  .route("/")
+  .get(authorize("admin", "super-admin"), getBudgets)
+  .post(authorize("super-admin"), audit("budget.set"), setBudget);
+
+router.delete(
+  "/:id",
+  authorize("super-admin"),
+  audit("budget.delete", { model: Budget }),
+  deleteBudget,
+);
+
+module.exports = router;
@@ -9,6 +9,8 @@ const {
 
 // Middleware for authentication and authorization
 const { protect, authorize } = require("../middleware/authMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const Category = require("../models/Category");
 
 /**
  * @route   /api/finance/categories
@@ -17,7 +19,12 @@ const { protect, authorize } = require("../middleware/authMiddleware");
 router
   .route("/")
   .get(protect, getCategories) // All authenticated users can view categories
-  .post(protect, authorize("admin", "super-admin"), createCategory); // Only admins can create
+  .post(
+    protect,
+    authorize("admin", "super-admin"),
+    audit("category.create", { model: Category }),
+    createCategory,
+  ); // Only admins can create
 
 /**
  * @route   /api/finance/categories/:id
@@ -25,7 +32,17 @@ router
  */
 router
   .route("/:id")
-  .put(protect, authorize("admin", "super-admin"), updateCategory) // Edit existing categories
-  .delete(protect, authorize("super-admin"), deleteCategory); // Only super-admin can delete
+  .put(
+    protect,
+    authorize("admin", "super-admin"),
+    audit("category.update", { model: Category }),
+    updateCategory,
+  ) // Edit existing categories
+  .delete(
+    protect,
+    authorize("super-admin"),
+    audit("category.delete", { model: Category }),
+    deleteCategory,
+  ); // Only super-admin can delete
 
 module.exports = router;
@@ -0,0 +1,51 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getDividendRuns,
+  getDividendRun,
+  previewDividend,
+  confirmDividend,
+  cancelDividend,
+} = require("../controllers/dividendController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const DividendRun = require("../models/DividendRun");
+
+router.use(protect);
+
+/**
+ * @route   GET /api/finance/dividends
+ * @desc    Annual profit distribution runs (লভ্যাংশ বণ্টন)
+ * @access  Private (Admin, Super-Admin)
+ */
+router.get("/", authorize("admin", "super-admin"), getDividendRuns);
+
+/**
+ * @route   POST /api/finance/dividends/preview
+ * @route   POST /api/finance/dividends/:id/confirm
+ * @desc    Preview saves a draft; confirming posts it to every member.
+ * @access  Private (Super-Admin)
+ */
+router.post(
+  "/preview",
+  authorize("super-admin"),
+  audit("dividend.preview"),
+  previewDividend,
+);
+router.post(
+  "/:id/confirm",
+  authorize("super-admin"),
+  audit("dividend.confirm", { model: DividendRun }),
+  confirmDividend,
+);
+
+router
+  .route("/:id")
+  .get(authorize("admin", "super-admin"), getDividendRun)
+  .delete(
+    authorize("super-admin"),
+    audit("dividend.cancel", { model: DividendRun }),
+    cancelDividend,
+  );
+
+module.exports = router;
@@ -22,9 +22,38 @@ const {
   updateFineSettings,
   getFineSettings,
   getDefaulterList,
+  exportTransactions,
+  exportDefaulters,
 } = require("../controllers/financeController");
+const {
+  getSocietySettings,
+  updateSocietySettings,
+} = require("../controllers/settingsController");
+const {
+  getFineExemptions,
+  createFineExemption,
+  revokeFineExemption,
+} = require("../controllers/fineExemptionController");
+const {
+  getReceipts,
+  downloadReceipt,
+} = require("../controllers/receiptController");
+const {
+  downloadMemberStatement,
+} = require("../controllers/statementController");
+const { importLegacyTransactions } = require("../controllers/importController");
+const {
+  getAnnualStatements,
+  downloadAnnualStatements,
+} = require("../controllers/reportController");
 
 const { protect, authorize } = require("../middleware/authMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const sheetUpload = require("../middleware/sheetUpload");
+const FineSetting = require("../models/FineSetting");
+const FineExemption = require("../models/FineExemption");
+const SocietySetting = require("../models/SocietySetting");
+const Investment = require("../models/Investment");
 const fs = require("fs");
 const dir = "./uploads/documents/";
 
@@ -65,12 +94,23 @@ router.use(protect);
 /**
  * @section 1. Administrative Transactions
  */
-router.post("/deposit", authorize("admin", "super-admin"), processDeposit);
-router.post("/expense", authorize("admin", "super-admin"), addExpense);
+router.post(
+  "/deposit",
+  authorize("admin", "super-admin"),
+  audit("finance.deposit"),
+  processDeposit,
+);
+router.post(
+  "/expense",
+  authorize("admin", "super-admin"),
+  audit("finance.expense"),
+  addExpense,
+);
 router.post(
   "/investment",
   authorize("admin", "super-admin"),
   upload.single("legalDocs"),
+  audit("investment.create", { model: Investment }),
   addInvestment,
 );
 
@@ -81,9 +121,50 @@ router.post(
 router
   .route("/fine-settings")
   .get(authorize("admin", "super-admin"), getFineSettings)
-  .put(authorize("admin", "super-admin"), updateFineSettings);
+  .put(
+    authorize("admin", "super-admin"),
+    audit("fine_settings.update", { model: FineSetting, singleton: true }),
+    updateFineSettings,
+  );
 
 router.get("/defaulters", authorize("admin", "super-admin"), getDefaulterList);
+router.get(
+  "/defaulters/export",
+  authorize("admin", "super-admin"),
+  exportDefaulters,
+);
+
+// ফাইন হলিডে: অসুস্থতা, প্রবাস বা বন্যার জন্য নির্দিষ্ট মাসে জরিমানা বন্ধ
+router
+  .route("/fine-exemptions")
+  .get(authorize("admin", "super-admin"), getFineExemptions)
+  .post(
+    authorize("admin", "super-admin"),
+    audit("fine_exemption.create", { model: FineExemption }),
+    createFineExemption,
+  );
+router.patch(
+  "/fine-exemptions/:id/revoke",
+  authorize("admin", "super-admin"),
+  audit("fine_exemption.revoke", { model: FineExemption }),
+  revokeFineExemption,
+);
+
+/**
+ * শেয়ার মূল্য (effective-dated) এবং শেয়ার সংখ্যার নিয়ম
+ * A price change applies from its month onwards; past dues are never re-priced.
+ */
+router
+  .route("/society-settings")
+  .get(authorize("admin", "super-admin"), getSocietySettings)
+  .put(
+    authorize("super-admin"),
+    audit("society_settings.update", {
+      model: SocietySetting,
+      singleton: true,
+    }),
+    updateSocietySettings,
+  );
 
 /**
  * @section 3. Project & Investment Management
@@ -98,6 +179,7 @@ router.get(
 router.post(
   "/investment/:id/profit",
   authorize("admin", "super-admin"),
+  audit("investment.profit_entry", { model: Investment }),
   recordInvestmentProfit,
 );
 router.get(
@@ -117,6 +199,16 @@ router.get(
 );
 router.get("/member-summary", getMemberSummary); // মেম্বার ড্যাশবোর্ডে জরিমানার জন্য
 router.get("/check-payments", authorize("admin", "super-admin"), checkPayments);
+router.get(
+  "/reports/annual/:year",
+  authorize("admin", "super-admin"),
+  getAnnualStatements,
+); // বার্ষিক সাধারণ সভার হিসাব
+router.get(
+  "/reports/annual/:year/pdf",
+  authorize("admin", "super-admin"),
+  downloadAnnualStatements,
+);
 
 /**
  * @section 5. Transaction History (Ordering is Critical)
@@ -126,9 +218,26 @@ router.get(
   authorize("admin", "super-admin"),
   getAllTransactions,
 );
+router.get(
+  "/all-transactions/export",
+  authorize("admin", "super-admin"),
+  exportTransactions,
+);
 router.get("/history/me", getMemberHistory);
 router.get("/history/:id", authorize("admin", "super-admin"), getMemberHistory);
 
+// রশিদ: সদস্য নিজের রশিদ, অ্যাডমিন যেকোনো রশিদ পুনরায় প্রিন্ট করতে পারবে
+router.get("/receipts", authorize("admin", "super-admin"), getReceipts);
+router.get("/receipts/:id/pdf", downloadReceipt);
+
+// হিসাব বিবরণী (PDF): ব্যাংক লোন বা ভিসা আবেদনের জন্য
+router.get("/statement/me", downloadMemberStatement);
+router.get(
+  "/statement/:id",
+  authorize("admin", "super-admin"),
+  downloadMemberStatement,
+);
+
 /**
  * @section 2. Defaulter & Fine Management
  */
@@ -136,18 +245,40 @@ router.get("/history/:id", authorize("admin", "super-admin"), getMemberHistory);
 router.post(
   "/waive-fine",
   authorize("admin", "super-admin"),
+  audit("finance.fine_waiver"),
   require("../controllers/financeController").waiveFinePartial,
 );
+// আলাদা জরিমানা আদায় (আংশিক হলেও), পুরনো মাস থেকে সমন্বয় ও রশিদ
+router.post(
+  "/collect-fine",
+  authorize("admin", "super-admin"),
+  audit("finance.fine_payment"),
+  require("../controllers/financeController").collectPaidFine,
+);
 
 /**
  * @section 6. Super-Admin Restricted Management
  */
+// পুরনো এক্সেল খাতার লেনদেন আমদানি (dryRun=true দিয়ে আগে প্রিভিউ)
+router.post(
+  "/import/transactions",
+  authorize("super-admin"),
+  sheetUpload.single("file"),
+  audit("finance.legacy_import"),
+  importLegacyTransactions,
+);
 router.put(
   "/investment/:id",
   authorize("super-admin"),
   upload.single("legalDocs"),
+  audit("investment.update", { model: Investment }),
   updateInvestment,
 );
-router.delete("/investment/:id", authorize("super-admin"), deleteInvestment);
+router.delete(
+  "/investment/:id",
+  authorize("super-admin"),
+  audit("investment.liquidate", { model: Investment }),
+  deleteInvestment,
+);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTrialBalance,
+  getJournal,
+} = require("../controllers/ledgerController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+
+// General ledger is visible to the treasury committee only
+router.use(protect, authorize("admin", "super-admin"));
+
+/**
+ * @route   GET /api/ledger/trial-balance
+ * @desc    Per-account debit/credit totals derived from posted journal lines.
+ */
+router.get("/trial-balance", getTrialBalance);
+
+/**
+ * @route   GET /api/ledger/journal
+ * @desc    Browse balanced journal entries (filter by account, member, dates).
+ */
+router.get("/journal", getJournal);
+
+module.exports = router;
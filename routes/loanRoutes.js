@@ -0,0 +1,60 @@
+const express = require("express");
+const router = express.Router();
+const {
+  applyForLoan,
+  getMyLoans,
+  checkEligibility,
+  getLoans,
+  getLoanById,
+  approveLoan,
+  rejectLoan,
+  disburseLoan,
+  collectRepayment,
+} = require("../controllers/loanController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const Loan = require("../models/Loan");
+
+router.use(protect);
+
+/**
+ * @section 1. Member Self-Service (ঋণের আবেদন)
+ * Static paths first so "/me" is not captured by "/:id"
+ */
+router.post("/apply", audit("loan.apply"), applyForLoan);
+router.get("/me", getMyLoans);
+router.post("/eligibility", checkEligibility);
+
+/**
+ * @section 2. Committee Review & Treasury
+ */
+router.get("/", authorize("admin", "super-admin"), getLoans);
+router.patch(
+  "/:id/approve",
+  authorize("admin", "super-admin"),
+  audit("loan.approve", { model: Loan }),
+  approveLoan,
+);
+router.patch(
+  "/:id/reject",
+  authorize("admin", "super-admin"),
+  audit("loan.reject", { model: Loan }),
+  rejectLoan,
+);
+router.post(
+  "/:id/disburse",
+  authorize("admin", "super-admin"),
+  audit("loan.disburse", { model: Loan }),
+  disburseLoan,
+);
+router.post(
+  "/:id/repay",
+  authorize("admin", "super-admin"),
+  audit("loan.repayment", { model: Loan }),
+  collectRepayment,
+);
+
+// Members may open their own loans; admins any
+router.get("/:id", getLoanById);
+
+module.exports = router;
@@ -2,13 +2,23 @@ const express = require("express");
 const router = express.Router();
 const {
   getAllMembers,
+  exportMembers,
+  bulkImportMembers,
   createMember,
   getMemberProfile,
   updateMember,
   toggleStatus,
   deleteMember,
 } = require("../controllers/memberController");
+const {
+  getSettlement,
+  exitMember,
+  getMemberExit,
+} = require("../controllers/exitController");
 const { protect, authorize } = require("../middleware/authMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const sheetUpload = require("../middleware/sheetUpload");
+const User = require("../models/User");
 
 // All routes require authentication
 router.use(protect);
@@ -31,14 +41,51 @@ router.get("/profile/:id", getMemberProfile);
 router
   .route("/")
   .get(authorize("admin", "super-admin"), getAllMembers)
-  .post(authorize("admin", "super-admin"), createMember);
+  .post(
+    authorize("admin", "super-admin"),
+    audit("member.create", { model: User }),
+    createMember,
+  );
+
+// Spreadsheet export and import (must stay above "/:id")
+router.get("/export", authorize("admin", "super-admin"), exportMembers);
+router.post(
+  "/import",
+  authorize("admin", "super-admin"),
+  sheetUpload.single("file"),
+  audit("member.bulk_import"),
+  bulkImportMembers,
+);
+
+// Resignation: settlement preview, exit and its record (সদস্যপদ প্রত্যাহার)
+router.get("/:id/settlement", authorize("admin", "super-admin"), getSettlement);
+router
+  .route("/:id/exit")
+  .get(authorize("admin", "super-admin"), getMemberExit)
+  .post(
+    authorize("admin", "super-admin"),
+    audit("member.exit", { model: User }),
+    exitMember,
+  );
 
 // 2. Standard CRUD for Single Member Records
 router
   .route("/:id")
   .get(authorize("admin", "super-admin"), getMemberProfile) // Fixes your 404 for Admin viewing Profile
-  .put(authorize("admin", "super-admin"), updateMember)
-  .patch(authorize("admin", "super-admin"), toggleStatus)
-  .delete(authorize("super-admin"), deleteMember);
+  .put(
+    authorize("admin", "super-admin"),
+    audit("member.update", { model: User }),
+    updateMember,
+  )
+  .patch(
+    authorize("admin", "super-admin"),
+    audit("member.toggle_status", { model: User }),
+    toggleStatus,
+  )
+  .delete(
+    authorize("super-admin"),
+    audit("member.delete", { model: User }),
+    deleteMember,
+  );
 
 module.exports = router;
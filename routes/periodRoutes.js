@@ -0,0 +1,38 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPeriods,
+  closePeriod,
+  reopenPeriod,
+} = require("../controllers/periodController");
+const { protect, authorize } = require("../middleware/authMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+
+router.use(protect);
+
+/**
+ * @route   GET /api/finance/periods
+ * @access  Private (Admin, Super-Admin)
+ */
+router.get("/", authorize("admin", "super-admin"), getPeriods);
+
+/**
+ * @route   POST /api/finance/periods/close
+ * @route   POST /api/finance/periods/reopen
+ * @desc    Month/year closing locks the books; reopening is recorded with a reason.
+ * @access  Private (Super-Admin)
+ */
+router.post(
+  "/close",
+  authorize("super-admin"),
+  audit("period.close"),
+  closePeriod,
+);
+router.post(
+  "/reopen",
+  authorize("super-admin"),
+  audit("period.reopen"),
+  reopenPeriod,
+);
+
+module.exports = router;
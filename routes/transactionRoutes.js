@@ -3,13 +3,31 @@ const router = express.Router();
 const {
   createTransaction,
   getMemberTransactions,
+  voidTransaction,
 } = require("../controllers/transactionController");
 const { protect, authorize } = require("../middleware/authMiddleware");
+const { audit } = require("../middleware/auditMiddleware");
+const Transaction = require("../models/Transaction");
 
 // মেম্বারদের জন্য নিজস্ব ডাটা দেখার রাউট (GET)
 router.get("/my-history", protect, getMemberTransactions);
 
 // এডমিনদের জন্য ট্রাঞ্জেকশন তৈরির রাউট (POST)
-router.post("/", protect, authorize("admin", "super-admin"), createTransaction);
+router.post(
+  "/",
+  protect,
+  authorize("admin", "super-admin"),
+  audit("finance.transaction"),
+  createTransaction,
+);
+
+// ভুল এন্ট্রি বাতিল (Void): লিঙ্কড রিভার্সাল এন্ট্রি পোস্ট হয়, মূল এন্ট্রি মুছে যায় না
+router.post(
+  "/:id/void",
+  protect,
+  authorize("admin", "super-admin"),
+  audit("finance.void", { model: Transaction }),
+  voidTransaction,
+);
 
 module.exports = router;
@@ -82,6 +82,10 @@ app.use("/api/bank-accounts", require("./routes/bankRoutes"));
 // Financial & Treasury Modules
 app.use("/api/finance/categories", require("./routes/categoryRoutes"));
 app.use("/api/finance/transaction", require("./routes/transactionRoutes"));
+app.use("/api/finance/periods", require("./routes/periodRoutes"));
+app.use("/api/finance/approvals", require("./routes/approvalRoutes"));
+app.use("/api/finance/budgets", require("./routes/budgetRoutes"));
+app.use("/api/finance/dividends", require("./routes/dividendRoutes"));
 
 /**
  * 🚀 IMPORTANT: Finance Routes Registry
@@ -89,6 +93,9 @@ app.use("/api/finance/transaction", require("./routes/transactionRoutes"));
  * Full Path Example: /api/finance/fine-settings
  */
 app.use("/api/finance", require("./routes/financeRoutes"));
+app.use("/api/ledger", require("./routes/ledgerRoutes"));
+app.use("/api/loans", require("./routes/loanRoutes"));
+app.use("/api/audit", require("./routes/auditRoutes"));
 app.use("/api/notifications", require("./routes/notificationRoutes"));
 
 /**
@@ -0,0 +1,82 @@
+const ApprovalPolicy = require("../models/ApprovalPolicy");
+const ApprovalRequest = require("../models/ApprovalRequest");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+
+/**
+ * Current policy; an unsaved default document when none has been stored yet.
+ */
+const getPolicy = async () =>
+  (await ApprovalPolicy.findOne()) || new ApprovalPolicy();
+
+/**
+ * ✅ MAKER–CHECKER RULE
+ * Admin entries need a second signature when the policy says so; any entry
+ * above its kind's threshold needs one regardless of the maker's role.
+ */
+const requiresApproval = async (kind, amount, user) => {
+  const policy = await getPolicy();
+  if (user.role === "admin" && policy.requireApprovalForAdmin) return true;
+
+  const threshold = policy.thresholds?.[kind];
+  return threshold !== null && threshold !== undefined && amount > threshold;
+};
+
+/**
+ * Queues the request body for approval when required, otherwise returns null
+ * and the caller executes the entry immediately.
+ */
+const submitIfRequired = async (req, { kind, amount, summary, payload }) => {
+  if (!(await requiresApproval(kind, amount, req.user))) return null;
+
+  const request = await ApprovalRequest.create({
+    kind,
+    payload: payload || req.body,
+    amount,
+    summary,
+    maker: req.user.id,
+  });
+
+  // 🔔 Bell notification for every other admin who can sign it off
+  const checkers = await User.find({
+    role: { $in: ["admin", "super-admin"] },
+    _id: { $ne: req.user.id },
+  }).select("_id");
+
+  if (checkers.length > 0) {
+    Notification.insertMany(
+      checkers.map((checker) => ({
+        userId: checker._id,
+        title: "Approval Required",
+        body: `${req.user.name || "An admin"} submitted: ${summary}`,
+        type: "ALERT",
+        referenceId: request._id,
+      })),
+    ).catch((e) => console.error("Approval Notification Error:", e.message));
+  }
+
+  return request;
+};
+
+const pendingResponse = (request) => ({
+  success: true,
+  pendingApproval: true,
+  message: `Submitted for approval: ${request.summary}. Balances are unaffected until another admin approves it.`,
+  data: request,
+});
+
+/**
+ * Fields stamped on every Transaction created while executing an approval.
+ */
+const approvalStamp = (actor = {}) => ({
+  approvedBy: actor.approvedBy || null,
+  approvalRequest: actor.approvalRequest || null,
+});
+
+module.exports = {
+  getPolicy,
+  requiresApproval,
+  submitIfRequired,
+  pendingResponse,
+  approvalStamp,
+};
@@ -0,0 +1,106 @@
+const AuditLog = require("../models/AuditLog");
+
+// Never copied into the audit trail
+const REDACTED_FIELDS = [
+  "password",
+  "currentPassword",
+  "newPassword",
+  "fcmTokens",
+  "resetPasswordToken",
+];
+const IGNORED_FIELDS = ["__v", "updatedAt", "createdAt"];
+
+/**
+ * Plain, redacted copy of a document or request body.
+ */
+const sanitize = (value) => {
+  if (!value) return null;
+  const plain = JSON.parse(
+    JSON.stringify(value.toObject ? value.toObject() : value),
+  );
+  const strip = (obj) => {
+    if (!obj || typeof obj !== "object") return;
+    for (const key of Object.keys(obj)) {
+      if (REDACTED_FIELDS.includes(key)) obj[key] = "[redacted]";
+      else strip(obj[key]);
+    }
+  };
+  strip(plain);
+  return plain;
+};
+
+/**
+ * Flattens nested objects to dotted paths so diffs point at the exact field.
+ * Arrays are compared as a whole.
+ */
+const flatten = (obj, prefix = "", out = {}) => {
+  for (const [key, value] of Object.entries(obj || {})) {
+    if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  }
+  return out;
+};
+
+/**
+ * Field-level differences between two sanitized snapshots.
+ */
+const diff = (before, after) => {
+  const a = flatten(before);
+  const b = flatten(after);
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+      changes.push({ field, before: a[field], after: b[field] });
+    }
+  }
+  return changes;
+};
+
+const clientIp = (req) =>
+  (req.headers["x-forwarded-for"] || "").split(",")[0].trim() ||
+  req.ip ||
+  req.socket?.remoteAddress;
+
+/**
+ * ✅ RECORD: Writes one audit entry. Failures are logged, never thrown, so
+ * auditing can't break the request that triggered it.
+ */
+const record = async (
+  req,
+  { action, entityType, entityId, before, after, statusCode },
+) => {
+  try {
+    const beforeSnap = sanitize(before);
+    const afterSnap = sanitize(after);
+
+    await AuditLog.create({
+      actor: req.user?._id || null,
+      actorName: req.user?.name,
+      actorRole: req.user?.role,
+      action,
+      entityType,
+      entityId: entityId || null,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode,
+      ip: clientIp(req),
+      userAgent: req.headers["user-agent"],
+      deviceId: req.headers["x-device-id"],
+      before: beforeSnap,
+      after: afterSnap,
+      changes: diff(beforeSnap, afterSnap),
+      requestBody: sanitize(req.body),
+    });
+  } catch (error) {
+    console.error("Audit Log Error:", error.message);
+  }
+};
+
+module.exports = { sanitize, diff, record };
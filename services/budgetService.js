@@ -0,0 +1,223 @@
+const Budget = require("../models/Budget");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { periodBounds } = require("./periodService");
+const { roundMoney } = require("./ledgerService");
+
+/**
+ * Budgeted amount for a month (1-12), or for the whole year when omitted.
+ */
+const budgetFor = (budget, month = null) => {
+  if (!month) return budget.annualAmount;
+  if (budget.monthlyAmounts?.length === 12)
+    return budget.monthlyAmounts[month - 1] || 0;
+  return roundMoney(budget.annualAmount / 12);
+};
+
+/**
+ * Expense postings grouped by category and subcategory. Voided entries net
+ * to zero through their negated contra entries, so both are included.
+ */
+const actualsFor = async (year, month = null) => {
+  const { start, end } = periodBounds(year, month);
+  const rows = await Transaction.aggregate([
+    { $match: { type: "expense", date: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: { category: "$category", subcategory: "$subcategory" },
+        amount: { $sum: "$amount" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  return rows.map((r) => ({
+    category: r._id.category,
+    subcategory: r._id.subcategory || null,
+    amount: roundMoney(r.amount),
+    count: r.count,
+  }));
+};
+
+// A whole-category budget covers every subcategory beneath it
+const actualForBudget = (actuals, budget) =>
+  roundMoney(
+    actuals
+      .filter(
+        (a) =>
+          a.category === budget.category &&
+          (!budget.subcategory || a.subcategory === budget.subcategory),
+      )
+      .reduce((sum, a) => sum + a.amount, 0),
+  );
+
+const usage = (budgeted, actual) => ({
+  budgeted,
+  actual,
+  variance: roundMoney(budgeted - actual),
+  percentUsed:
+    budgeted > 0 ? Math.round((actual / budgeted) * 1000) / 10 : null,
+});
+
+/**
+ * ✅ BUDGET VS ACTUAL
+ * One row per budget line for the year (or one month of it), plus spending
+ * in categories that were never budgeted.
+ */
+const buildBudgetReport = async (year, month = null) => {
+  const [budgets, actuals] = await Promise.all([
+    Budget.find({ year }).sort({ category: 1, subcategory: 1 }).lean(),
+    actualsFor(year, month),
+  ]);
+
+  const rows = budgets.map((b) => {
+    const row = usage(budgetFor(b, month), actualForBudget(actuals, b));
+    return {
+      _id: b._id,
+      category: b.category,
+      subcategory: b.subcategory,
+      alertThreshold: b.alertThreshold,
+      ...row,
+      status:
+        row.percentUsed === null
+          ? row.actual > 0
+            ? "over"
+            : "ok"
+          : row.percentUsed > 100
+            ? "over"
+            : row.percentUsed >= b.alertThreshold
+              ? "warning"
+              : "ok",
+    };
+  });
+
+  const budgetedCategories = new Set(
+    budgets.filter((b) => !b.subcategory).map((b) => b.category),
+  );
+  const budgetedLines = new Set(
+    budgets
+      .filter((b) => b.subcategory)
+      .map((b) => `${b.category}/${b.subcategory}`),
+  );
+  const unbudgeted = actuals.filter(
+    (a) =>
+      !budgetedCategories.has(a.category) &&
+      !budgetedLines.has(`${a.category}/${a.subcategory}`),
+  );
+
+  // Category totals only count whole-category lines, so nothing is doubled
+  const topLevel = rows.filter(
+    (r) => !r.subcategory || !budgetedCategories.has(r.category),
+  );
+  const totalBudgeted = roundMoney(
+    topLevel.reduce((s, r) => s + r.budgeted, 0),
+  );
+  const totalActual = roundMoney(
+    topLevel.reduce((s, r) => s + r.actual, 0) +
+      unbudgeted.reduce((s, a) => s + a.amount, 0),
+  );
+
+  return {
+    year,
+    month,
+    rows,
+    unbudgeted,
+    totals: usage(totalBudgeted, totalActual),
+  };
+};
+
+/**
+ * 🔔 Warn admins when an expense pushes a budget line past its threshold
+ * (or past 100%) for the month or the year. Each warning is sent once per
+ * period and level. Called after the expense has been committed.
+ */
+const checkThresholds = async (expense) => {
+  if (expense.type !== "expense") return;
+
+  const date = new Date(expense.date);
+  const year = date.getFullYear();
+  const month = date.getMonth() + 1;
+
+  const budgets = await Budget.find({
+    year,
+    category: expense.category,
+    subcategory: { $in: [null, expense.subcategory || null] },
+  });
+  if (!budgets.length) return;
+
+  const [yearActuals, monthActuals] = await Promise.all([
+    actualsFor(year),
+    actualsFor(year, month),
+  ]);
+
+  const alerts = [];
+  for (const budget of budgets) {
+    const scopes = [
+      { period: String(year), actuals: yearActuals, month: null },
+      {
+        period: `${year}-${String(month).padStart(2, "0")}`,
+        actuals: monthActuals,
+        month,
+      },
+    ];
+
+    for (const scope of scopes) {
+      const { budgeted, actual, percentUsed } = usage(
+        budgetFor(budget, scope.month),
+        actualForBudget(scope.actuals, budget),
+      );
+      if (!budgeted) continue;
+
+      const level =
+        percentUsed > 100
+          ? 100
+          : percentUsed >= budget.alertThreshold
+            ? budget.alertThreshold
+            : null;
+      if (
+        !level ||
+        budget.alertsSent.some(
+          (a) => a.period === scope.period && a.level >= level,
+        )
+      )
+        continue;
+
+      budget.alertsSent.push({ period: scope.period, level });
+      const line = budget.subcategory
+        ? `${budget.category} / ${budget.subcategory}`
+        : budget.category;
+      alerts.push({
+        budget,
+        title: level === 100 ? "Budget Exceeded" : "Budget Warning",
+        body: `${line} has used ${percentUsed}% of its ${
+          scope.month ? "monthly" : scope.period
+        } budget (৳${actual.toLocaleString()} of ৳${budgeted.toLocaleString()}).`,
+      });
+    }
+  }
+  if (!alerts.length) return;
+
+  await Promise.all(budgets.map((b) => b.save()));
+
+  const admins = await User.find({
+    role: { $in: ["admin", "super-admin"] },
+  }).select("_id");
+  await Notification.insertMany(
+    alerts.flatMap((alert) =>
+      admins.map((admin) => ({
+        userId: admin._id,
+        title: alert.title,
+        body: alert.body,
+        type: "ALERT",
+        referenceId: alert.budget._id,
+      })),
+    ),
+  );
+};
+
+module.exports = {
+  budgetFor,
+  actualsFor,
+  buildBudgetReport,
+  checkThresholds,
+};
@@ -0,0 +1,214 @@
+const JournalEntry = require("../models/JournalEntry");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+const ledger = require("./ledgerService");
+const { periodBounds } = require("./periodService");
+const httpError = require("../utils/httpError");
+
+const { roundMoney } = ledger;
+
+/**
+ * Surplus still available to distribute: every income less every expense
+ * posted so far, plus the Retained Surplus account (which earlier
+ * distributions have drawn down).
+ */
+const availableSurplus = async () => {
+  const trial = await ledger.getTrialBalance();
+  const total = (type) =>
+    trial.filter((a) => a.type === type).reduce((s, a) => s + a.balance, 0);
+  const retained =
+    trial.find((a) => a.code === ledger.SYSTEM_ACCOUNTS.RETAINED_SURPLUS.code)
+      ?.balance || 0;
+  return roundMoney(retained + total("income") - total("expense"));
+};
+
+/**
+ * Month-weighted average savings per member for a fiscal year: the mean of
+ * the twelve month-end Member Savings balances. Members with no ledger lines
+ * are carried at their stored totalDeposited.
+ */
+const averageSavings = async (year, members) => {
+  const { start, end } = periodBounds(year);
+  const savings = await ledger.getSystemAccount("MEMBER_SAVINGS");
+  const ids = members.map((m) => m._id);
+
+  const lines = await JournalEntry.aggregate([
+    { $match: { date: { $lte: end }, "lines.account": savings._id } },
+    { $unwind: "$lines" },
+    {
+      $match: { "lines.account": savings._id, "lines.member": { $in: ids } },
+    },
+    {
+      $project: {
+        date: 1,
+        member: "$lines.member",
+        net: { $subtract: ["$lines.credit", "$lines.debit"] },
+      },
+    },
+  ]);
+
+  const byMember = new Map();
+  for (const line of lines) {
+    const key = String(line.member);
+    if (!byMember.has(key)) {
+      byMember.set(key, { opening: 0, months: Array(12).fill(0) });
+    }
+    const bucket = byMember.get(key);
+    const date = new Date(line.date);
+    if (date < start) bucket.opening += line.net;
+    else bucket.months[date.getMonth()] += line.net;
+  }
+
+  const averages = new Map();
+  for (const member of members) {
+    const bucket = byMember.get(String(member._id));
+    if (!bucket) {
+      averages.set(String(member._id), roundMoney(member.totalDeposited || 0));
+      continue;
+    }
+    let balance = bucket.opening;
+    let sum = 0;
+    for (const delta of bucket.months) {
+      balance += delta;
+      sum += balance;
+    }
+    averages.set(String(member._id), roundMoney(Math.max(0, sum / 12)));
+  }
+  return averages;
+};
+
+// Months of the fiscal year the member belonged to the society
+const membershipMonths = (joiningDate, year) => {
+  const joined = new Date(joiningDate || 0);
+  if (joined.getFullYear() < year) return 12;
+  if (joined.getFullYear() > year) return 0;
+  return 12 - joined.getMonth();
+};
+
+/**
+ * ✅ ENTITLEMENTS
+ * `shareWeight`% of the surplus is split by share-months and the remainder
+ * by month-weighted average savings. Each amount is rounded down to the
+ * paisa so the total never exceeds the surplus.
+ */
+const computeEntitlements = async ({
+  fiscalYear,
+  distributableSurplus,
+  shareWeight = 50,
+}) => {
+  const { end } = periodBounds(fiscalYear);
+  const members = await User.find({
+    role: "member",
+    status: "active",
+    joiningDate: { $lte: end },
+  })
+    .select("name shares joiningDate totalDeposited")
+    .sort({ name: 1 })
+    .lean();
+
+  const averages = await averageSavings(fiscalYear, members);
+  const rows = members.map((m) => ({
+    member: m._id,
+    name: m.name,
+    shares: m.shares || 0,
+    shareMonths: (m.shares || 0) * membershipMonths(m.joiningDate, fiscalYear),
+    averageSavings: averages.get(String(m._id)) || 0,
+  }));
+
+  const totalShareMonths = rows.reduce((s, r) => s + r.shareMonths, 0);
+  const totalSavings = rows.reduce((s, r) => s + r.averageSavings, 0);
+  const sharePool = (distributableSurplus * shareWeight) / 100;
+  const savingsPool = distributableSurplus - sharePool;
+  const floorMoney = (n) => Math.floor(n * 100 + 1e-6) / 100;
+
+  const entitlements = rows
+    .map((r) => {
+      const shareComponent = totalShareMonths
+        ? floorMoney((sharePool * r.shareMonths) / totalShareMonths)
+        : 0;
+      const savingsComponent = totalSavings
+        ? floorMoney((savingsPool * r.averageSavings) / totalSavings)
+        : 0;
+      return {
+        ...r,
+        shareComponent,
+        savingsComponent,
+        amount: roundMoney(shareComponent + savingsComponent),
+      };
+    })
+    .filter((r) => r.amount > 0);
+
+  const amount = roundMoney(entitlements.reduce((s, r) => s + r.amount, 0));
+  return {
+    entitlements,
+    totals: {
+      members: entitlements.length,
+      amount,
+      roundingDifference: roundMoney(distributableSurplus - amount),
+    },
+  };
+};
+
+/**
+ * Posts a draft run: one Transaction and journal entry per member,
+ * Dr Retained Surplus / Cr Member Savings (or Cr Bank for cash payouts).
+ */
+const postRun = async (run, actor, session) => {
+  const date = new Date();
+  const cash = run.payoutMode === "cash";
+
+  for (const row of run.entitlements) {
+    const [tx] = await Transaction.create(
+      [
+        {
+          user: row.member,
+          type: "dividend",
+          category: cash ? "dividend_payout" : "dividend_credit",
+          amount: row.amount,
+          bankAccount: cash ? run.bankAccount : null,
+          date,
+          month: date.toLocaleString("default", { month: "long" }),
+          year: date.getFullYear(),
+          recordedBy: actor.id,
+          remarks: `Dividend for FY ${run.fiscalYear}${
+            cash ? " (cash)" : " credited to savings"
+          }`,
+        },
+      ],
+      { session },
+    );
+    await ledger.postTransaction(tx, session);
+    row.transaction = tx._id;
+  }
+
+  run.status = "posted";
+  run.postedBy = actor.id;
+  run.postedAt = date;
+  await run.save({ session });
+  return run;
+};
+
+/**
+ * Validates a run's inputs; throws 400 with the first problem.
+ */
+const assertRunInputs = ({ fiscalYear, distributableSurplus, shareWeight }) => {
+  const year = Number(fiscalYear);
+  if (!Number.isInteger(year) || year > new Date().getFullYear()) {
+    throw httpError(400, "A completed or current fiscal year is required.");
+  }
+  if (!(Number(distributableSurplus) > 0)) {
+    throw httpError(400, "Distributable surplus must be positive.");
+  }
+  const weight = Number(shareWeight);
+  if (!(weight >= 0 && weight <= 100)) {
+    throw httpError(400, "shareWeight must be a percentage between 0 and 100.");
+  }
+};
+
+module.exports = {
+  availableSurplus,
+  averageSavings,
+  computeEntitlements,
+  postRun,
+  assertRunInputs,
+};
@@ -0,0 +1,396 @@
+const MonthlyDue = require("../models/MonthlyDue");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+const { roundMoney } = require("./ledgerService");
+const { loadSharePriceTable } = require("./settingsService");
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+/**
+ * Accepts "January", "jan", 1 or "1" and returns 1-12 (null if unknown).
+ */
+const toMonthNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const numeric = parseInt(value);
+  if (!isNaN(numeric)) return numeric >= 1 && numeric <= 12 ? numeric : null;
+
+  const name = String(value).trim().toLowerCase();
+  const index = MONTH_NAMES.findIndex(
+    (m) => m.toLowerCase() === name || m.toLowerCase().slice(0, 3) === name,
+  );
+  return index === -1 ? null : index + 1;
+};
+
+const monthLabel = (year, month) => `${MONTH_NAMES[month - 1]} ${year}`;
+
+/**
+ * Parses "2026-11", { year, month } or a date into the first day of a month.
+ */
+const parseMonthStart = (value) => {
+  if (!value) return null;
+  if (typeof value === "object" && value.year) {
+    const month = toMonthNumber(value.month);
+    return month ? new Date(parseInt(value.year), month - 1, 1) : null;
+  }
+  const match = /^(\d{4})-(\d{1,2})$/.exec(String(value));
+  const date = match
+    ? new Date(parseInt(match[1]), parseInt(match[2]) - 1, 1)
+    : new Date(value);
+  if (isNaN(date)) return null;
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+};
+
+/**
+ * Monthly installment for a member's shares at a given share price.
+ */
+const installmentFor = (member, sharePrice) =>
+  (member.shares || 1) * sharePrice;
+
+const statusFor = (due) => {
+  if (due.amountPaid >= due.amountDue - 0.005) return "paid";
+  return due.amountPaid > 0 ? "partial" : "unpaid";
+};
+
+/**
+ * Months a member is liable for: the month after joining up to the current
+ * one (or up to the exit month for a member who has left).
+ */
+const scheduledMonths = (member, until = new Date()) => {
+  if (!member.joiningDate) return [];
+  const joined = new Date(member.joiningDate);
+  const cursor = new Date(joined.getFullYear(), joined.getMonth() + 1, 1);
+  const end = new Date(until.getFullYear(), until.getMonth(), 1);
+
+  const months = [];
+  while (cursor <= end) {
+    months.push({ year: cursor.getFullYear(), month: cursor.getMonth() + 1 });
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return months;
+};
+
+/**
+ * ✅ SCHEDULE GENERATOR
+ * Creates any missing obligations for the given members. A newly scheduled
+ * month is settled from monthly deposits already on record (including
+ * pre-schedule history), so long-standing payers start out fully paid.
+ */
+const ensureSchedules = async (members, session = null) => {
+  if (!members.length) return;
+
+  const memberIds = members.map((m) => m._id);
+  const existing = await MonthlyDue.find({ member: { $in: memberIds } })
+    .select("member year month")
+    .session(session)
+    .lean();
+  const have = new Set(existing.map((d) => `${d.member}:${d.year}:${d.month}`));
+
+  // Nothing is scheduled after a member's exit
+  const exited = await User.find({
+    _id: { $in: memberIds },
+    exitDate: { $ne: null },
+  })
+    .select("exitDate")
+    .session(session)
+    .lean();
+  const exitDates = new Map(exited.map((u) => [String(u._id), u.exitDate]));
+
+  const missing = [];
+  for (const member of members) {
+    const exitDate = exitDates.get(String(member._id));
+    const until =
+      exitDate && new Date(exitDate) < new Date()
+        ? new Date(exitDate)
+        : new Date();
+    for (const { year, month } of scheduledMonths(member, until)) {
+      if (!have.has(`${member._id}:${year}:${month}`)) {
+        missing.push({ member, year, month });
+      }
+    }
+  }
+  if (!missing.length) return;
+
+  const priceAt = await loadSharePriceTable(session);
+
+  // Deposits already recorded for the missing months (reversals net out)
+  const paidRows = await Transaction.aggregate([
+    {
+      $match: {
+        user: { $in: [...new Set(missing.map((m) => m.member._id))] },
+        category: "monthly_deposit",
+      },
+    },
+    {
+      $group: {
+        _id: { user: "$user", month: "$month", year: "$year" },
+        total: { $sum: "$amount" },
+        lastDate: { $max: "$date" },
+        transactions: { $push: "$_id" },
+      },
+    },
+  ]);
+  const paidFor = new Map();
+  for (const row of paidRows) {
+    const month = toMonthNumber(row._id.month);
+    if (!month) continue;
+    paidFor.set(`${row._id.user}:${parseInt(row._id.year)}:${month}`, row);
+  }
+
+  const docs = missing.map(({ member, year, month }) => {
+    const paid = paidFor.get(`${member._id}:${year}:${month}`);
+    const due = {
+      member: member._id,
+      year,
+      month,
+      amountDue: installmentFor(member, priceAt(year, month)),
+      amountPaid: paid ? roundMoney(Math.max(0, paid.total)) : 0,
+      payments: paid
+        ? [{ transaction: null, amount: paid.total, date: paid.lastDate }]
+        : [],
+    };
+    due.status = statusFor(due);
+    due.paidDate = due.status === "paid" ? paid.lastDate : null;
+    return due;
+  });
+
+  // Upserts never raise duplicate-key errors, which would abort the
+  // caller's transaction when a concurrent request scheduled a month first
+  await MonthlyDue.bulkWrite(
+    docs.map(({ member, year, month, ...fields }) => ({
+      updateOne: {
+        filter: { member, year, month },
+        update: { $setOnInsert: fields },
+        upsert: true,
+      },
+    })),
+    { ordered: false, session },
+  );
+};
+
+/**
+ * Ensures and loads schedules, grouped by member id (oldest month first).
+ */
+const loadSchedules = async (members, session = null) => {
+  await ensureSchedules(members, session);
+
+  const dues = await MonthlyDue.find({
+    member: { $in: members.map((m) => m._id) },
+  })
+    .sort({ year: 1, month: 1 })
+    .session(session)
+    .lean();
+
+  const byMember = new Map();
+  for (const due of dues) {
+    const key = due.member.toString();
+    if (!byMember.has(key)) byMember.set(key, []);
+    byMember.get(key).push(due);
+  }
+  return byMember;
+};
+
+/**
+ * ✅ SETTLEMENT: Applies a monthly_deposit transaction to its month's due.
+ * Months outside the generated schedule (e.g. paid in advance) are created
+ * on the fly at the member's current installment.
+ */
+const settlePayment = async (tx, session = null) => {
+  if (tx.category !== "monthly_deposit" || !tx.user) return null;
+
+  const month = toMonthNumber(tx.month);
+  const year = parseInt(tx.year);
+  if (!month || !year) return null;
+
+  const member = await User.findById(tx.user)
+    .select("shares joiningDate")
+    .session(session);
+  if (!member) return null;
+  await ensureSchedules([member], session);
+
+  let due = await MonthlyDue.findOne({
+    member: member._id,
+    year,
+    month,
+  }).session(session);
+  if (!due) {
+    const priceAt = await loadSharePriceTable(session);
+    due = new MonthlyDue({
+      member: member._id,
+      year,
+      month,
+      amountDue: installmentFor(member, priceAt(year, month)),
+    });
+  }
+
+  // Already counted (e.g. picked up while the month was being scheduled)
+  if (due.payments.some((p) => String(p.transaction) === String(tx._id))) {
+    return due;
+  }
+
+  due.payments.push({ transaction: tx._id, amount: tx.amount, date: tx.date });
+  due.amountPaid = roundMoney(due.amountPaid + tx.amount);
+  due.status = statusFor(due);
+  if (due.status === "paid" && !due.paidDate) due.paidDate = tx.date;
+  await due.save({ session });
+  return due;
+};
+
+/**
+ * ✅ ALLOCATION PLAN: Oldest-due-first
+ * Splits a payment across the member's outstanding months (oldest first),
+ * then across future months at the current installment. Whatever lands on a
+ * month after the current one is the member's advance credit.
+ */
+const planAllocation = async (member, amount, session = null) => {
+  const schedule =
+    (await loadSchedules([member], session)).get(String(member._id)) || [];
+
+  const allocations = [];
+  let remaining = roundMoney(amount);
+
+  for (const due of schedule) {
+    if (remaining <= 0) break;
+    const outstanding = roundMoney(due.amountDue - due.amountPaid);
+    if (outstanding <= 0) continue;
+
+    const take = Math.min(remaining, outstanding);
+    allocations.push({ year: due.year, month: due.month, amount: take });
+    remaining = roundMoney(remaining - take);
+  }
+
+  // Leftover: prepay the months after the last scheduled one
+  const now = new Date();
+  const last = schedule[schedule.length - 1];
+  const cursor =
+    last && new Date(last.year, last.month - 1, 1) > now
+      ? new Date(last.year, last.month, 1)
+      : new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  const priceAt = await loadSharePriceTable(session);
+
+  while (remaining > 0) {
+    const installment = installmentFor(
+      member,
+      priceAt(cursor.getFullYear(), cursor.getMonth() + 1),
+    );
+    const take = Math.min(remaining, installment);
+    allocations.push({
+      year: cursor.getFullYear(),
+      month: cursor.getMonth() + 1,
+      amount: take,
+    });
+    remaining = roundMoney(remaining - take);
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+
+  return allocations.map((a) => ({
+    ...a,
+    label: monthLabel(a.year, a.month),
+    isAdvance: new Date(a.year, a.month - 1, 1) > now,
+  }));
+};
+
+/**
+ * Amount already paid towards months after the current one.
+ */
+const advanceCreditOf = (schedule, asOf = new Date()) =>
+  roundMoney(
+    schedule
+      .filter((d) => new Date(d.year, d.month - 1, 1) > asOf)
+      .reduce((sum, d) => sum + d.amountPaid, 0),
+  );
+
+/**
+ * ✅ RE-PRICING: Recomputes `amountDue` for months from `{ year, month }`
+ * onwards (optionally for one member) after a share price or share count
+ * change. Earlier months keep the amount they were scheduled at.
+ */
+const repriceDues = async ({ year, month, member = null }, session = null) => {
+  const query = {
+    $or: [{ year: { $gt: year } }, { year, month: { $gte: month } }],
+  };
+  if (member) query.member = member;
+
+  const affected = await MonthlyDue.find(query).session(session);
+  if (!affected.length) return 0;
+
+  const priceAt = await loadSharePriceTable(session);
+  const members = await User.find({
+    _id: { $in: [...new Set(affected.map((d) => String(d.member)))] },
+  })
+    .select("shares")
+    .session(session)
+    .lean();
+  const sharesOf = new Map(members.map((m) => [String(m._id), m]));
+
+  let changed = 0;
+  for (const due of affected) {
+    const owner = sharesOf.get(String(due.member));
+    if (!owner) continue;
+
+    const amountDue = installmentFor(owner, priceAt(due.year, due.month));
+    if (amountDue === due.amountDue) continue;
+
+    due.amountDue = amountDue;
+    due.status = statusFor(due);
+    if (due.status !== "paid") due.paidDate = null;
+    else if (!due.paidDate) due.paidDate = new Date();
+    await due.save({ session });
+    changed++;
+  }
+  return changed;
+};
+
+/**
+ * Undoes a settlement when its deposit is voided.
+ */
+const reverseSettlement = async (tx, session = null) => {
+  if (tx.category !== "monthly_deposit" || !tx.user) return null;
+
+  const month = toMonthNumber(tx.month);
+  const due = await MonthlyDue.findOne({
+    member: tx.user,
+    year: parseInt(tx.year),
+    month,
+  }).session(session);
+  if (!due) return null;
+
+  due.payments.push({
+    transaction: tx.reversedBy || null,
+    amount: -tx.amount,
+    date: new Date(),
+  });
+  due.amountPaid = roundMoney(Math.max(0, due.amountPaid - tx.amount));
+  due.status = statusFor(due);
+  if (due.status !== "paid") due.paidDate = null;
+  await due.save({ session });
+  return due;
+};
+
+module.exports = {
+  MONTH_NAMES,
+  toMonthNumber,
+  monthLabel,
+  parseMonthStart,
+  installmentFor,
+  scheduledMonths,
+  ensureSchedules,
+  loadSchedules,
+  planAllocation,
+  advanceCreditOf,
+  repriceDues,
+  settlePayment,
+  reverseSettlement,
+};
@@ -0,0 +1,302 @@
+const Loan = require("../models/Loan");
+const User = require("../models/User");
+const MonthlyDue = require("../models/MonthlyDue");
+const Transaction = require("../models/Transaction");
+const ledger = require("./ledgerService");
+const loans = require("./loanService");
+const fines = require("./fineService");
+const { guaranteeExposureOf } = require("./loanEligibilityService");
+const { incomeAndExpenditure } = require("./financialStatementService");
+const { computeEntitlements } = require("./dividendService");
+const approvals = require("./approvalService");
+const httpError = require("../utils/httpError");
+
+const { roundMoney } = ledger;
+
+/**
+ * Pro-rata share of the current year's surplus to date, weighted the same
+ * way as the annual dividend (share-months and average savings).
+ */
+const estimateProfitShare = async (member, asOf) => {
+  const year = new Date(asOf).getFullYear();
+  const { surplus } = await incomeAndExpenditure(year);
+  if (surplus <= 0) return 0;
+
+  const { entitlements } = await computeEntitlements({
+    fiscalYear: year,
+    distributableSurplus: surplus,
+  });
+  return (
+    entitlements.find((e) => String(e.member) === String(member._id))?.amount ||
+    0
+  );
+};
+
+/**
+ * ✅ FINAL SETTLEMENT
+ * savings + profit share − outstanding fine − loan payoffs = net payout.
+ * `blockers` lists anything that must be resolved before the exit can be
+ * posted (a shortfall, open guarantees, ...). `profitShare` overrides the
+ * estimate when the committee fixes the amount itself.
+ */
+const computeSettlement = async (
+  memberId,
+  { exitDate = new Date(), profitShare } = {},
+  session = null,
+) => {
+  const member = await User.findById(memberId)
+    .select(
+      "name phone role status branch joiningDate shares monthlySubscription totalDeposited exitDate",
+    )
+    .session(session)
+    .lean();
+  if (!member || member.role !== "member") {
+    throw httpError(404, "Member not found.");
+  }
+
+  const asOf = new Date(exitDate);
+  if (isNaN(asOf) || asOf > new Date()) {
+    throw httpError(400, "The exit date must be today or earlier.");
+  }
+
+  const [activeLoans, exposure, outstandingFine] = await Promise.all([
+    Loan.find({ member: member._id, status: "active" }).session(session),
+    guaranteeExposureOf([member._id]),
+    fines.outstandingFineOf(member, { asOf, session }),
+  ]);
+
+  const loanLines = activeLoans.map((loan) => {
+    const quote = loans.payoffQuote(loan, asOf);
+    return {
+      loan: loan._id,
+      principal: quote.principal,
+      interest: quote.interest,
+      penalty: quote.penalty,
+      waivedInterest: quote.waivedInterest,
+      total: quote.total,
+    };
+  });
+  const loanPayoff = roundMoney(loanLines.reduce((s, l) => s + l.total, 0));
+
+  const savings = roundMoney(member.totalDeposited || 0);
+  const estimatedProfitShare = await estimateProfitShare(member, asOf);
+  const share =
+    profitShare !== undefined && profitShare !== null && profitShare !== ""
+      ? roundMoney(profitShare)
+      : estimatedProfitShare;
+  const netPayout = roundMoney(savings + share - outstandingFine - loanPayoff);
+
+  const blockers = [];
+  if (member.status === "exited" || member.exitDate) {
+    blockers.push("This member has already exited.");
+  }
+  if (!(share >= 0)) {
+    blockers.push("The profit share cannot be negative.");
+  }
+  const guaranteeing = exposure.get(String(member._id)) || 0;
+  if (guaranteeing > 0) {
+    blockers.push(
+      `Still guarantees ৳${guaranteeing.toLocaleString()} of other members' loans; replace the guarantor first.`,
+    );
+  }
+  if (netPayout < 0) {
+    blockers.push(
+      `Fines and loans exceed savings by ৳${Math.abs(netPayout).toLocaleString()}; collect the shortfall first.`,
+    );
+  }
+
+  return {
+    member: {
+      id: member._id,
+      name: member.name,
+      phone: member.phone,
+      branch: member.branch,
+      joiningDate: member.joiningDate,
+      status: member.status,
+    },
+    exitDate: asOf,
+    savings,
+    outstandingFine,
+    loans: loanLines,
+    loanPayoff,
+    estimatedProfitShare,
+    profitShare: share,
+    netPayout,
+    canSettle: blockers.length === 0,
+    blockers,
+  };
+};
+
+/**
+ * Posts a computed settlement inside the caller's session and returns the
+ * Transactions it created. Fines and loans are recovered from savings, the
+ * profit share is credited to savings, and the balance is paid from the bank.
+ */
+const postSettlement = async (
+  settlement,
+  { bankAccountId, actor },
+  session,
+) => {
+  const date = new Date();
+  const memberId = settlement.member.id;
+  const stamp = approvals.approvalStamp(actor);
+  const created = [];
+
+  const record = async (fields, lines) => {
+    const [tx] = await Transaction.create(
+      [
+        {
+          user: memberId,
+          date,
+          month: date.toLocaleString("default", { month: "long" }),
+          year: date.getFullYear(),
+          recordedBy: actor.id,
+          ...stamp,
+          ...fields,
+        },
+      ],
+      { session },
+    );
+    await ledger.postTransaction(tx, session, lines);
+    created.push(tx);
+    return tx;
+  };
+  const account = (key) => ledger.getSystemAccount(key, session);
+
+  // 1. Profit share credited to savings (Dr Retained Surplus / Cr Savings)
+  if (settlement.profitShare > 0) {
+    await record({
+      type: "dividend",
+      category: "dividend_credit",
+      amount: settlement.profitShare,
+      remarks: "Pro-rata profit share on exit",
+    });
+  }
+
+  // 2. Outstanding fine recovered from savings (Dr Savings / Cr Fine Income)
+  if (settlement.outstandingFine > 0) {
+    await record(
+      {
+        type: "adjustment",
+        category: "fine_payment",
+        amount: settlement.outstandingFine,
+        remarks: "Outstanding fine settled from savings on exit",
+      },
+      [
+        {
+          account: await account("MEMBER_SAVINGS"),
+          amount: settlement.outstandingFine,
+          side: "debit",
+          member: memberId,
+        },
+        {
+          account: await account("FINE_INCOME"),
+          amount: settlement.outstandingFine,
+          side: "credit",
+          member: memberId,
+        },
+      ],
+    );
+  }
+
+  // 3. Each active loan paid off from savings; future interest is forgiven
+  const activeLoans = await Loan.find({
+    member: memberId,
+    status: "active",
+  }).session(session);
+  for (const loan of activeLoans) {
+    const quote = loans.payoffQuote(loan, settlement.exitDate);
+    if (quote.total > 0) {
+      const tx = await record(
+        {
+          type: "loan",
+          category: "loan_repayment",
+          amount: quote.total,
+          loan: loan._id,
+          remarks: "Loan settled from savings on exit",
+        },
+        [
+          {
+            account: await account("MEMBER_SAVINGS"),
+            amount: quote.total,
+            side: "debit",
+            member: memberId,
+          },
+          {
+            account: await account("MEMBER_LOANS"),
+            amount: quote.principal,
+            side: "credit",
+            member: memberId,
+          },
+          {
+            account: await account("LOAN_INTEREST_INCOME"),
+            amount: quote.interest,
+            side: "credit",
+            member: memberId,
+          },
+          {
+            account: await account("LOAN_PENALTY_INCOME"),
+            amount: quote.penalty,
+            side: "credit",
+            member: memberId,
+          },
+        ],
+      );
+      loan.repayments.push({
+        transaction: tx._id,
+        date,
+        amount: quote.total,
+        principal: quote.principal,
+        interest: quote.interest,
+        penalty: quote.penalty,
+        allocations: quote.allocations,
+        recordedBy: actor.id,
+      });
+    }
+    loans.applyPayoff(loan, quote, date);
+    await loan.save({ session });
+  }
+
+  // Applications not yet disbursed lapse with the membership
+  await Loan.updateMany(
+    { member: memberId, status: { $in: ["pending", "approved"] } },
+    {
+      status: "cancelled",
+      reviewNote: "Cancelled: member exited",
+      reviewedAt: date,
+    },
+    { session },
+  );
+
+  // 4. Remaining savings paid out (Dr Savings / Cr Bank)
+  if (settlement.netPayout > 0) {
+    await record({
+      type: "adjustment",
+      category: "savings_withdrawal",
+      amount: settlement.netPayout,
+      bankAccount: bankAccountId,
+      remarks: "Final savings settlement on exit",
+    });
+  }
+
+  // 5. No obligations after the exit month (advance months are refunded above)
+  const exit = new Date(settlement.exitDate);
+  await MonthlyDue.deleteMany(
+    {
+      member: memberId,
+      $or: [
+        { year: { $gt: exit.getFullYear() } },
+        { year: exit.getFullYear(), month: { $gt: exit.getMonth() + 1 } },
+      ],
+    },
+    { session },
+  );
+
+  return created;
+};
+
+module.exports = {
+  estimateProfitShare,
+  computeSettlement,
+  postSettlement,
+};
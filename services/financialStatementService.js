@@ -0,0 +1,294 @@
+const JournalEntry = require("../models/JournalEntry");
+const LedgerAccount = require("../models/LedgerAccount");
+const BankAccount = require("../models/BankAccount");
+const Category = require("../models/Category");
+const ledger = require("./ledgerService");
+const { periodBounds } = require("./periodService");
+
+const { roundMoney } = ledger;
+
+/**
+ * Net movement per ledger account between two instants, in the account's
+ * normal direction (debit-normal accounts: debit - credit).
+ */
+const movementsBetween = async (start, end) => {
+  const rows = await JournalEntry.aggregate([
+    { $match: { date: { $gte: start, $lte: end } } },
+    { $unwind: "$lines" },
+    {
+      $group: {
+        _id: "$lines.account",
+        debit: { $sum: "$lines.debit" },
+        credit: { $sum: "$lines.credit" },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r]));
+};
+
+/**
+ * Journal lines on the given accounts inside a range, with the originating
+ * transaction's category for grouping.
+ */
+const linesWithCategory = async (accountIds, start, end) =>
+  JournalEntry.aggregate([
+    {
+      $match: {
+        date: { $gte: start, $lte: end },
+        "lines.account": { $in: accountIds },
+      },
+    },
+    { $unwind: "$lines" },
+    { $match: { "lines.account": { $in: accountIds } } },
+    {
+      $lookup: {
+        from: "transactions",
+        localField: "transaction",
+        foreignField: "_id",
+        as: "tx",
+      },
+    },
+    {
+      $project: {
+        account: "$lines.account",
+        debit: "$lines.debit",
+        credit: "$lines.credit",
+        description: 1,
+        category: { $arrayElemAt: ["$tx.category", 0] },
+        type: { $arrayElemAt: ["$tx.type", 0] },
+      },
+    },
+  ]);
+
+const normalAmount = (account, row) =>
+  roundMoney(
+    account.normalBalance === "debit"
+      ? (row?.debit || 0) - (row?.credit || 0)
+      : (row?.credit || 0) - (row?.debit || 0),
+  );
+
+/**
+ * ✅ INCOME & EXPENDITURE
+ * Income and expense accounts moved during the year; operating expenses are
+ * broken down by the Category of the entries that posted them.
+ */
+const incomeAndExpenditure = async (year) => {
+  const { start, end } = periodBounds(year);
+  const accounts = await LedgerAccount.find({
+    type: { $in: ["income", "expense"] },
+  })
+    .sort({ code: 1 })
+    .lean();
+  const movements = await movementsBetween(start, end);
+
+  const income = accounts
+    .filter((a) => a.type === "income")
+    .map((a) => ({
+      code: a.code,
+      name: a.name,
+      amount: normalAmount(a, movements.get(String(a._id))),
+    }));
+
+  const operating = accounts.find(
+    (a) => a.code === ledger.SYSTEM_ACCOUNTS.OPERATING_EXPENSES.code,
+  );
+  const byCategory = new Map();
+  if (operating) {
+    const lines = await linesWithCategory([operating._id], start, end);
+    for (const line of lines) {
+      const name = line.category || "Uncategorised";
+      byCategory.set(
+        name,
+        roundMoney((byCategory.get(name) || 0) + line.debit - line.credit),
+      );
+    }
+  }
+  // Every configured expense category appears, even with nothing spent
+  const categories = await Category.find({ type: "expense" })
+    .select("name")
+    .lean();
+  for (const category of categories) {
+    if (!byCategory.has(category.name)) byCategory.set(category.name, 0);
+  }
+
+  const expenditure = accounts
+    .filter((a) => a.type === "expense")
+    .map((a) => ({
+      code: a.code,
+      name: a.name,
+      amount: normalAmount(a, movements.get(String(a._id))),
+      ...(operating && String(a._id) === String(operating._id)
+        ? {
+            byCategory: [...byCategory.entries()]
+              .map(([category, amount]) => ({ category, amount }))
+              .sort((x, y) => y.amount - x.amount),
+          }
+        : {}),
+    }));
+
+  const totalIncome = roundMoney(income.reduce((s, r) => s + r.amount, 0));
+  const totalExpenditure = roundMoney(
+    expenditure.reduce((s, r) => s + r.amount, 0),
+  );
+
+  return {
+    income,
+    expenditure,
+    totalIncome,
+    totalExpenditure,
+    surplus: roundMoney(totalIncome - totalExpenditure),
+  };
+};
+
+/**
+ * ✅ RECEIPTS & PAYMENTS (cash view)
+ * Per bank account: opening balance, money in and out grouped by entry
+ * category, and closing balance.
+ */
+const receiptsAndPayments = async (year) => {
+  const { start, end } = periodBounds(year);
+  const bankLedgers = await LedgerAccount.find({ bankAccount: { $ne: null } })
+    .sort({ code: 1 })
+    .lean();
+  const banks = await BankAccount.find()
+    .select("bankName accountNumber accountType")
+    .lean();
+  const lines = await linesWithCategory(
+    bankLedgers.map((a) => a._id),
+    start,
+    end,
+  );
+
+  const group = (rows, side) => {
+    const totals = new Map();
+    for (const row of rows) {
+      if (!row[side]) continue;
+      const name =
+        row.type === "transfer"
+          ? side === "debit"
+            ? "Transfer in"
+            : "Transfer out"
+          : row.category || row.description || "Other";
+      totals.set(name, roundMoney((totals.get(name) || 0) + row[side]));
+    }
+    return [...totals.entries()].map(([category, amount]) => ({
+      category,
+      amount,
+    }));
+  };
+
+  const accounts = [];
+  for (const account of bankLedgers) {
+    const bank = banks.find(
+      (b) => String(b._id) === String(account.bankAccount),
+    );
+    const rows = lines.filter((l) => String(l.account) === String(account._id));
+    const opening = await ledger.getAccountBalance(account._id, {
+      asOf: new Date(start.getTime() - 1),
+    });
+    const receipts = group(rows, "debit");
+    const payments = group(rows, "credit");
+    const totalReceipts = roundMoney(
+      receipts.reduce((s, r) => s + r.amount, 0),
+    );
+    const totalPayments = roundMoney(
+      payments.reduce((s, r) => s + r.amount, 0),
+    );
+
+    accounts.push({
+      bankAccount: account.bankAccount,
+      name: bank ? `${bank.bankName} (${bank.accountNumber})` : account.name,
+      opening,
+      receipts,
+      payments,
+      totalReceipts,
+      totalPayments,
+      closing: roundMoney(opening + totalReceipts - totalPayments),
+    });
+  }
+
+  const sum = (key) => roundMoney(accounts.reduce((s, a) => s + a[key], 0));
+  return {
+    accounts,
+    totals: {
+      opening: sum("opening"),
+      receipts: sum("totalReceipts"),
+      payments: sum("totalPayments"),
+      closing: sum("closing"),
+    },
+  };
+};
+
+/**
+ * ✅ BALANCE SHEET at the end of the year
+ * Assets (bank balances, investments at cost, ...) against member savings
+ * and other liabilities plus equity, where the retained surplus includes
+ * every income and expense posted to date (there are no closing entries).
+ */
+const balanceSheet = async (year) => {
+  const { end } = periodBounds(year);
+  const trial = await ledger.getTrialBalance(end);
+  const line = (a) => ({ code: a.code, name: a.name, amount: a.balance });
+
+  const assets = trial.filter((a) => a.type === "asset");
+  const liabilities = trial.filter((a) => a.type === "liability");
+  const equity = trial.filter((a) => a.type === "equity");
+
+  const accumulatedSurplus = roundMoney(
+    trial
+      .filter((a) => a.type === "income")
+      .reduce((s, a) => s + a.balance, 0) -
+      trial
+        .filter((a) => a.type === "expense")
+        .reduce((s, a) => s + a.balance, 0),
+  );
+
+  const totalAssets = roundMoney(assets.reduce((s, a) => s + a.balance, 0));
+  const totalLiabilities = roundMoney(
+    liabilities.reduce((s, a) => s + a.balance, 0),
+  );
+  const totalEquity = roundMoney(
+    equity.reduce((s, a) => s + a.balance, 0) + accumulatedSurplus,
+  );
+
+  return {
+    asOf: end,
+    assets: assets.map(line),
+    liabilities: liabilities.map(line),
+    equity: [
+      ...equity.map(line),
+      { code: null, name: "Accumulated Surplus", amount: accumulatedSurplus },
+    ],
+    totalAssets,
+    totalLiabilities,
+    totalEquity,
+    isBalanced: totalAssets === roundMoney(totalLiabilities + totalEquity),
+  };
+};
+
+/**
+ * All three AGM statements for a fiscal (calendar) year.
+ */
+const buildAnnualStatements = async (year) => {
+  const [ie, rp, bs] = await Promise.all([
+    incomeAndExpenditure(year),
+    receiptsAndPayments(year),
+    balanceSheet(year),
+  ]);
+  const { start, end } = periodBounds(year);
+  return {
+    fiscalYear: year,
+    period: { from: start, to: end },
+    incomeAndExpenditure: ie,
+    receiptsAndPayments: rp,
+    balanceSheet: bs,
+    generatedAt: new Date(),
+  };
+};
+
+module.exports = {
+  incomeAndExpenditure,
+  receiptsAndPayments,
+  balanceSheet,
+  buildAnnualStatements,
+};
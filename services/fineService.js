@@ -0,0 +1,365 @@
+const mongoose = require("mongoose");
+const Transaction = require("../models/Transaction");
+const FineSetting = require("../models/FineSetting");
+const FinePolicy = require("../models/FinePolicy");
+const FineExemption = require("../models/FineExemption");
+const { monthLabel, MONTH_NAMES, loadSchedules } = require("./duesService");
+const httpError = require("../utils/httpError");
+
+const DEFAULT_SETTINGS = {
+  formula: "simple",
+  gracePeriodMonths: 1,
+  finePercentage: 5,
+  flatFee: 0,
+  maxFinePerMonth: null,
+  maxFinePerMember: null,
+};
+
+/**
+ * ✅ FINE FORMULAS
+ * Each returns the fine for one due month that is `lateMonths` late, before
+ * the per-month cap. Policies saved before formulas existed are "simple".
+ */
+const FINE_FORMULAS = {
+  // Fixed fee for every month the installment is late
+  flat: (lateMonths, installment, policy) => lateMonths * (policy.flatFee || 0),
+  // lateMonths × percentage of the installment
+  simple: (lateMonths, installment, policy) =>
+    (lateMonths * installment * policy.finePercentage) / 100,
+  // Percentage compounds on the installment plus the fine already accrued
+  compounding: (lateMonths, installment, policy) =>
+    installment * ((1 + policy.finePercentage / 100) ** lateMonths - 1),
+};
+
+/**
+ * Validates fine-settings input and returns the normalized policy fields.
+ * Missing formula parameters fall back to `base` (the policy in force).
+ */
+const normalizePolicy = (input, base = DEFAULT_SETTINGS) => {
+  const formula = input.formula || base.formula || "simple";
+  if (!FINE_FORMULAS[formula]) {
+    throw httpError(
+      400,
+      `Unknown fine formula. Use one of: ${Object.keys(FINE_FORMULAS).join(", ")}.`,
+    );
+  }
+
+  const pick = (key) => (input[key] === undefined ? base[key] : input[key]);
+  const optionalCap = (key) => {
+    const value = pick(key);
+    return value === null || value === "" || value === undefined
+      ? null
+      : Number(value);
+  };
+
+  const policy = {
+    formula,
+    gracePeriodMonths: Number(pick("gracePeriodMonths")),
+    finePercentage: Number(pick("finePercentage") || 0),
+    flatFee: Number(pick("flatFee") || 0),
+    maxFinePerMonth: optionalCap("maxFinePerMonth"),
+    maxFinePerMember: optionalCap("maxFinePerMember"),
+  };
+
+  const numbers = Object.entries(policy).filter(
+    ([key, value]) => key !== "formula" && value !== null,
+  );
+  if (numbers.some(([, value]) => !Number.isFinite(value) || value < 0)) {
+    throw httpError(400, "Fine parameters must be non-negative numbers.");
+  }
+  if (formula === "flat" && policy.flatFee <= 0) {
+    throw httpError(400, "A flat fine needs a flatFee greater than zero.");
+  }
+  if (formula !== "flat" && policy.finePercentage <= 0) {
+    throw httpError(400, "This formula needs a finePercentage above zero.");
+  }
+  return policy;
+};
+
+/**
+ * Fine for one late month under a policy, with the per-month cap applied.
+ */
+const monthFine = (lateMonths, installment, policy) => {
+  const formula = FINE_FORMULAS[policy.formula] || FINE_FORMULAS.simple;
+  const amount = Math.round(formula(lateMonths, installment, policy));
+  return policy.maxFinePerMonth != null
+    ? Math.min(amount, policy.maxFinePerMonth)
+    : amount;
+};
+
+/**
+ * All policy versions, oldest first. The first time this runs, version 1 is
+ * seeded from the legacy single FineSetting document so existing fines keep
+ * the rate they were computed with.
+ */
+const getPolicies = async () => {
+  let policies = await FinePolicy.find()
+    .sort({ effectiveFrom: 1, version: 1 })
+    .lean();
+  if (policies.length) return policies;
+
+  const legacy = (await FineSetting.findOne().lean()) || DEFAULT_SETTINGS;
+  try {
+    await FinePolicy.create({
+      version: 1,
+      effectiveFrom: new Date(2000, 0, 1),
+      formula: legacy.formula || "simple",
+      gracePeriodMonths: legacy.gracePeriodMonths,
+      finePercentage: legacy.finePercentage,
+      flatFee: legacy.flatFee || 0,
+      maxFinePerMonth: legacy.maxFinePerMonth ?? null,
+      maxFinePerMember: legacy.maxFinePerMember ?? null,
+      note: "Initial policy (migrated from fine settings)",
+      createdBy: legacy.lastUpdatedBy,
+    });
+  } catch (error) {
+    // Another request seeded it first
+    if (error.code !== 11000) throw error;
+  }
+  return FinePolicy.find().sort({ effectiveFrom: 1, version: 1 }).lean();
+};
+
+/**
+ * Builds a synchronous lookup `(year, month) => policy in force for that
+ * due month`, so a whole schedule needs one query.
+ */
+const loadPolicyTable = async () => {
+  const policies = await getPolicies();
+
+  return (year, month) => {
+    const monthStart = new Date(year, month - 1, 1);
+    let inForce = policies[0];
+    for (const policy of policies) {
+      if (new Date(policy.effectiveFrom) <= monthStart) inForce = policy;
+    }
+    return inForce;
+  };
+};
+
+/**
+ * Builds `member => (year, month) => exemption | null` from the active
+ * member and branch exemptions, so a whole registry needs one query.
+ */
+const loadExemptionTable = async () => {
+  const exemptions = await FineExemption.find({ status: "active" })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return (member) => {
+    const memberId = String(member._id);
+    const applicable = exemptions.filter((e) =>
+      e.scope === "member"
+        ? String(e.member) === memberId
+        : e.branch === member.branch,
+    );
+
+    return (year, month) => {
+      const monthStart = new Date(year, month - 1, 1);
+      return (
+        applicable.find(
+          (e) =>
+            new Date(e.fromMonth) <= monthStart &&
+            monthStart <= new Date(e.toMonth),
+        ) || null
+      );
+    };
+  };
+};
+
+/**
+ * Whole months between the end of a due month and a given date, minus one:
+ * a month that ended last month is 0, the month before that is 1, and so on.
+ */
+const monthsAgoFinished = (due, at) =>
+  (at.getFullYear() - due.year) * 12 + (at.getMonth() - (due.month - 1)) - 1;
+
+/**
+ * ✅ CENTRALIZED FINE CALCULATOR (reads the dues schedule)
+ * A month accrues a fine only while it is unpaid past the grace period; the
+ * amount comes from the policy's formula (see FINE_FORMULAS) and is capped
+ * per month. Once a month is paid its fine is frozen at the payment date.
+ * The member-wide cap of the policy in force today limits the gross, then
+ * waivers and fine payments already recorded are subtracted.
+ *
+ * Each month is judged under the policy version in force for that due month
+ * (`policyAt` from loadPolicyTable); a plain settings object applies one
+ * policy to every month. Months covered by a fine holiday (`exemptAt`, one
+ * member's lookup from loadExemptionTable) stay listed with a zero fine.
+ */
+const calculateFine = (
+  dues = [],
+  policyAt = DEFAULT_SETTINGS,
+  totalReduced = 0,
+  { asOf = new Date(), exemptAt = () => null } = {},
+) => {
+  const resolve = typeof policyAt === "function" ? policyAt : () => policyAt;
+  const currentMonthStart = new Date(asOf.getFullYear(), asOf.getMonth(), 1);
+
+  let grossFine = 0;
+  let overdueMonths = 0;
+  let dueAmount = 0;
+  const details = [];
+
+  for (const due of dues) {
+    // Only months that have fully finished can be late
+    if (new Date(due.year, due.month - 1, 1) >= currentMonthStart) continue;
+
+    const policy = resolve(due.year, due.month) || DEFAULT_SETTINGS;
+    const settled = due.status === "paid" && due.paidDate;
+    const lateMonths = monthsAgoFinished(
+      due,
+      settled ? new Date(due.paidDate) : asOf,
+    );
+    if (lateMonths <= policy.gracePeriodMonths) continue;
+
+    const exemption = exemptAt(due.year, due.month);
+    const fineAmount = exemption
+      ? 0
+      : monthFine(lateMonths, due.amountDue, policy);
+    grossFine += fineAmount;
+
+    const outstanding = Math.max(0, due.amountDue - due.amountPaid);
+    if (!settled) {
+      overdueMonths++;
+      dueAmount += outstanding;
+    }
+
+    details.push({
+      month: MONTH_NAMES[due.month - 1],
+      year: due.year,
+      label: monthLabel(due.year, due.month),
+      payableAmount: due.amountDue,
+      paidAmount: due.amountPaid,
+      outstanding,
+      status: due.status,
+      lateMonths,
+      fineAmount,
+      policy: {
+        id: policy._id || null,
+        version: policy.version || null,
+        formula: policy.formula || "simple",
+        gracePeriodMonths: policy.gracePeriodMonths,
+        finePercentage: policy.finePercentage,
+        flatFee: policy.flatFee || 0,
+        maxFinePerMonth: policy.maxFinePerMonth ?? null,
+      },
+      exemption: exemption
+        ? {
+            id: exemption._id,
+            scope: exemption.scope,
+            reason: exemption.reason,
+            grantedBy: exemption.grantedBy,
+          }
+        : null,
+    });
+  }
+
+  // 🔒 Member-wide cap from the policy in force today
+  const currentPolicy =
+    resolve(asOf.getFullYear(), asOf.getMonth() + 1) || DEFAULT_SETTINGS;
+  const uncappedFine = Math.round(grossFine);
+  if (currentPolicy.maxFinePerMember != null) {
+    grossFine = Math.min(grossFine, currentPolicy.maxFinePerMember);
+  }
+
+  return {
+    fine: Math.max(0, Math.round(grossFine) - totalReduced),
+    grossFine: Math.round(grossFine),
+    uncappedFine,
+    memberCap: currentPolicy.maxFinePerMember ?? null,
+    months: overdueMonths,
+    dueAmount,
+    totalReduced,
+    details,
+  };
+};
+
+/**
+ * Applies a fine payment to the oldest fined months first. Earlier payments
+ * and waivers (`calc.totalReduced`) are treated as having covered the oldest
+ * months already, so the new amount continues where they stopped.
+ */
+const allocateFinePayment = (calc, amount) => {
+  let covered = calc.totalReduced || 0;
+  let remaining = amount;
+  const allocations = [];
+
+  for (const line of calc.details) {
+    if (!line.fineAmount) continue;
+    const previouslyCovered = Math.min(covered, line.fineAmount);
+    covered -= previouslyCovered;
+
+    const open = line.fineAmount - previouslyCovered;
+    if (open <= 0 || remaining <= 0) continue;
+
+    const applied = Math.min(open, remaining);
+    remaining -= applied;
+    allocations.push({
+      label: line.label,
+      month: line.month,
+      year: line.year,
+      fineAmount: line.fineAmount,
+      previouslyCovered,
+      applied,
+      remainingFine: open - applied,
+    });
+  }
+  return allocations;
+};
+
+/**
+ * Paid fines plus waivers per member id (reversals net out).
+ */
+const getFineReductions = async (memberIds) => {
+  const match = { category: { $in: ["fine_waiver", "fine_payment"] } };
+  // Aggregations do not cast, so string ids are converted here
+  if (memberIds) {
+    match.user = {
+      $in: memberIds.map((id) => new mongoose.Types.ObjectId(String(id))),
+    };
+  }
+
+  const rows = await Transaction.aggregate([
+    { $match: match },
+    { $group: { _id: "$user", totalReduced: { $sum: "$amount" } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.totalReduced]));
+};
+
+/**
+ * Outstanding late fine of one member (policies, holidays, payments and
+ * waivers applied), as of a date.
+ */
+const outstandingFineOf = async (
+  member,
+  { asOf = new Date(), session } = {},
+) => {
+  const [policyAt, exemptionsFor, reductions] = await Promise.all([
+    loadPolicyTable(),
+    loadExemptionTable(),
+    getFineReductions([member._id]),
+  ]);
+  const schedule =
+    (await loadSchedules([member], session)).get(String(member._id)) || [];
+  return calculateFine(
+    schedule,
+    policyAt,
+    reductions.get(String(member._id)) || 0,
+    { asOf, exemptAt: exemptionsFor(member) },
+  ).fine;
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  FINE_FORMULAS,
+  normalizePolicy,
+  monthFine,
+  getPolicies,
+  loadPolicyTable,
+  loadExemptionTable,
+  monthsAgoFinished,
+  calculateFine,
+  allocateFinePayment,
+  getFineReductions,
+  outstandingFineOf,
+};
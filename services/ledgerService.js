@@ -0,0 +1,655 @@
+const mongoose = require("mongoose");
+const LedgerAccount = require("../models/LedgerAccount");
+const JournalEntry = require("../models/JournalEntry");
+const BankAccount = require("../models/BankAccount");
+const User = require("../models/User");
+
+/**
+ * ✅ SYSTEM CHART OF ACCOUNTS
+ * Bank accounts are created on demand (one asset account per BankAccount);
+ * the rest of the chart is fixed and keyed by code.
+ */
+const SYSTEM_ACCOUNTS = {
+  MEMBER_LOANS: { code: "1200", name: "Loans to Members", type: "asset" },
+  INVESTMENTS: { code: "1500", name: "Investments at Cost", type: "asset" },
+  MEMBER_SAVINGS: { code: "2000", name: "Member Savings", type: "liability" },
+  OPENING_EQUITY: {
+    code: "3000",
+    name: "Opening Balance Equity",
+    type: "equity",
+  },
+  RETAINED_SURPLUS: { code: "3100", name: "Retained Surplus", type: "equity" },
+  BALANCE_CORRECTIONS: {
+    code: "3900",
+    name: "Balance Corrections",
+    type: "equity",
+  },
+  FINE_INCOME: { code: "4000", name: "Fine Income", type: "income" },
+  INVESTMENT_INCOME: {
+    code: "4100",
+    name: "Investment Profit",
+    type: "income",
+  },
+  LOAN_INTEREST_INCOME: {
+    code: "4200",
+    name: "Loan Interest Income",
+    type: "income",
+  },
+  LOAN_PENALTY_INCOME: {
+    code: "4300",
+    name: "Loan Late Penalty Income",
+    type: "income",
+  },
+  OTHER_INCOME: { code: "4900", name: "Other Income", type: "income" },
+  OPERATING_EXPENSES: {
+    code: "5000",
+    name: "Operating Expenses",
+    type: "expense",
+  },
+  INVESTMENT_EXPENSES: {
+    code: "5100",
+    name: "Investment Expenses",
+    type: "expense",
+  },
+};
+
+const DEBIT_NORMAL = ["asset", "expense"];
+
+// Subcategories used on "balance_correction" adjustment entries
+const BALANCE_INCREASE = "Balance Increase";
+const BALANCE_DECREASE = "Balance Decrease";
+
+const normalBalanceOf = (type) =>
+  DEBIT_NORMAL.includes(type) ? "debit" : "credit";
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+const toObjectId = (id) =>
+  id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id);
+
+/**
+ * Fetch (or lazily create) a fixed system account such as MEMBER_SAVINGS.
+ */
+const getSystemAccount = async (key, session) => {
+  const def = SYSTEM_ACCOUNTS[key];
+  if (!def) throw new Error(`Unknown ledger account: ${key}`);
+
+  return LedgerAccount.findOneAndUpdate(
+    { code: def.code },
+    {
+      $setOnInsert: {
+        ...def,
+        normalBalance: normalBalanceOf(def.type),
+        isSystem: true,
+      },
+    },
+    { new: true, upsert: true, session },
+  );
+};
+
+/**
+ * Fetch (or lazily create) the asset account that mirrors a BankAccount.
+ * On first creation any balance the bank already carries is brought into
+ * the ledger as an opening entry, so legacy balances stay intact.
+ */
+const getBankLedgerAccount = async (bankAccountId, session, postedBy) => {
+  const existing = await LedgerAccount.findOne({
+    bankAccount: bankAccountId,
+  }).session(session || null);
+  if (existing) return existing;
+
+  const bank = await BankAccount.findById(bankAccountId).session(
+    session || null,
+  );
+  if (!bank) throw new Error("Bank account not found in registry.");
+
+  const [account] = await LedgerAccount.create(
+    [
+      {
+        code: `BANK-${bank.accountNumber}`,
+        name: `${bank.bankName} (${bank.accountNumber})`,
+        type: "asset",
+        normalBalance: "debit",
+        bankAccount: bank._id,
+        isSystem: true,
+      },
+    ],
+    { session },
+  );
+
+  const opening = roundMoney(bank.currentBalance || 0);
+  if (opening !== 0) {
+    const equity = await getSystemAccount("OPENING_EQUITY", session);
+    await postJournal(
+      {
+        date: bank.createdAt || new Date(),
+        description: `Opening balance: ${bank.bankName}`,
+        postedBy: postedBy || bank.lastUpdatedBy,
+        lines: [
+          { account: account._id, amount: opening, side: "debit" },
+          { account: equity._id, amount: opening, side: "credit" },
+        ],
+      },
+      session,
+    );
+  }
+
+  return account;
+};
+
+const MEMBER_OPENING = "Opening balance: member savings";
+const MEMBER_OPENING_REPLACED =
+  "Opening balance: member savings replaced by legacy history";
+
+/**
+ * Brings a member's pre-ledger savings (User.totalDeposited) into the
+ * Member Savings account the first time a savings line is posted for them.
+ */
+const ensureMemberOpening = async (
+  userId,
+  savingsAccount,
+  session,
+  postedBy,
+) => {
+  const hasLines = await JournalEntry.exists({
+    lines: { $elemMatch: { account: savingsAccount._id, member: userId } },
+  }).session(session || null);
+  if (hasLines) return;
+
+  const user = await User.findById(userId)
+    .select("totalDeposited")
+    .session(session || null);
+  const opening = roundMoney(user?.totalDeposited || 0);
+  if (opening <= 0) return;
+
+  const equity = await getSystemAccount("OPENING_EQUITY", session);
+  await JournalEntry.create(
+    [
+      {
+        date: new Date(),
+        description: MEMBER_OPENING,
+        postedBy,
+        lines: [
+          { account: equity._id, debit: opening },
+          { account: savingsAccount._id, credit: opening, member: userId },
+        ],
+      },
+    ],
+    { session },
+  );
+};
+
+/**
+ * ✅ REPLACE MEMBER OPENING
+ * A legacy import is the month-by-month detail behind a member's pre-ledger
+ * savings, so it replaces the opening balance instead of adding to it. The
+ * opening is posted (if it was not yet) and then reversed, once per member.
+ * Returns the amount taken out of the opening.
+ */
+const replaceMemberOpening = async (userId, session, postedBy) => {
+  const alreadyReplaced = await JournalEntry.exists({
+    description: MEMBER_OPENING_REPLACED,
+    "lines.member": userId,
+  }).session(session || null);
+  if (alreadyReplaced) return 0;
+
+  const savingsAccount = await getSystemAccount("MEMBER_SAVINGS", session);
+  await ensureMemberOpening(userId, savingsAccount, session, postedBy);
+
+  const opening = await JournalEntry.findOne({
+    description: MEMBER_OPENING,
+    "lines.member": userId,
+  }).session(session || null);
+  const savingsLine = opening?.lines.find(
+    (l) => l.account.toString() === savingsAccount._id.toString(),
+  );
+  const amount = roundMoney(savingsLine?.credit || 0);
+  if (amount <= 0) return 0;
+
+  const equity = await getSystemAccount("OPENING_EQUITY", session);
+  await postJournal(
+    {
+      description: MEMBER_OPENING_REPLACED,
+      postedBy,
+      lines: [
+        { account: savingsAccount, amount, side: "debit", member: userId },
+        { account: equity, amount, side: "credit" },
+      ],
+    },
+    session,
+  );
+  return amount;
+};
+
+/**
+ * Sum of (debit - credit) for one account, optionally for a single member
+ * or investment sub-ledger and/or up to a cut-off date.
+ */
+const getAccountBalance = async (accountId, options = {}, session) => {
+  const { member, investment, asOf } = options;
+
+  const entryMatch = {};
+  if (asOf) entryMatch.date = { $lte: new Date(asOf) };
+
+  const lineMatch = { "lines.account": toObjectId(accountId) };
+  if (member) lineMatch["lines.member"] = toObjectId(member);
+  if (investment) lineMatch["lines.investment"] = toObjectId(investment);
+
+  const result = await JournalEntry.aggregate([
+    { $match: { ...entryMatch, "lines.account": toObjectId(accountId) } },
+    { $unwind: "$lines" },
+    { $match: lineMatch },
+    {
+      $group: {
+        _id: null,
+        debit: { $sum: "$lines.debit" },
+        credit: { $sum: "$lines.credit" },
+      },
+    },
+  ]).session(session || null);
+
+  return roundMoney((result[0]?.debit || 0) - (result[0]?.credit || 0));
+};
+
+/**
+ * Re-derives BankAccount.currentBalance from its posted ledger lines.
+ * currentBalance is a cached read model only; nothing else writes to it.
+ */
+const syncBankBalance = async (ledgerAccount, session) => {
+  const balance = await getAccountBalance(ledgerAccount._id, {}, session);
+  await BankAccount.updateOne(
+    { _id: ledgerAccount.bankAccount },
+    { $set: { currentBalance: balance } },
+    { session },
+  );
+  return balance;
+};
+
+/**
+ * Re-derives User.totalDeposited from the member's Member Savings lines.
+ */
+const syncMemberSavings = async (userId, savingsAccount, session) => {
+  const balance = -(await getAccountBalance(
+    savingsAccount._id,
+    { member: userId },
+    session,
+  ));
+  await User.updateOne(
+    { _id: userId },
+    { $set: { totalDeposited: balance } },
+    { session },
+  );
+  return balance;
+};
+
+/**
+ * ✅ POST JOURNAL: The single write path into the ledger
+ * Lines are given as { account, amount, side: "debit" | "credit", member?, investment? }.
+ * After posting, every touched bank balance and member savings total is
+ * recomputed from the ledger.
+ */
+const postJournal = async (
+  { date, description, transaction = null, postedBy, lines },
+  session,
+) => {
+  const normalized = lines
+    .map((line) => {
+      // A negative amount is simply posted on the opposite side
+      const amount = roundMoney(line.amount);
+      const flip = amount < 0;
+      const side = flip === (line.side === "debit") ? "credit" : "debit";
+      return {
+        account: line.account._id || line.account,
+        debit: side === "debit" ? Math.abs(amount) : 0,
+        credit: side === "credit" ? Math.abs(amount) : 0,
+        member: line.member || null,
+        investment: line.investment || null,
+        memo: line.memo,
+      };
+    })
+    .filter((line) => line.debit > 0 || line.credit > 0);
+
+  const savingsAccount = await getSystemAccount("MEMBER_SAVINGS", session);
+  const savingsMembers = [
+    ...new Set(
+      normalized
+        .filter(
+          (l) =>
+            l.member && l.account.toString() === savingsAccount._id.toString(),
+        )
+        .map((l) => l.member.toString()),
+    ),
+  ];
+
+  for (const memberId of savingsMembers) {
+    await ensureMemberOpening(memberId, savingsAccount, session, postedBy);
+  }
+
+  const [entry] = await JournalEntry.create(
+    [
+      {
+        date: date || new Date(),
+        description,
+        transaction,
+        postedBy,
+        lines: normalized,
+      },
+    ],
+    { session },
+  );
+
+  // Refresh cached balances derived from the ledger
+  const touchedAccounts = await LedgerAccount.find({
+    _id: { $in: normalized.map((l) => l.account) },
+    bankAccount: { $ne: null },
+  }).session(session || null);
+
+  for (const account of touchedAccounts) {
+    await syncBankBalance(account, session);
+  }
+  for (const memberId of savingsMembers) {
+    await syncMemberSavings(memberId, savingsAccount, session);
+  }
+
+  return entry;
+};
+
+/**
+ * Maps a Transaction document onto balanced journal lines.
+ * Returns null for entries with no monetary leg (e.g. fine waivers).
+ */
+const linesForTransaction = async (transaction, session) => {
+  const { type, category, amount, user } = transaction;
+  const bankId = transaction.bankAccount;
+
+  const bankLine = async (id, side) => ({
+    account: await getBankLedgerAccount(id, session, transaction.recordedBy),
+    amount,
+    side,
+  });
+
+  switch (type) {
+    case "transfer": {
+      const { fromAccount, toAccount } = transaction.transferDetails || {};
+      if (!fromAccount || !toAccount) {
+        throw new Error(
+          "Transfer entries need both source and target accounts.",
+        );
+      }
+      return [
+        await bankLine(toAccount, "debit"),
+        await bankLine(fromAccount, "credit"),
+      ];
+    }
+
+    case "investment":
+      return [
+        {
+          account: await getSystemAccount("INVESTMENTS", session),
+          amount,
+          side: "debit",
+          investment: transaction.referenceId || null,
+        },
+        await bankLine(bankId, "credit"),
+      ];
+
+    case "deposit": {
+      let counter = { key: "OTHER_INCOME" };
+      if (category === "monthly_deposit" && user) {
+        counter = { key: "MEMBER_SAVINGS", member: user };
+      } else if (category === "fine_payment") {
+        counter = { key: "FINE_INCOME", member: user || null };
+      } else if (/investment/i.test(category || "")) {
+        counter = {
+          key: "INVESTMENT_INCOME",
+          investment: transaction.referenceId || null,
+        };
+      }
+
+      return [
+        await bankLine(bankId, "debit"),
+        {
+          account: await getSystemAccount(counter.key, session),
+          amount,
+          side: "credit",
+          member: counter.member || null,
+          investment: counter.investment || null,
+        },
+      ];
+    }
+
+    case "expense": {
+      const isProjectCost = /investment/i.test(category || "");
+      return [
+        {
+          account: await getSystemAccount(
+            isProjectCost ? "INVESTMENT_EXPENSES" : "OPERATING_EXPENSES",
+            session,
+          ),
+          amount,
+          side: "debit",
+          investment: isProjectCost ? transaction.referenceId || null : null,
+        },
+        await bankLine(bankId, "credit"),
+      ];
+    }
+
+    case "loan": {
+      // Repayments are posted with explicit interest/principal/penalty lines;
+      // this default treats the whole amount as principal
+      const disbursed = category === "loan_disbursement";
+      return [
+        {
+          account: await getSystemAccount("MEMBER_LOANS", session),
+          amount,
+          side: disbursed ? "debit" : "credit",
+          member: user || null,
+        },
+        await bankLine(bankId, disbursed ? "credit" : "debit"),
+      ];
+    }
+
+    case "dividend": {
+      // Surplus distributed to a member: credited to savings or paid in cash
+      const toSavings = category !== "dividend_payout";
+      return [
+        {
+          account: await getSystemAccount("RETAINED_SURPLUS", session),
+          amount,
+          side: "debit",
+        },
+        toSavings
+          ? {
+              account: await getSystemAccount("MEMBER_SAVINGS", session),
+              amount,
+              side: "credit",
+              member: user,
+            }
+          : await bankLine(bankId, "credit"),
+      ];
+    }
+
+    case "adjustment": {
+      // Bank-side adjustments only; fine waivers have no monetary leg
+      if (category === "opening_balance") {
+        return [
+          await bankLine(bankId, "debit"),
+          {
+            account: await getSystemAccount("OPENING_EQUITY", session),
+            amount,
+            side: "credit",
+          },
+        ];
+      }
+      if (category === "savings_withdrawal") {
+        // Savings paid back to a member (exit settlement)
+        return [
+          {
+            account: await getSystemAccount("MEMBER_SAVINGS", session),
+            amount,
+            side: "debit",
+            member: user,
+          },
+          await bankLine(bankId, "credit"),
+        ];
+      }
+      if (category === "balance_correction") {
+        const increase = transaction.subcategory !== BALANCE_DECREASE;
+        return [
+          await bankLine(bankId, increase ? "debit" : "credit"),
+          {
+            account: await getSystemAccount("BALANCE_CORRECTIONS", session),
+            amount,
+            side: increase ? "credit" : "debit",
+          },
+        ];
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * ✅ POST TRANSACTION: Ledger-backs a business Transaction
+ * Pass `lines` to override the default mapping (e.g. investment liquidation).
+ * Refuses entries dated inside a closed accounting period.
+ */
+const postTransaction = async (transaction, session, lines) => {
+  // Loaded lazily: periodService itself reads balances through this module
+  const { assertPeriodOpen } = require("./periodService");
+  await assertPeriodOpen(transaction.date, session);
+
+  const journalLines =
+    lines || (await linesForTransaction(transaction, session));
+  if (!journalLines) return null;
+
+  const entry = await postJournal(
+    {
+      date: transaction.date,
+      description:
+        transaction.remarks || `${transaction.type}: ${transaction.category}`,
+      transaction: transaction._id,
+      postedBy: transaction.recordedBy,
+      lines: journalLines,
+    },
+    session,
+  );
+
+  transaction.journalEntry = entry._id;
+  await transaction.save({ session });
+  return entry;
+};
+
+/**
+ * ✅ REVERSE TRANSACTION: Contra entry with every debit/credit swapped
+ * Pass the contra Transaction (if any) to link the reversing journal to it.
+ * Transactions recorded before the ledger existed are reversed from their
+ * default mapping, since their effect lives in the opening balances.
+ * Both the original entry's period and today's must be open.
+ */
+const reverseTransaction = async (
+  transaction,
+  { postedBy, description, contra = null },
+  session,
+) => {
+  const { assertPeriodOpen } = require("./periodService");
+  await assertPeriodOpen(transaction.date, session);
+  await assertPeriodOpen(new Date(), session);
+
+  let lines;
+
+  if (transaction.journalEntry) {
+    const original = await JournalEntry.findById(transaction.journalEntry)
+      .session(session || null)
+      .lean();
+    lines = original.lines.map((l) => ({
+      account: l.account,
+      amount: l.debit || l.credit,
+      side: l.debit > 0 ? "credit" : "debit",
+      member: l.member,
+      investment: l.investment,
+    }));
+  } else {
+    const forward = await linesForTransaction(transaction, session);
+    if (!forward) return null;
+    lines = forward.map((l) => ({
+      ...l,
+      side: l.side === "debit" ? "credit" : "debit",
+    }));
+  }
+
+  const entry = await postJournal(
+    {
+      date: new Date(),
+      description:
+        description ||
+        `Reversal: ${transaction.remarks || transaction.category}`,
+      transaction: contra ? contra._id : transaction._id,
+      postedBy,
+      lines,
+    },
+    session,
+  );
+
+  // The contra Transaction row owns the reversing journal
+  if (contra) {
+    contra.journalEntry = entry._id;
+    await contra.save({ session });
+  }
+  return entry;
+};
+
+/**
+ * ✅ TRIAL BALANCE: Debit/credit totals per account up to a cut-off date
+ */
+const getTrialBalance = async (asOf) => {
+  const match = asOf ? { date: { $lte: new Date(asOf) } } : {};
+
+  const totals = await JournalEntry.aggregate([
+    { $match: match },
+    { $unwind: "$lines" },
+    {
+      $group: {
+        _id: "$lines.account",
+        debit: { $sum: "$lines.debit" },
+        credit: { $sum: "$lines.credit" },
+      },
+    },
+  ]);
+
+  const accounts = await LedgerAccount.find().sort({ code: 1 }).lean();
+
+  return accounts.map((acc) => {
+    const row = totals.find((t) => t._id.toString() === acc._id.toString());
+    const debit = roundMoney(row?.debit || 0);
+    const credit = roundMoney(row?.credit || 0);
+    return {
+      ...acc,
+      debit,
+      credit,
+      balance: roundMoney(
+        acc.normalBalance === "debit" ? debit - credit : credit - debit,
+      ),
+    };
+  });
+};
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  BALANCE_INCREASE,
+  BALANCE_DECREASE,
+  roundMoney,
+  getSystemAccount,
+  getBankLedgerAccount,
+  getAccountBalance,
+  postJournal,
+  postTransaction,
+  reverseTransaction,
+  replaceMemberOpening,
+  linesForTransaction,
+  syncBankBalance,
+  getTrialBalance,
+};
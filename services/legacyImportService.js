@@ -0,0 +1,344 @@
+const BankAccount = require("../models/BankAccount");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+const ledger = require("./ledgerService");
+const dues = require("./duesService");
+const { findClosedPeriodFor, periodLabel } = require("./periodService");
+
+/**
+ * Default column for each field (normalized the way readSheet normalizes
+ * headers). A `mapping` of { field: "Column Header" } overrides them.
+ */
+const DEFAULT_COLUMNS = {
+  date: "date",
+  kind: "type",
+  category: "category",
+  amount: "amount",
+  month: "month",
+  year: "year",
+  member: "member",
+  bankAccount: "bankaccount",
+  remarks: "remarks",
+};
+
+const KIND_ALIASES = {
+  monthly_deposit: [
+    "deposit",
+    "monthly",
+    "monthly_deposit",
+    "share",
+    "savings",
+  ],
+  fine_payment: ["fine", "penalty", "fine_payment"],
+  expense: ["expense", "cost", "payment"],
+};
+
+const normalizeHeader = (key) =>
+  String(key)
+    .toLowerCase()
+    .replace(/[\s_\-.]/g, "");
+
+const asText = (value) =>
+  value === undefined || value === null ? "" : String(value).trim();
+
+const kindOf = (value) => {
+  const text = asText(value).toLowerCase();
+  return (
+    Object.keys(KIND_ALIASES).find((kind) =>
+      KIND_ALIASES[kind].includes(text),
+    ) || null
+  );
+};
+
+/**
+ * Member lookup by phone, NID or member/bank account number. An identifier
+ * that belongs to more than one member is reported as ambiguous.
+ */
+const buildMemberIndex = async () => {
+  const members = await User.find({ role: "member" })
+    .select("name phone nid bankAccount accountNumber")
+    .lean();
+
+  const index = new Map();
+  for (const member of members) {
+    for (const field of ["phone", "nid", "bankAccount", "accountNumber"]) {
+      const key = asText(member[field]);
+      if (!key) continue;
+      const matches = index.get(key) || new Map();
+      matches.set(String(member._id), { member, matchedBy: field });
+      index.set(key, matches);
+    }
+  }
+
+  return (identifier) => {
+    const key = asText(identifier);
+    // Excel drops the leading 0 of 01XXXXXXXXX phone numbers
+    const matches =
+      index.get(key) || (key.length === 10 ? index.get(`0${key}`) : null);
+    if (!matches) return { error: `No member matches "${key}".` };
+    if (matches.size > 1) {
+      return { error: `"${key}" matches more than one member.` };
+    }
+    return [...matches.values()][0];
+  };
+};
+
+/**
+ * Identity of a historical entry: the same member, category, amount, date
+ * and bank account posted by an earlier import is treated as a duplicate.
+ */
+const entryKey = ({ user, category, amount, date, bankAccount }) =>
+  [
+    user || "",
+    category,
+    amount,
+    new Date(date).getTime(),
+    bankAccount || "",
+  ].join("|");
+
+/**
+ * Keys of every live (not voided) entry posted by earlier legacy imports
+ * between the given dates.
+ */
+const importedKeys = async (from, to) => {
+  const existing = await Transaction.find({
+    legacyImport: { $ne: null },
+    status: "posted",
+    date: { $gte: from, $lte: to },
+  })
+    .select("user category amount date bankAccount legacyImport")
+    .lean();
+  return new Map(existing.map((t) => [entryKey(t), t.legacyImport]));
+};
+
+/**
+ * ✅ PREPARE: Maps and validates every sheet row without writing anything.
+ * Returns one entry per row with the resolved member/bank and any errors,
+ * which is both the preview and the input for postRows. Rows an earlier
+ * import already posted come back with status "duplicate".
+ */
+const prepareRows = async (rows, mapping = {}, { defaultBankId } = {}) => {
+  const columns = { ...DEFAULT_COLUMNS };
+  for (const [field, header] of Object.entries(mapping || {})) {
+    if (columns[field] && header) columns[field] = normalizeHeader(header);
+  }
+
+  const findMember = await buildMemberIndex();
+  const banks = await BankAccount.find()
+    .select("bankName accountNumber isMotherAccount")
+    .lean();
+  const defaultBank =
+    banks.find((b) => String(b._id) === String(defaultBankId)) ||
+    banks.find((b) => b.isMotherAccount) ||
+    null;
+
+  const prepared = [];
+  for (const row of rows) {
+    const cell = (field) => row[columns[field]];
+    const errors = [];
+
+    const kind = kindOf(cell("kind"));
+    if (!kind) errors.push(`Unknown type "${asText(cell("kind"))}".`);
+
+    const amount = Number(cell("amount"));
+    if (!(amount > 0)) errors.push("Amount must be a positive number.");
+
+    const rawDate = cell("date");
+    const date =
+      rawDate instanceof Date
+        ? rawDate
+        : /^\d{4}-\d{2}-\d{2}$/.test(asText(rawDate))
+          ? new Date(`${asText(rawDate)}T12:00:00`)
+          : new Date(asText(rawDate));
+    if (isNaN(date)) errors.push("Date is missing or invalid.");
+    else if (date > new Date()) errors.push("Date is in the future.");
+
+    // Month/year of the installment, falling back to the entry date
+    const month =
+      dues.toMonthNumber(asText(cell("month"))) ||
+      (isNaN(date) ? null : date.getMonth() + 1);
+    const year =
+      parseInt(cell("year")) || (isNaN(date) ? null : date.getFullYear());
+
+    let member = null;
+    let matchedBy = null;
+    let unmatched = false;
+    if (kind === "monthly_deposit" || kind === "fine_payment") {
+      const match = findMember(cell("member"));
+      if (match.error) {
+        errors.push(match.error);
+        unmatched = true;
+      } else ({ member, matchedBy } = match);
+    }
+
+    const bankKey = asText(cell("bankAccount"));
+    const bank = bankKey
+      ? banks.find((b) => b.accountNumber === bankKey)
+      : defaultBank;
+    if (!bank) {
+      errors.push(
+        bankKey
+          ? `No society bank account numbered "${bankKey}".`
+          : "No bank account given and no mother account exists.",
+      );
+    }
+
+    if (!isNaN(date)) {
+      const closed = await findClosedPeriodFor(date);
+      if (closed) errors.push(`${periodLabel(closed)} is closed.`);
+    }
+
+    prepared.push({
+      row: row.rowNumber,
+      status: unmatched ? "unmatched" : errors.length ? "invalid" : "ready",
+      kind,
+      amount,
+      date: isNaN(date) ? null : date,
+      month,
+      year,
+      category:
+        kind === "expense"
+          ? asText(cell("category")) || "General Expense"
+          : kind,
+      remarks: asText(cell("remarks")),
+      member: member ? { id: member._id, name: member.name, matchedBy } : null,
+      bank: bank
+        ? { id: bank._id, name: bank.bankName, number: bank.accountNumber }
+        : null,
+      errors,
+    });
+  }
+
+  // Rows already posted by an earlier import are never posted twice
+  const dated = prepared.filter((r) => r.date);
+  if (dated.length > 0) {
+    const times = dated.map((r) => r.date.getTime());
+    const imported = await importedKeys(
+      new Date(Math.min(...times)),
+      new Date(Math.max(...times)),
+    );
+    for (const entry of dated) {
+      if (entry.status === "unmatched" || !entry.bank) continue;
+      const previous = imported.get(
+        entryKey({
+          user: entry.member?.id,
+          category: entry.category,
+          amount: entry.amount,
+          date: entry.date,
+          bankAccount: entry.bank.id,
+        }),
+      );
+      if (previous) {
+        entry.errors.push(`Already imported (import ${previous}).`);
+        entry.status = "duplicate";
+      }
+    }
+  }
+  return prepared;
+};
+
+/**
+ * ✅ POST: Creates and ledger-posts every prepared row inside the caller's
+ * session. Posting re-derives bank balances and User.totalDeposited, and
+ * monthly deposits settle their month in the dues schedule. A member's
+ * stored opening savings is replaced by their imported history, so savings
+ * already counted in totalDeposited are not counted twice. Likewise each
+ * bank's opening (taken from its stored balance) already holds the imported
+ * cash, so the net imported per bank is taken back out of the opening.
+ */
+const postRows = async (prepared, { legacyImport, actor }, session) => {
+  const totals = { deposits: 0, fines: 0, expenses: 0 };
+  const netByBank = new Map();
+
+  const depositors = [
+    ...new Set(
+      prepared
+        .filter((r) => r.kind === "monthly_deposit")
+        .map((r) => String(r.member.id)),
+    ),
+  ];
+  for (const memberId of depositors) {
+    const amount = await ledger.replaceMemberOpening(
+      memberId,
+      session,
+      actor.id,
+    );
+    if (amount > 0) {
+      legacyImport.replacedOpenings.push({ member: memberId, amount });
+    }
+  }
+
+  for (const entry of prepared) {
+    const isExpense = entry.kind === "expense";
+    try {
+      const [tx] = await Transaction.create(
+        [
+          {
+            user: isExpense ? undefined : entry.member.id,
+            type: isExpense ? "expense" : "deposit",
+            category: entry.category,
+            subcategory:
+              entry.kind === "monthly_deposit"
+                ? "Member Monthly Share"
+                : undefined,
+            amount: entry.amount,
+            month: dues.MONTH_NAMES[entry.month - 1],
+            year: entry.year,
+            date: entry.date,
+            bankAccount: entry.bank.id,
+            recordedBy: actor.id,
+            legacyImport: legacyImport._id,
+            remarks: entry.remarks || `Legacy ledger import (row ${entry.row})`,
+          },
+        ],
+        { session },
+      );
+
+      await ledger.postTransaction(tx, session);
+      await dues.settlePayment(tx, session);
+    } catch (error) {
+      error.message = `Row ${entry.row}: ${error.message}`;
+      throw error;
+    }
+
+    if (entry.kind === "monthly_deposit") totals.deposits += entry.amount;
+    else if (entry.kind === "fine_payment") totals.fines += entry.amount;
+    else totals.expenses += entry.amount;
+
+    const bankId = String(entry.bank.id);
+    netByBank.set(
+      bankId,
+      (netByBank.get(bankId) || 0) + (isExpense ? -entry.amount : entry.amount),
+    );
+  }
+
+  // Opening offset per bank (Dr Opening Equity / Cr Bank for net receipts)
+  for (const [bankId, net] of netByBank) {
+    const amount = ledger.roundMoney(-net);
+    if (amount === 0) continue;
+    const date = new Date();
+    const [offset] = await Transaction.create(
+      [
+        {
+          type: "adjustment",
+          category: "opening_balance",
+          subcategory: "Legacy import offset",
+          amount,
+          date,
+          month: dues.MONTH_NAMES[date.getMonth()],
+          year: date.getFullYear(),
+          bankAccount: bankId,
+          recordedBy: actor.id,
+          legacyImport: legacyImport._id,
+          remarks: "Opening balance already included the imported history",
+        },
+      ],
+      { session },
+    );
+    await ledger.postTransaction(offset, session);
+    legacyImport.bankOpeningAdjustments.push({ bankAccount: bankId, amount });
+  }
+  return totals;
+};
+
+module.exports = { DEFAULT_COLUMNS, prepareRows, postRows };
@@ -0,0 +1,213 @@
+const mongoose = require("mongoose");
+const Loan = require("../models/Loan");
+const User = require("../models/User");
+const { roundMoney } = require("./ledgerService");
+const { loanPosition } = require("./loanService");
+const { getSettings } = require("./settingsService");
+const fines = require("./fineService");
+
+const MEMBER_FIELDS =
+  "name phone role status branch joiningDate shares monthlySubscription totalDeposited";
+
+// Loans that still tie up society money: approved (about to be paid out) or active
+const OPEN_STATUSES = ["approved", "active"];
+
+// Principal still owed on an open loan (full principal until disbursed)
+const principalAtRisk = (loan) =>
+  loan.status === "active"
+    ? loanPosition(loan).principalOutstanding
+    : loan.principal || 0;
+
+const monthsBetween = (from, to) => {
+  const a = new Date(from);
+  const b = new Date(to);
+  let months =
+    (b.getFullYear() - a.getFullYear()) * 12 + b.getMonth() - a.getMonth();
+  if (b.getDate() < a.getDate()) months -= 1;
+  return Math.max(0, months);
+};
+
+/**
+ * What a member already guarantees: each open loan's outstanding principal
+ * is shared equally between its guarantors.
+ */
+const guaranteeExposureOf = async (memberIds, { excludeLoanId } = {}) => {
+  const loans = await Loan.find({
+    guarantors: { $in: memberIds },
+    status: { $in: OPEN_STATUSES },
+    ...(excludeLoanId ? { _id: { $ne: excludeLoanId } } : {}),
+  }).lean();
+
+  const exposure = new Map(memberIds.map((id) => [String(id), 0]));
+  for (const loan of loans) {
+    const share = principalAtRisk(loan) / loan.guarantors.length;
+    for (const g of loan.guarantors) {
+      if (exposure.has(String(g))) {
+        exposure.set(String(g), roundMoney(exposure.get(String(g)) + share));
+      }
+    }
+  }
+  return exposure;
+};
+
+/**
+ * ✅ LOAN ELIGIBILITY
+ * Borrower: active member for at least `minMembershipMonths`, no more open
+ * loans than `maxActiveLoans`, outstanding fines within `maxOutstandingFine`,
+ * and a ceiling of savings × `savingsMultiple` less what they already owe
+ * and what they already guarantee for others.
+ * Guarantors: active members (not the borrower) whose combined exposure,
+ * including an equal share of this loan, stays within savings ×
+ * `guarantorExposureMultiple`.
+ *
+ * `excludeLoanId` leaves the loan being approved out of the existing figures.
+ */
+const assessEligibility = async (
+  memberId,
+  { amount, guarantorIds = [], excludeLoanId = null, asOf = new Date() } = {},
+) => {
+  const { loanPolicy: policy } = await getSettings();
+  const requestedAmount = roundMoney(amount || 0);
+  const reasons = [];
+
+  const member = mongoose.isValidObjectId(memberId)
+    ? await User.findById(memberId).select(MEMBER_FIELDS).lean()
+    : null;
+  if (!member || member.role !== "member") {
+    return {
+      eligible: false,
+      maxAmount: 0,
+      requestedAmount,
+      reasons: ["Member not found."],
+    };
+  }
+
+  const savings = roundMoney(member.totalDeposited || 0);
+  const membershipMonths = member.joiningDate
+    ? monthsBetween(member.joiningDate, asOf)
+    : 0;
+
+  const [openLoans, exposure, outstandingFine] = await Promise.all([
+    Loan.find({
+      member: member._id,
+      status: { $in: OPEN_STATUSES },
+      ...(excludeLoanId ? { _id: { $ne: excludeLoanId } } : {}),
+    }).lean(),
+    guaranteeExposureOf([member._id], { excludeLoanId }),
+    fines.outstandingFineOf(member),
+  ]);
+  const existingPrincipal = roundMoney(
+    openLoans.reduce((sum, loan) => sum + principalAtRisk(loan), 0),
+  );
+  const guaranteeing = exposure.get(String(member._id)) || 0;
+
+  const ceiling = roundMoney(savings * policy.savingsMultiple);
+  const maxAmount = Math.max(
+    0,
+    roundMoney(ceiling - existingPrincipal - guaranteeing),
+  );
+
+  // Borrower checks
+  if (member.status !== "active") {
+    reasons.push("Membership is not active.");
+  }
+  if (membershipMonths < policy.minMembershipMonths) {
+    reasons.push(
+      `Membership of ${membershipMonths} month(s) is below the required ${policy.minMembershipMonths}.`,
+    );
+  }
+  if (openLoans.length >= policy.maxActiveLoans) {
+    reasons.push(
+      `Already has ${openLoans.length} open loan(s); the limit is ${policy.maxActiveLoans}.`,
+    );
+  }
+  if (outstandingFine > policy.maxOutstandingFine) {
+    reasons.push(
+      `Outstanding fine of ৳${outstandingFine.toLocaleString()} must be cleared first.`,
+    );
+  }
+  if (maxAmount <= 0) {
+    reasons.push("No borrowing capacity left against current savings.");
+  } else if (requestedAmount > maxAmount) {
+    reasons.push(
+      `Requested ৳${requestedAmount.toLocaleString()} exceeds the maximum of ৳${maxAmount.toLocaleString()}.`,
+    );
+  }
+
+  // Guarantor checks
+  const uniqueIds = [...new Set([].concat(guarantorIds || []).map(String))];
+  if (uniqueIds.length < policy.minGuarantors) {
+    reasons.push(`At least ${policy.minGuarantors} guarantor(s) are required.`);
+  }
+
+  const validIds = uniqueIds.filter((id) => mongoose.isValidObjectId(id));
+  const [guarantorUsers, guarantorExposure] = await Promise.all([
+    User.find({ _id: { $in: validIds } })
+      .select(MEMBER_FIELDS)
+      .lean(),
+    guaranteeExposureOf(validIds, { excludeLoanId }),
+  ]);
+  const shareOfThisLoan = uniqueIds.length
+    ? roundMoney(requestedAmount / uniqueIds.length)
+    : 0;
+
+  const guarantors = uniqueIds.map((id) => {
+    const user = guarantorUsers.find((u) => String(u._id) === id);
+    let reason = null;
+    if (!user || user.role !== "member") {
+      reason = "Not a member.";
+    } else if (id === String(member._id)) {
+      reason = "A member cannot guarantee their own loan.";
+    } else if (user.status !== "active") {
+      reason = "Membership is not active.";
+    }
+
+    const guarantorSavings = roundMoney(user?.totalDeposited || 0);
+    const existingExposure = guarantorExposure.get(id) || 0;
+    const combinedExposure = roundMoney(existingExposure + shareOfThisLoan);
+    const limit = roundMoney(
+      guarantorSavings * policy.guarantorExposureMultiple,
+    );
+    if (!reason && combinedExposure > limit) {
+      reason = `Combined guarantee exposure ৳${combinedExposure.toLocaleString()} exceeds the limit of ৳${limit.toLocaleString()}.`;
+    }
+    if (reason) {
+      reasons.push(`Guarantor ${user?.name || id}: ${reason}`);
+    }
+
+    return {
+      member: id,
+      name: user?.name || null,
+      savings: guarantorSavings,
+      existingExposure,
+      shareOfThisLoan,
+      combinedExposure,
+      limit,
+      eligible: !reason,
+      reason,
+    };
+  });
+
+  return {
+    eligible: reasons.length === 0,
+    maxAmount,
+    requestedAmount,
+    reasons,
+    figures: {
+      savings,
+      savingsMultiple: policy.savingsMultiple,
+      membershipMonths,
+      outstandingFine,
+      openLoans: openLoans.length,
+      existingPrincipal,
+      guaranteeing,
+    },
+    guarantors,
+    assessedAt: new Date(),
+  };
+};
+
+module.exports = {
+  guaranteeExposureOf,
+  assessEligibility,
+};
@@ -0,0 +1,324 @@
+const Loan = require("../models/Loan");
+const { roundMoney } = require("./ledgerService");
+const httpError = require("../utils/httpError");
+
+const DAY = 24 * 60 * 60 * 1000;
+const INTEREST_METHODS = ["flat", "declining"];
+
+// Same day next month(s), clamped to the month's last day (31 Jan → 28 Feb)
+const addMonths = (date, count) => {
+  const d = new Date(date);
+  const target = new Date(d.getFullYear(), d.getMonth() + count, 1);
+  const lastDay = new Date(
+    target.getFullYear(),
+    target.getMonth() + 1,
+    0,
+  ).getDate();
+  target.setDate(Math.min(d.getDate(), lastDay));
+  return target;
+};
+
+/**
+ * ✅ EMI SCHEDULE
+ * flat:      interest on the full principal for the whole tenure, spread
+ *            evenly; every installment repays an equal share of principal.
+ * declining: equal monthly installments (annuity) where each month's
+ *            interest is charged on the principal still outstanding.
+ * Rounding differences are absorbed by the last installment.
+ */
+const buildSchedule = ({
+  principal,
+  interestRate,
+  interestMethod,
+  tenureMonths,
+  startDate,
+}) => {
+  const P = roundMoney(principal);
+  const n = Number(tenureMonths);
+  const rate = Number(interestRate) || 0;
+  if (!(P > 0) || !(n >= 1) || rate < 0) {
+    throw httpError(400, "Invalid loan terms.");
+  }
+
+  const schedule = [];
+  let balance = P;
+
+  if (interestMethod === "declining") {
+    const i = rate / 1200;
+    const emi =
+      i > 0
+        ? roundMoney((P * i * Math.pow(1 + i, n)) / (Math.pow(1 + i, n) - 1))
+        : roundMoney(P / n);
+
+    for (let k = 1; k <= n; k++) {
+      const interest = roundMoney(balance * i);
+      const part = k === n ? balance : roundMoney(emi - interest);
+      balance = roundMoney(balance - part);
+      schedule.push({ principal: part, interest });
+    }
+  } else {
+    const totalInterest = roundMoney((P * rate * n) / 1200);
+    const part = roundMoney(P / n);
+    const interest = roundMoney(totalInterest / n);
+
+    for (let k = 1; k <= n; k++) {
+      const last = k === n;
+      schedule.push({
+        principal: last ? roundMoney(P - part * (n - 1)) : part,
+        interest: last
+          ? roundMoney(totalInterest - interest * (n - 1))
+          : interest,
+      });
+    }
+  }
+
+  return schedule.map((row, idx) => ({
+    installmentNo: idx + 1,
+    dueDate: addMonths(startDate, idx + 1),
+    principal: row.principal,
+    interest: row.interest,
+    emi: roundMoney(row.principal + row.interest),
+    paidPrincipal: 0,
+    paidInterest: 0,
+    paidPenalty: 0,
+    status: "pending",
+  }));
+};
+
+/**
+ * Late penalty still owed on one installment: latePenaltyRate % of the
+ * unpaid EMI for every started month past the due date (after the grace
+ * days), less what was already collected.
+ */
+const penaltyFor = (installment, loan, asOf = new Date()) => {
+  const unpaid = roundMoney(
+    installment.emi - installment.paidPrincipal - installment.paidInterest,
+  );
+  if (unpaid <= 0 || !loan.latePenaltyRate) return 0;
+
+  const lateFrom =
+    new Date(installment.dueDate).getTime() + (loan.lateGraceDays || 0) * DAY;
+  const lateDays = (new Date(asOf).getTime() - lateFrom) / DAY;
+  if (lateDays <= 0) return 0;
+
+  const accrued = roundMoney(
+    (unpaid * loan.latePenaltyRate * Math.ceil(lateDays / 30)) / 100,
+  );
+  return Math.max(0, roundMoney(accrued - installment.paidPenalty));
+};
+
+/**
+ * Outstanding position of a loan on a date, per installment and in total.
+ */
+const loanPosition = (loan, asOf = new Date()) => {
+  const installments = (loan.schedule || []).map((inst) => {
+    const principalDue = roundMoney(inst.principal - inst.paidPrincipal);
+    const interestDue = roundMoney(
+      inst.interest - inst.paidInterest - (inst.waivedInterest || 0),
+    );
+    return {
+      installmentNo: inst.installmentNo,
+      dueDate: inst.dueDate,
+      emi: inst.emi,
+      principal: inst.principal,
+      interest: inst.interest,
+      paidPrincipal: inst.paidPrincipal,
+      paidInterest: inst.paidInterest,
+      paidPenalty: inst.paidPenalty,
+      principalDue,
+      interestDue,
+      penaltyDue: penaltyFor(inst, loan, asOf),
+      status: inst.status,
+      paidDate: inst.paidDate,
+      isOverdue:
+        inst.status !== "paid" && new Date(inst.dueDate) < new Date(asOf),
+    };
+  });
+
+  const sum = (rows, key) =>
+    roundMoney(rows.reduce((total, row) => total + row[key], 0));
+  const overdue = installments.filter((i) => i.isOverdue);
+  const principalOutstanding = sum(installments, "principalDue");
+  const interestOutstanding = sum(installments, "interestDue");
+  const penaltyDue = sum(installments, "penaltyDue");
+
+  return {
+    principalOutstanding,
+    interestOutstanding,
+    penaltyDue,
+    totalPayable: roundMoney(
+      principalOutstanding + interestOutstanding + penaltyDue,
+    ),
+    overdueInstallments: overdue.length,
+    overdueAmount: roundMoney(
+      sum(overdue, "principalDue") + sum(overdue, "interestDue") + penaltyDue,
+    ),
+    nextInstallment: installments.find((i) => i.status !== "paid") || null,
+    installments,
+  };
+};
+
+/**
+ * Splits a repayment over the oldest unpaid installments: penalty first,
+ * then interest, then principal, installment by installment.
+ */
+const allocateRepayment = (loan, amount, asOf = new Date()) => {
+  let remaining = roundMoney(amount);
+  const allocations = [];
+
+  for (const inst of loan.schedule) {
+    if (remaining <= 0) break;
+    if (inst.status === "paid") continue;
+
+    const take = (due) => {
+      const applied = roundMoney(Math.min(remaining, Math.max(0, due)));
+      remaining = roundMoney(remaining - applied);
+      return applied;
+    };
+    const penalty = take(penaltyFor(inst, loan, asOf));
+    const interest = take(inst.interest - inst.paidInterest);
+    const principal = take(inst.principal - inst.paidPrincipal);
+
+    if (penalty || interest || principal) {
+      allocations.push({
+        installmentNo: inst.installmentNo,
+        penalty,
+        interest,
+        principal,
+      });
+    }
+  }
+
+  return { allocations, unallocated: remaining };
+};
+
+/**
+ * Applies allocations to the loan document (not saved) and closes the loan
+ * once every installment is paid.
+ */
+const applyRepayment = (loan, allocations, date) => {
+  for (const a of allocations) {
+    const inst = loan.schedule.find((i) => i.installmentNo === a.installmentNo);
+    inst.paidPenalty = roundMoney(inst.paidPenalty + a.penalty);
+    inst.paidInterest = roundMoney(inst.paidInterest + a.interest);
+    inst.paidPrincipal = roundMoney(inst.paidPrincipal + a.principal);
+
+    const settled =
+      inst.paidInterest >= inst.interest &&
+      inst.paidPrincipal >= inst.principal;
+    inst.status = settled ? "paid" : "partial";
+    if (settled) inst.paidDate = date;
+  }
+
+  if (loan.schedule.every((i) => i.status === "paid")) {
+    loan.status = "closed";
+    loan.closedAt = date;
+  }
+  return loan;
+};
+
+/**
+ * Early settlement quote: all remaining principal, interest only on
+ * installments already due, and any late penalty. Interest on future
+ * installments is forgiven.
+ */
+const payoffQuote = (loan, asOf = new Date()) => {
+  const allocations = [];
+  let waivedInterest = 0;
+
+  for (const inst of loan.schedule) {
+    if (inst.status === "paid") continue;
+    const openInterest = roundMoney(inst.interest - inst.paidInterest);
+    const isDue = new Date(inst.dueDate) <= new Date(asOf);
+    if (!isDue) waivedInterest = roundMoney(waivedInterest + openInterest);
+
+    allocations.push({
+      installmentNo: inst.installmentNo,
+      penalty: penaltyFor(inst, loan, asOf),
+      interest: isDue ? openInterest : 0,
+      principal: roundMoney(inst.principal - inst.paidPrincipal),
+    });
+  }
+
+  const sum = (key) =>
+    roundMoney(allocations.reduce((total, a) => total + a[key], 0));
+  const principal = sum("principal");
+  const interest = sum("interest");
+  const penalty = sum("penalty");
+  return {
+    allocations,
+    principal,
+    interest,
+    penalty,
+    waivedInterest,
+    total: roundMoney(principal + interest + penalty),
+  };
+};
+
+/**
+ * Applies a payoff quote to the loan document (not saved): every
+ * installment is settled, forgiven interest recorded, and the loan closed.
+ */
+const applyPayoff = (loan, quote, date) => {
+  applyRepayment(loan, quote.allocations, date);
+  for (const inst of loan.schedule) {
+    if (inst.status === "paid") continue;
+    inst.waivedInterest = roundMoney(inst.interest - inst.paidInterest);
+    inst.status = "paid";
+    inst.paidDate = date;
+  }
+  loan.status = "closed";
+  loan.closedAt = date;
+  return loan;
+};
+
+/**
+ * Loans of one member with their positions, plus totals for dashboards.
+ */
+const memberLoanSummary = async (memberId, asOf = new Date()) => {
+  const loans = await Loan.find({ member: memberId })
+    .sort({ appliedAt: -1 })
+    .populate("guarantors", "name phone")
+    .populate("bankAccount", "bankName accountNumber")
+    .lean();
+
+  const views = loans.map((loan) => ({
+    ...loan,
+    position: loan.status === "active" ? loanPosition(loan, asOf) : null,
+  }));
+  const active = views.filter((l) => l.status === "active");
+  const total = (key) =>
+    roundMoney(active.reduce((sum, l) => sum + l.position[key], 0));
+  const upcoming = active
+    .map(
+      (l) =>
+        l.position.nextInstallment && {
+          loan: l._id,
+          ...l.position.nextInstallment,
+        },
+    )
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+  return {
+    activeLoans: active.length,
+    principalOutstanding: total("principalOutstanding"),
+    totalPayable: total("totalPayable"),
+    overdueAmount: total("overdueAmount"),
+    nextInstallment: upcoming[0] || null,
+    loans: views,
+  };
+};
+
+module.exports = {
+  INTEREST_METHODS,
+  addMonths,
+  buildSchedule,
+  penaltyFor,
+  loanPosition,
+  allocateRepayment,
+  applyRepayment,
+  payoffQuote,
+  applyPayoff,
+  memberLoanSummary,
+};
@@ -0,0 +1,137 @@
+const AccountingPeriod = require("../models/AccountingPeriod");
+const BankAccount = require("../models/BankAccount");
+const JournalEntry = require("../models/JournalEntry");
+const User = require("../models/User");
+const ledger = require("./ledgerService");
+const httpError = require("../utils/httpError");
+
+/**
+ * First and last instant of a month (1-12) or, when month is null, a year.
+ */
+const periodBounds = (year, month = null) => {
+  const start = month ? new Date(year, month - 1, 1) : new Date(year, 0, 1);
+  const end = month
+    ? new Date(year, month, 0, 23, 59, 59, 999)
+    : new Date(year, 11, 31, 23, 59, 59, 999);
+  return { start, end };
+};
+
+const periodLabel = ({ year, month }) =>
+  month
+    ? `${new Date(year, month - 1, 1).toLocaleString("default", { month: "long" })} ${year}`
+    : `Fiscal Year ${year}`;
+
+/**
+ * Returns the closed period (month or whole year) covering a date, if any.
+ */
+const findClosedPeriodFor = async (date, session) => {
+  const d = new Date(date || Date.now());
+  return AccountingPeriod.findOne({
+    status: "closed",
+    year: d.getFullYear(),
+    month: { $in: [d.getMonth() + 1, null] },
+  }).session(session || null);
+};
+
+/**
+ * 🔒 PERIOD LOCK GUARD
+ * Throws (statusCode 423) when the date falls inside a closed period.
+ */
+const assertPeriodOpen = async (date, session) => {
+  const closed = await findClosedPeriodFor(date, session);
+  if (!closed) return;
+
+  throw httpError(
+    423,
+    `${periodLabel(closed)} is closed. Entries dated ${new Date(date).toLocaleDateString("en-GB")} cannot be created, changed or deleted until the period is reopened.`,
+  );
+};
+
+/**
+ * Bank balances and member savings as of a cut-off date, read from the ledger.
+ * Members whose savings have never been posted to the ledger are carried at
+ * their stored pre-ledger total.
+ */
+const buildSnapshot = async (asOf, postedBy) => {
+  const banks = await BankAccount.find().sort({ isMotherAccount: -1 });
+
+  const bankBalances = [];
+  for (const bank of banks) {
+    const account = await ledger.getBankLedgerAccount(bank._id, null, postedBy);
+    bankBalances.push({
+      bankAccount: bank._id,
+      bankName: bank.bankName,
+      accountNumber: bank.accountNumber,
+      balance: await ledger.getAccountBalance(account._id, { asOf }),
+    });
+  }
+
+  const savingsAccount = await ledger.getSystemAccount("MEMBER_SAVINGS");
+  const [ledgerSavings, everPosted] = await Promise.all([
+    JournalEntry.aggregate([
+      { $match: { date: { $lte: asOf }, "lines.account": savingsAccount._id } },
+      { $unwind: "$lines" },
+      {
+        $match: {
+          "lines.account": savingsAccount._id,
+          "lines.member": { $ne: null },
+        },
+      },
+      {
+        $group: {
+          _id: "$lines.member",
+          balance: { $sum: { $subtract: ["$lines.credit", "$lines.debit"] } },
+        },
+      },
+    ]),
+    JournalEntry.distinct("lines.member", {
+      "lines.account": savingsAccount._id,
+    }),
+  ]);
+
+  const legacyMembers = await User.find({
+    _id: { $nin: everPosted.filter(Boolean) },
+    totalDeposited: { $gt: 0 },
+  }).select("totalDeposited");
+
+  const memberSavings = [
+    ...ledgerSavings.map((m) => ({
+      user: m._id,
+      balance: ledger.roundMoney(m.balance),
+    })),
+    ...legacyMembers.map((u) => ({
+      user: u._id,
+      balance: ledger.roundMoney(u.totalDeposited),
+    })),
+  ];
+
+  return {
+    asOf,
+    bankBalances,
+    memberSavingsTotal: ledger.roundMoney(
+      memberSavings.reduce((sum, m) => sum + m.balance, 0),
+    ),
+    memberSavings,
+  };
+};
+
+/**
+ * Latest closing snapshot taken on or before a date; statements and reports
+ * start from here instead of replaying the whole history.
+ */
+const getLatestClosing = async (date = new Date()) =>
+  AccountingPeriod.findOne({
+    status: "closed",
+    "snapshot.asOf": { $lte: new Date(date) },
+  })
+    .sort({ "snapshot.asOf": -1 })
+    .lean();
+
+module.exports = {
+  periodBounds,
+  periodLabel,
+  findClosedPeriodFor,
+  assertPeriodOpen,
+  buildSnapshot,
+  getLatestClosing,
+};
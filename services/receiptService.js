@@ -0,0 +1,151 @@
+const Receipt = require("../models/Receipt");
+const Transaction = require("../models/Transaction");
+const ReceiptCounter = require("../models/ReceiptCounter");
+
+// Fiscal years follow the calendar year, as accounting periods do
+const fiscalYearOf = (date = new Date()) => new Date(date).getFullYear();
+
+const formatReceiptNo = (fiscalYear, sequence) =>
+  `MS-${fiscalYear}-${String(sequence).padStart(6, "0")}`;
+
+/**
+ * Reserves the next sequence for a fiscal year inside the caller's session.
+ * If the session aborts the increment rolls back with it, so numbers stay
+ * gap-free and no number is ever handed out twice.
+ */
+const nextSequence = async (fiscalYear, session) => {
+  const counter = await ReceiptCounter.findOneAndUpdate(
+    { fiscalYear },
+    { $inc: { lastSequence: 1 } },
+    { new: true, upsert: true, session },
+  );
+  return counter.lastSequence;
+};
+
+/**
+ * ✅ ISSUE RECEIPT
+ * Creates a numbered receipt for a collection posted in the same session.
+ */
+const issueReceipt = async (
+  {
+    kind,
+    member,
+    receivedFrom,
+    amount,
+    bankAccount,
+    transactions,
+    lines,
+    remarks,
+    issuedBy,
+    replaces,
+  },
+  session,
+) => {
+  const issuedAt = new Date();
+  const fiscalYear = fiscalYearOf(issuedAt);
+  const sequence = await nextSequence(fiscalYear, session);
+
+  const [receipt] = await Receipt.create(
+    [
+      {
+        receiptNo: formatReceiptNo(fiscalYear, sequence),
+        fiscalYear,
+        sequence,
+        kind,
+        member,
+        receivedFrom,
+        amount,
+        bankAccount,
+        transactions,
+        lines,
+        remarks,
+        issuedBy,
+        issuedAt,
+        replaces,
+      },
+    ],
+    { session },
+  );
+  return receipt;
+};
+
+/**
+ * Cancels the receipts covering a voided transaction. The number stays
+ * taken, so the paper trail shows the gap was a cancellation. A receipt that
+ * also covers postings still on the ledger (e.g. the other months of a
+ * deposit) is replaced by a new numbered receipt for those postings only.
+ * Call after the transaction has been marked voided. Returns the
+ * replacement receipts.
+ */
+const cancelReceiptsFor = async (
+  transaction,
+  { cancelledBy, reason },
+  session,
+) => {
+  const affected = await Receipt.find({
+    transactions: transaction._id,
+    status: "issued",
+  }).session(session);
+
+  const replacements = [];
+  for (const receipt of affected) {
+    receipt.status = "cancelled";
+    receipt.cancelledBy = cancelledBy;
+    receipt.cancelledAt = new Date();
+    receipt.cancelReason = reason;
+
+    const remaining = await Transaction.find({
+      _id: { $in: receipt.transactions },
+      status: "posted",
+    })
+      .select("amount remarks")
+      .session(session);
+
+    if (remaining.length > 0) {
+      const kept = new Set(remaining.map((t) => String(t._id)));
+      // Receipts issued before lines carried their posting are rebuilt from the postings
+      const linked = receipt.lines.every((l) => l.transaction);
+      const lines = linked
+        ? receipt.lines
+            .filter((l) => kept.has(String(l.transaction)))
+            .map((l) => ({
+              label: l.label,
+              amount: l.amount,
+              transaction: l.transaction,
+            }))
+        : remaining.map((t) => ({
+            label: t.remarks,
+            amount: t.amount,
+            transaction: t._id,
+          }));
+
+      const replacement = await issueReceipt(
+        {
+          kind: receipt.kind,
+          member: receipt.member,
+          receivedFrom: receipt.receivedFrom,
+          amount: remaining.reduce((sum, t) => sum + t.amount, 0),
+          bankAccount: receipt.bankAccount,
+          transactions: remaining.map((t) => t._id),
+          lines,
+          remarks: `Replaces ${receipt.receiptNo} after a partial void: ${reason}`,
+          issuedBy: cancelledBy,
+          replaces: receipt._id,
+        },
+        session,
+      );
+      receipt.replacedBy = replacement._id;
+      replacements.push(replacement);
+    }
+
+    await receipt.save({ session });
+  }
+  return replacements;
+};
+
+module.exports = {
+  fiscalYearOf,
+  formatReceiptNo,
+  issueReceipt,
+  cancelReceiptsFor,
+};
@@ -0,0 +1,68 @@
+const SocietySetting = require("../models/SocietySetting");
+const httpError = require("../utils/httpError");
+
+const DEFAULT_SHARE_PRICE = 1000;
+
+/**
+ * Stored settings, or an unsaved default document when none exists yet.
+ */
+const getSettings = async (session = null) =>
+  (await SocietySetting.findOne().session(session)) || new SocietySetting();
+
+/**
+ * Builds a synchronous lookup `(year, month) => share price` from the
+ * effective-dated history, so loops over many months need one query.
+ */
+const loadSharePriceTable = async (session = null) => {
+  const settings = await getSettings(session);
+  const versions = [...settings.sharePriceHistory].sort(
+    (a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom),
+  );
+
+  return (year, month) => {
+    const monthStart = new Date(year, month - 1, 1);
+    let price = versions[0]?.price || DEFAULT_SHARE_PRICE;
+    for (const version of versions) {
+      if (new Date(version.effectiveFrom) <= monthStart) price = version.price;
+    }
+    return price;
+  };
+};
+
+/**
+ * Share price in force for a month (defaults to the current month).
+ */
+const sharePriceFor = async (
+  year = new Date().getFullYear(),
+  month = new Date().getMonth() + 1,
+  session = null,
+) => (await loadSharePriceTable(session))(year, month);
+
+/**
+ * Validates a share count against the subscription rules.
+ */
+const assertShareCount = async (shares) => {
+  const settings = await getSettings();
+  const count = parseInt(shares);
+  if (!count || count < settings.minSharesPerMember) {
+    throw httpError(
+      400,
+      `A member must hold at least ${settings.minSharesPerMember} share(s).`,
+    );
+  }
+  if (settings.maxSharesPerMember && count > settings.maxSharesPerMember) {
+    throw httpError(
+      400,
+      `A member may hold at most ${settings.maxSharesPerMember} share(s).`,
+    );
+  }
+  return count;
+};
+
+module.exports = {
+  DEFAULT_SHARE_PRICE,
+  getSettings,
+  loadSharePriceTable,
+  sharePriceFor,
+  assertShareCount,
+};
@@ -0,0 +1,172 @@
+const mongoose = require("mongoose");
+const JournalEntry = require("../models/JournalEntry");
+const Transaction = require("../models/Transaction");
+const User = require("../models/User");
+const ledger = require("./ledgerService");
+const dues = require("./duesService");
+const fines = require("./fineService");
+const httpError = require("../utils/httpError");
+
+/**
+ * Parses `from`/`to` (YYYY-MM-DD). Defaults to the calendar year to date.
+ */
+const parseRange = ({ from, to } = {}) => {
+  const now = new Date();
+  const start = from ? new Date(from) : new Date(now.getFullYear(), 0, 1);
+  const end = to ? new Date(to) : now;
+  if (isNaN(start) || isNaN(end)) {
+    throw httpError(400, "from/to must be valid dates (YYYY-MM-DD).");
+  }
+  start.setHours(0, 0, 0, 0);
+  end.setHours(23, 59, 59, 999);
+  if (end < start) throw httpError(400, "The statement ends before it starts.");
+  return { start, end };
+};
+
+/**
+ * Gross fine the engine had accrued by a date, and the payments and waivers
+ * recorded by then.
+ */
+const fineStandingAt = async (member, schedule, asOf) => {
+  const [policyAt, exemptionsFor, reductions] = await Promise.all([
+    fines.loadPolicyTable(),
+    fines.loadExemptionTable(),
+    Transaction.aggregate([
+      {
+        $match: {
+          user: member._id,
+          category: { $in: ["fine_waiver", "fine_payment"] },
+          date: { $lte: asOf },
+        },
+      },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]),
+  ]);
+  const reduced = reductions[0]?.total || 0;
+  const calc = fines.calculateFine(schedule, policyAt, reduced, {
+    asOf,
+    exemptAt: exemptionsFor(member),
+  });
+  return { gross: calc.grossFine, outstanding: calc.fine };
+};
+
+/**
+ * ✅ MEMBER STATEMENT
+ * Savings movements come from the member's Member Savings ledger lines, so
+ * the running balance always agrees with User.totalDeposited. Fines are
+ * summarised from the fine engine as of the start and end of the range.
+ */
+const buildMemberStatement = async (memberId, range) => {
+  const { start, end } = parseRange(range);
+
+  const member = await User.findById(memberId)
+    .select("name phone email branch shares joiningDate status totalDeposited")
+    .lean();
+  if (!member) throw httpError(404, "Member not found.");
+
+  const savings = await ledger.getSystemAccount("MEMBER_SAVINGS");
+  const hasLedgerLines = await JournalEntry.exists({
+    lines: { $elemMatch: { account: savings._id, member: member._id } },
+  });
+
+  // Savings never posted to the ledger are carried at the stored total
+  const openingBalance = hasLedgerLines
+    ? -(await ledger.getAccountBalance(savings._id, {
+        member: member._id,
+        asOf: new Date(start.getTime() - 1),
+      }))
+    : member.totalDeposited || 0;
+
+  // Savings lines inside the range, oldest first
+  const entries = await JournalEntry.aggregate([
+    {
+      $match: {
+        date: { $gte: start, $lte: end },
+        "lines.account": savings._id,
+      },
+    },
+    { $unwind: "$lines" },
+    {
+      $match: {
+        "lines.account": savings._id,
+        "lines.member": new mongoose.Types.ObjectId(String(member._id)),
+      },
+    },
+    { $sort: { date: 1, createdAt: 1 } },
+    {
+      $lookup: {
+        from: "transactions",
+        localField: "transaction",
+        foreignField: "_id",
+        as: "tx",
+      },
+    },
+  ]);
+
+  let balance = openingBalance;
+  let totalCredits = 0;
+  let totalDebits = 0;
+  const rows = entries.map((entry) => {
+    const tx = entry.tx[0];
+    const credit = entry.lines.credit || 0;
+    const debit = entry.lines.debit || 0;
+    balance = ledger.roundMoney(balance + credit - debit);
+    totalCredits += credit;
+    totalDebits += debit;
+
+    return {
+      date: entry.date,
+      description:
+        tx?.remarks || entry.lines.memo || entry.description || "Entry",
+      reference: tx
+        ? `${tx.category}${tx.month ? ` ${tx.month} ${tx.year}` : ""}`
+        : "journal",
+      status: tx?.status || "posted",
+      credit,
+      debit,
+      balance,
+    };
+  });
+
+  // Fines: accrued, paid and waived inside the range
+  const schedule =
+    (await dues.loadSchedules([member])).get(String(member._id)) || [];
+  const [before, after, movements] = await Promise.all([
+    fineStandingAt(member, schedule, new Date(start.getTime() - 1)),
+    fineStandingAt(member, schedule, end),
+    Transaction.aggregate([
+      {
+        $match: {
+          user: member._id,
+          category: { $in: ["fine_waiver", "fine_payment"] },
+          date: { $gte: start, $lte: end },
+        },
+      },
+      { $group: { _id: "$category", total: { $sum: "$amount" } } },
+    ]),
+  ]);
+  const movement = (category) =>
+    movements.find((m) => m._id === category)?.total || 0;
+
+  return {
+    member,
+    period: { from: start, to: end },
+    openingBalance,
+    rows,
+    totals: {
+      credits: ledger.roundMoney(totalCredits),
+      debits: ledger.roundMoney(totalDebits),
+    },
+    closingBalance: balance,
+    fines: {
+      openingDue: before.outstanding,
+      accrued: Math.max(0, after.gross - before.gross),
+      paid: movement("fine_payment"),
+      waived: movement("fine_waiver"),
+      closingDue: after.outstanding,
+    },
+    generatedAt: new Date(),
+  };
+};
+
+module.exports = { parseRange, buildMemberStatement };
@@ -2,6 +2,7 @@ const cron = require("node-cron");
 const User = require("../models/User");
 const Transaction = require("../models/Transaction");
 const sendEmail = require("./sendEmail");
+const { ensureSchedules } = require("../services/duesService");
 
 // Schedule: Runs at 00:00 on day 1 of every month
 const monthlySummaryJob = cron.schedule("0 0 1 * *", async () => {
@@ -46,4 +47,18 @@ const monthlySummaryJob = cron.schedule("0 0 1 * *", async () => {
   }
 });
 
+// Schedule: Runs at 00:05 on day 1 of every month
+// Opens the new month's obligation in every active member's dues schedule
+const duesScheduleJob = cron.schedule("5 0 1 * *", async () => {
+  try {
+    const members = await User.find({ status: "active", role: "member" })
+      .select("_id joiningDate shares")
+      .lean();
+    await ensureSchedules(members);
+    console.log(`Dues schedule generated for ${members.length} members.`);
+  } catch (error) {
+    console.error("Dues Schedule Job Error:", error);
+  }
+});
+
 module.exports = monthlySummaryJob;
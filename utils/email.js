@@ -117,7 +117,15 @@ const sendDepositEmail = async (email, data) => {
             <tr>
               <td style="padding: 6px 0; color: #64748b;">Date</td>
               <td style="padding: 6px 0; text-align: right; color: #0f172a; font-weight: 600;">${data.date}</td>
-            </tr>
+            </tr>${
+              data.receiptNo
+                ? `
+            <tr>
+              <td style="padding: 6px 0; color: #64748b;">Receipt No</td>
+              <td style="padding: 6px 0; text-align: right; color: #0f172a; font-weight: 600;">${data.receiptNo}</td>
+            </tr>`
+                : ""
+            }
             <tr style="border-top: 1px solid #e2e8f0;">
               <td style="padding: 12px 0 0; color: #2563eb; font-weight: 700;">Total Savings</td>
               <td style="padding: 12px 0 0; text-align: right; color: #2563eb; font-weight: 800; font-size: 16px;">৳${data.totalBalance.toLocaleString()}</td>
@@ -146,5 +154,60 @@ const sendDepositEmail = async (email, data) => {
   });
 };
 
+// 4. Fine payment receipt
+const sendFineReceiptEmail = async (email, data) => {
+  const rows = data.allocations
+    .map(
+      (a) => `
+            <tr>
+              <td style="padding: 6px 0; color: #64748b;">Fine for ${a.label}</td>
+              <td style="padding: 6px 0; text-align: right; color: #0f172a; font-weight: 600;">৳${a.applied.toLocaleString()}</td>
+            </tr>`,
+    )
+    .join("");
+
+  const html = `
+    <div style="font-family: 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; max-width: 500px; margin: auto; border: 1px solid #e2e8f0; border-radius: 16px; overflow: hidden; background-color: #ffffff;">
+      <div style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); padding: 25px 20px; text-align: center;">
+        <h2 style="color: #ffffff; margin: 0; font-size: 20px; font-weight: 700;">Fine Payment Received</h2>
+        <p style="color: rgba(255,255,255,0.85); margin-top: 4px; font-size: 11px; text-transform: uppercase; letter-spacing: 1.5px; font-weight: 600;">Receipt ${data.receiptNo}</p>
+      </div>
+
+      <div style="padding: 24px 20px;">
+        <p style="font-size: 16px; color: #1e293b; margin-top: 0; margin-bottom: 12px;">Hello <strong>${data.name}</strong>,</p>
+        <p style="font-size: 14px; line-height: 1.5; color: #475569; margin-bottom: 20px;">
+          We have received your late-fine payment of <strong>৳${data.amount.toLocaleString()}</strong> on ${data.date}. It was applied to your oldest fines first.
+        </p>
+
+        <div style="background: #f8fafc; border-radius: 12px; padding: 16px; border: 1px solid #f1f5f9; margin-bottom: 20px;">
+          <table style="width: 100%; border-collapse: collapse; font-size: 13px;">${rows}
+            <tr style="border-top: 1px solid #e2e8f0;">
+              <td style="padding: 12px 0 0; color: #d97706; font-weight: 700;">Fine Still Due</td>
+              <td style="padding: 12px 0 0; text-align: right; color: #d97706; font-weight: 800; font-size: 16px;">৳${data.remainingFine.toLocaleString()}</td>
+            </tr>
+          </table>
+        </div>
+      </div>
+
+      <div style="background-color: #f8fafc; padding: 15px; text-align: center; border-top: 1px solid #f1f5f9;">
+        <p style="font-size: 10px; color: #94a3b8; margin: 0; text-transform: uppercase; letter-spacing: 1px;">
+          Secured by Malibagh Somiti Digital System
+        </p>
+      </div>
+    </div>
+  `;
+
+  await sendEmail({
+    email,
+    subject: `Fine Payment Receipt - ${data.receiptNo}`,
+    html,
+  });
+};
+
 // 3. Export including the new English welcome function
-module.exports = { sendEmail, sendDepositEmail, sendWelcomeEmail };
+module.exports = {
+  sendEmail,
+  sendDepositEmail,
+  sendWelcomeEmail,
+  sendFineReceiptEmail,
+};
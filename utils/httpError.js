@@ -0,0 +1,11 @@
+/**
+ * Error carrying an HTTP status code. Controllers relay `statusCode`
+ * (falling back to 500) and errorMiddleware honours it as well.
+ */
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = httpError;
@@ -1,42 +1,464 @@
 const PDFDocument = require("pdfkit");
 
-exports.generateMemberStatement = (res, member, transactions) => {
-  const doc = new PDFDocument({ margin: 50 });
+/**
+ * ✅ MEMBER ACCOUNT STATEMENT PDF
+ * Renders the object built by statementService.buildMemberStatement: opening
+ * balance, every savings movement with its running balance, the fine summary
+ * and the closing balance. The table header repeats on every page.
+ */
+exports.generateMemberStatement = (res, statement) => {
+  const { member, period, rows, fines } = statement;
+  const doc = new PDFDocument({ size: "A4", margin: 40, bufferPages: true });
+  const fmt = (d) => new Date(d).toLocaleDateString("en-GB");
 
   // Stream the PDF directly to the response for "fast load"
   res.setHeader("Content-Type", "application/pdf");
   res.setHeader(
     "Content-Disposition",
-    `attachment; filename=statement-${member.name}.pdf`,
+    `attachment; filename=statement-${member.phone || member._id}-${fmt(
+      period.from,
+    ).replace(/\//g, "")}-${fmt(period.to).replace(/\//g, "")}.pdf`,
   );
   doc.pipe(res);
 
+  const left = 40;
+  const right = doc.page.width - 40;
+  const columns = [
+    { key: "date", title: "Date", x: left, width: 62 },
+    { key: "description", title: "Description", x: left + 66, width: 215 },
+    {
+      key: "credit",
+      title: "Credit",
+      x: left + 285,
+      width: 75,
+      align: "right",
+    },
+    { key: "debit", title: "Debit", x: left + 364, width: 70, align: "right" },
+    {
+      key: "balance",
+      title: "Balance",
+      x: left + 438,
+      width: 77,
+      align: "right",
+    },
+  ];
+  const money = (n) => (n ? taka(n).replace("BDT ", "") : "-");
+
+  const drawTableHeader = () => {
+    const y = doc.y;
+    doc.fontSize(9).font("Helvetica-Bold");
+    columns.forEach((c) =>
+      doc.text(c.title, c.x, y, { width: c.width, align: c.align || "left" }),
+    );
+    doc.font("Helvetica");
+    doc
+      .moveTo(left, doc.y + 2)
+      .lineTo(right, doc.y + 2)
+      .stroke();
+    doc.moveDown(0.5);
+  };
+
+  const drawRow = (cells) => {
+    const y = doc.y;
+    const height = Math.max(
+      ...columns.map((c) =>
+        doc.heightOfString(String(cells[c.key] ?? ""), { width: c.width }),
+      ),
+    );
+    if (y + height > doc.page.height - 70) {
+      doc.addPage();
+      drawTableHeader();
+      return drawRow(cells);
+    }
+    columns.forEach((c) =>
+      doc.text(String(cells[c.key] ?? ""), c.x, y, {
+        width: c.width,
+        align: c.align || "left",
+      }),
+    );
+    doc.y = y + height + 3;
+  };
+
   // Header - Society Branding
   doc.fontSize(20).text("Malibagh Somiti", { align: "center" });
-  doc.fontSize(10).text("Monthly Transaction Statement", { align: "center" });
+  doc.fontSize(10).text("Member Account Statement", { align: "center" });
+  doc.fontSize(9).text(`Period: ${fmt(period.from)} to ${fmt(period.to)}`, {
+    align: "center",
+  });
   doc.moveDown();
 
   // Member Info
-  doc.fontSize(12).text(`Member Name: ${member.name}`);
-  doc.text(`Branch: ${member.branch}`);
-  doc.text(`Total Shares: ${member.shares}`);
+  doc.fontSize(10).text(`Member Name: ${member.name}`, left);
+  doc.text(`Member ID: ${member.phone || "-"}`);
+  doc.text(`Branch: ${member.branch || "-"}`);
+  doc.text(`Total Shares: ${member.shares || 0}`);
+  doc.text(
+    `Member Since: ${member.joiningDate ? fmt(member.joiningDate) : "-"}`,
+  );
   doc.moveDown();
 
-  // Table-like Header
-  doc
-    .fontSize(12)
-    .text("Date           Type           Amount (BDT)", { underline: true });
+  // Savings ledger
+  drawTableHeader();
+  doc.fontSize(9);
+  drawRow({
+    date: fmt(period.from),
+    description: "Opening balance",
+    balance: money(statement.openingBalance),
+  });
+  rows.forEach((r) =>
+    drawRow({
+      date: fmt(r.date),
+      description:
+        r.status === "voided" ? `${r.description} (voided)` : r.description,
+      credit: money(r.credit),
+      debit: money(r.debit),
+      balance: money(r.balance),
+    }),
+  );
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.moveDown(0.3);
+  doc.font("Helvetica-Bold");
+  drawRow({
+    date: fmt(period.to),
+    description: "Closing balance",
+    credit: money(statement.totals.credits),
+    debit: money(statement.totals.debits),
+    balance: money(statement.closingBalance),
+  });
+  doc.font("Helvetica");
+  doc.moveDown();
 
-  // Dynamic Transaction Rows
-  transactions.forEach((t) => {
+  // Fine summary
+  if (doc.y > doc.page.height - 160) doc.addPage();
+  doc.fontSize(11).text("Fines", left, doc.y, { underline: true });
+  doc.fontSize(9).moveDown(0.3);
+  [
+    ["Due at start of period", fines.openingDue],
+    ["Accrued during period", fines.accrued],
+    ["Paid during period", fines.paid],
+    ["Waived during period", fines.waived],
+    ["Due at end of period", fines.closingDue],
+  ].forEach(([label, amount]) => {
+    const y = doc.y;
+    doc.text(label, left, y);
+    doc.text(taka(amount), right - 150, y, { width: 150, align: "right" });
+  });
+
+  // Footer with page numbers on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
     doc
-      .fontSize(10)
+      .fontSize(8)
+      .fillColor("#64748b")
       .text(
-        `${new Date(t.date).toLocaleDateString()}      ${t.type}      ${
-          t.amount
-        }`,
-      );
+        `Generated ${fmt(statement.generatedAt)} · Malibagh Somiti Digital System · Page ${
+          i + 1
+        } of ${range.count}`,
+        left,
+        doc.page.height - 50,
+        { width: right - left, align: "center", lineBreak: false },
+      )
+      .fillColor("black");
+  }
+
+  doc.end();
+};
+
+const KIND_TITLES = {
+  monthly_deposit: "Monthly Deposit",
+  fine_payment: "Fine Payment",
+  investment_liquidation: "Investment Liquidation",
+  loan_repayment: "Loan Repayment",
+};
+
+const taka = (amount) =>
+  `BDT ${Number(amount || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+/**
+ * ✅ MONEY RECEIPT PDF
+ * Expects the receipt populated with member, bankAccount and issuedBy.
+ * Reprints carry a "DUPLICATE" mark and cancelled receipts a "CANCELLED" one.
+ */
+exports.generateReceipt = (res, receipt, { duplicate = false } = {}) => {
+  const doc = new PDFDocument({ size: "A5", margin: 40 });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=receipt-${receipt.receiptNo}.pdf`,
+  );
+  doc.pipe(res);
+
+  // Header - Society Branding
+  doc.fontSize(18).text("Malibagh Somiti", { align: "center" });
+  doc.fontSize(10).text("Money Receipt", { align: "center" });
+  doc.moveDown();
+
+  // Receipt number and date
+  const top = doc.y;
+  doc.fontSize(10).text(`Receipt No: ${receipt.receiptNo}`, 40, top);
+  doc.text(
+    `Date: ${new Date(receipt.issuedAt).toLocaleDateString("en-GB")}`,
+    40,
+    top,
+    { align: "right" },
+  );
+  doc.moveDown();
+
+  // Payer details
+  doc.text(
+    `Received from: ${receipt.receivedFrom || receipt.member?.name || "-"}`,
+  );
+  if (receipt.member) {
+    doc.text(`Member ID: ${receipt.member.phone || "-"}`);
+    doc.text(`Branch: ${receipt.member.branch || "-"}`);
+  }
+  doc.text(`Purpose: ${KIND_TITLES[receipt.kind] || receipt.kind}`);
+  if (receipt.bankAccount) {
+    doc.text(
+      `Deposited to: ${receipt.bankAccount.bankName} (****${String(
+        receipt.bankAccount.accountNumber || "",
+      ).slice(-4)})`,
+    );
+  }
+  doc.moveDown();
+
+  // Line items
+  const left = 40;
+  const right = doc.page.width - 40;
+  const amountX = right - 120;
+  doc.fontSize(10).text("Description", left, doc.y, { underline: true });
+  doc.moveUp().text("Amount", amountX, doc.y, {
+    width: 120,
+    align: "right",
+    underline: true,
+  });
+
+  receipt.lines.forEach((line) => {
+    const y = doc.y + 4;
+    doc.text(line.label, left, y, { width: amountX - left - 10 });
+    doc.text(taka(line.amount), amountX, y, { width: 120, align: "right" });
+  });
+
+  doc.moveDown(0.5);
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.moveDown(0.5);
+  const totalY = doc.y;
+  doc.fontSize(11).text("Total Received", left, totalY);
+  doc.text(taka(receipt.amount), amountX, totalY, {
+    width: 120,
+    align: "right",
   });
+  doc.moveDown();
+
+  if (receipt.remarks) {
+    doc.fontSize(9).text(`Remarks: ${receipt.remarks}`, left);
+  }
+  doc
+    .fontSize(9)
+    .text(`Received by: ${receipt.issuedBy?.name || "Society Admin"}`, left);
+
+  // Status marks
+  const mark =
+    receipt.status === "cancelled"
+      ? "CANCELLED"
+      : duplicate
+        ? "DUPLICATE"
+        : null;
+  if (mark) {
+    doc
+      .save()
+      .rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] })
+      .fontSize(48)
+      .fillColor("#dc2626", 0.25)
+      .text(mark, 0, doc.page.height / 2 - 24, {
+        width: doc.page.width,
+        align: "center",
+      })
+      .restore();
+  }
+
+  doc
+    .fillColor("#64748b", 1)
+    .fontSize(8)
+    .text(
+      "This is a computer-generated receipt from the Malibagh Somiti Digital System.",
+      left,
+      doc.page.height - 60,
+      { width: right - left, align: "center" },
+    );
+
+  doc.end();
+};
+
+/**
+ * ✅ ANNUAL FINANCIAL STATEMENTS PDF (AGM pack)
+ * Renders financialStatementService.buildAnnualStatements: income &
+ * expenditure, receipts & payments and the balance sheet, one per page.
+ */
+exports.generateFinancialStatements = (res, statements) => {
+  const {
+    fiscalYear,
+    incomeAndExpenditure: ie,
+    receiptsAndPayments: rp,
+    balanceSheet: bs,
+  } = statements;
+  const doc = new PDFDocument({ size: "A4", margin: 40, bufferPages: true });
+  const fmt = (d) => new Date(d).toLocaleDateString("en-GB");
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=financial-statements-${fiscalYear}.pdf`,
+  );
+  doc.pipe(res);
+
+  const left = 40;
+  const right = doc.page.width - 40;
+
+  const ensureSpace = (height = 40) => {
+    if (doc.y + height > doc.page.height - 70) doc.addPage();
+  };
+
+  const title = (subtitle) => {
+    doc.fontSize(20).text("Malibagh Somiti", left, 40, {
+      width: right - left,
+      align: "center",
+    });
+    doc.fontSize(12).text(subtitle, { align: "center" });
+    doc.moveDown(1.5);
+  };
+
+  const heading = (text) => {
+    ensureSpace(50);
+    doc.moveDown(0.5);
+    doc.fontSize(11).font("Helvetica-Bold").text(text, left);
+    doc.font("Helvetica").fontSize(9).moveDown(0.3);
+  };
+
+  const line = (label, amount, { bold = false, indent = 0 } = {}) => {
+    ensureSpace();
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+    doc.text(label, left + indent, y, { width: right - left - 170 - indent });
+    const labelBottom = doc.y;
+    doc.text(taka(amount), right - 150, y, { width: 150, align: "right" });
+    doc.font("Helvetica");
+    doc.y = Math.max(labelBottom, y + 12);
+  };
+
+  const subheading = (text) => {
+    doc.moveDown(0.3).font("Helvetica-Oblique").text(text, left);
+    doc.font("Helvetica");
+  };
+
+  const rule = () => {
+    doc
+      .moveTo(left, doc.y + 1)
+      .lineTo(right, doc.y + 1)
+      .stroke();
+    doc.moveDown(0.3);
+  };
+
+  // 1. Income & Expenditure
+  title(
+    `Income & Expenditure Account for the year ended ${fmt(statements.period.to)}`,
+  );
+  heading("Income");
+  ie.income.forEach((r) => line(r.name, r.amount));
+  rule();
+  line("Total Income", ie.totalIncome, { bold: true });
+
+  heading("Expenditure");
+  ie.expenditure.forEach((r) => {
+    line(r.name, r.amount);
+    (r.byCategory || []).forEach((c) =>
+      line(c.category, c.amount, { indent: 15 }),
+    );
+  });
+  rule();
+  line("Total Expenditure", ie.totalExpenditure, { bold: true });
+  doc.moveDown();
+  line(
+    ie.surplus >= 0 ? "Surplus for the year" : "Deficit for the year",
+    Math.abs(ie.surplus),
+    { bold: true },
+  );
+
+  // 2. Receipts & Payments
+  doc.addPage();
+  title(
+    `Receipts & Payments Account for the year ended ${fmt(statements.period.to)}`,
+  );
+  rp.accounts.forEach((account) => {
+    heading(account.name);
+    line("Opening balance", account.opening);
+    subheading("Receipts");
+    account.receipts.forEach((r) => line(r.category, r.amount, { indent: 15 }));
+    line("Total receipts", account.totalReceipts, { bold: true });
+    subheading("Payments");
+    account.payments.forEach((r) => line(r.category, r.amount, { indent: 15 }));
+    line("Total payments", account.totalPayments, { bold: true });
+    rule();
+    line("Closing balance", account.closing, { bold: true });
+  });
+  heading("All bank accounts");
+  line("Opening balance", rp.totals.opening);
+  line("Add: Receipts", rp.totals.receipts);
+  line("Less: Payments", rp.totals.payments);
+  rule();
+  line("Closing balance", rp.totals.closing, { bold: true });
+
+  // 3. Balance Sheet
+  doc.addPage();
+  title(`Balance Sheet as at ${fmt(bs.asOf)}`);
+  heading("Assets");
+  bs.assets.forEach((r) => line(r.name, r.amount));
+  rule();
+  line("Total Assets", bs.totalAssets, { bold: true });
+
+  heading("Liabilities");
+  bs.liabilities.forEach((r) => line(r.name, r.amount));
+  rule();
+  line("Total Liabilities", bs.totalLiabilities, { bold: true });
+
+  heading("Equity");
+  bs.equity.forEach((r) => line(r.name, r.amount));
+  rule();
+  line("Total Equity", bs.totalEquity, { bold: true });
+  doc.moveDown();
+  line("Total Liabilities & Equity", bs.totalLiabilities + bs.totalEquity, {
+    bold: true,
+  });
+  if (!bs.isBalanced) {
+    doc
+      .moveDown()
+      .fillColor("#dc2626")
+      .text("Warning: the balance sheet does not balance.", left)
+      .fillColor("black");
+  }
+
+  // Footer with page numbers on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    doc
+      .fontSize(8)
+      .fillColor("#64748b")
+      .text(
+        `Generated ${fmt(statements.generatedAt)} · Malibagh Somiti Digital System · Page ${
+          i + 1
+        } of ${range.count}`,
+        left,
+        doc.page.height - 50,
+        { width: right - left, align: "center", lineBreak: false },
+      )
+      .fillColor("black");
+  }
 
   doc.end();
 };
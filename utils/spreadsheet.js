@@ -0,0 +1,90 @@
+const XLSX = require("xlsx");
+
+const FORMATS = {
+  xlsx: {
+    bookType: "xlsx",
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  csv: { bookType: "csv", contentType: "text/csv; charset=utf-8" },
+};
+
+/**
+ * ✅ SPREADSHEET EXPORT
+ * Sends rows as an .xlsx or .csv download. Each column is
+ * { header, value: (row) => cell }; dates are written as real dates.
+ */
+exports.sendSheet = (
+  res,
+  { filename, sheetName = "Sheet1", columns, rows, format = "xlsx" },
+) => {
+  const target = FORMATS[format] || FORMATS.xlsx;
+  const data = [
+    columns.map((c) => c.header),
+    ...rows.map((row) =>
+      columns.map((c) => {
+        const cell = c.value(row);
+        if (cell === undefined || cell === null) return "";
+        // CSV has no date type: write an unambiguous YYYY-MM-DD
+        if (cell instanceof Date && target.bookType === "csv") {
+          return cell.toLocaleDateString("en-CA");
+        }
+        return cell;
+      }),
+    ),
+  ];
+
+  const sheet = XLSX.utils.aoa_to_sheet(data, {
+    cellDates: true,
+    dateNF: "yyyy-mm-dd",
+  });
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, sheet, sheetName.slice(0, 31));
+
+  const body = XLSX.write(book, { type: "buffer", bookType: target.bookType });
+
+  res.setHeader("Content-Type", target.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=${filename}.${target.bookType}`,
+  );
+  res.status(200).send(body);
+};
+
+/**
+ * Requested export format from `?format=`, defaulting to xlsx.
+ */
+exports.exportFormat = (query) =>
+  String(query.format || "xlsx").toLowerCase() === "csv" ? "csv" : "xlsx";
+
+/**
+ * Reads the first sheet of an uploaded workbook into row objects keyed by a
+ * normalized header (lower-case, no spaces/underscores/dashes), e.g.
+ * "Joining Date" -> "joiningdate". `rowNumber` is the spreadsheet row.
+ */
+exports.readSheet = (buffer) => {
+  // raw: CSV cells stay text, so IDs like "017..." keep their leading zero
+  const book = XLSX.read(buffer, {
+    type: "buffer",
+    cellDates: true,
+    raw: true,
+  });
+  const sheet = book.Sheets[book.SheetNames[0]];
+  if (!sheet) return [];
+
+  const normalize = (key) =>
+    String(key)
+      .toLowerCase()
+      .replace(/[\s_\-.]/g, "");
+
+  return XLSX.utils
+    .sheet_to_json(sheet, { defval: "", raw: true })
+    .map((row, index) => {
+      const normalized = { rowNumber: index + 2 };
+      for (const [key, value] of Object.entries(row)) {
+        normalized[normalize(key)] =
+          typeof value === "string" ? value.trim() : value;
+      }
+      return normalized;
+    });
+};